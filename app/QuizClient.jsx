@@ -1,16 +1,52 @@
 "use client";
 
-import React, { useEffect, useRef, useState, useCallback } from "react";
+import React, { useEffect, useRef, useState, useCallback, useMemo } from "react";
+import {
+  nextVisibleStep,
+  normalizeQuestions,
+  prevVisibleStep,
+  progressForStep,
+  pruneHiddenAnswers,
+} from "@/lib/questions.mjs";
+import { scoreQuiz } from "@/lib/scoring.mjs";
+import { loadRules } from "@/lib/rules.mjs";
+import { loadWeights } from "@/lib/weights.mjs";
+import { PRODUCT_META } from "@/lib/products.mjs";
+import { explainResult, productName } from "@/lib/explain.mjs";
+import { isKnownRetailer, productUrlFor, retailerCopy, retailerFor } from "@/lib/retailers.mjs";
+import { recommendStack, stackConfigFor } from "@/lib/stack.mjs";
+import { formatReport, validateQuizConfig } from "@/lib/validateConfig.mjs";
+import { EVENTS, createAnalytics, createOutbox, createSink } from "@/lib/analytics.mjs";
+import { DEVICES_FILE, availableProducts, deviceFor, loadDevices } from "@/lib/devices.mjs";
+import { SW_URL } from "@/lib/offline.mjs";
+import { attractLoopConfig, attractPrompt, buildAttractSlides } from "@/lib/attract.mjs";
+import { createIdleTimer } from "@/lib/idle.mjs";
+import { HANDOFF_EMAIL_URL, encodeHandoff, handoffUrl, isEmailAddress } from "@/lib/handoff.mjs";
+import { encodeQr, qrSvgPath } from "@/lib/qr.mjs";
+import { RESULT_PARAM, archivedWeightsUrl, decodeResultLink, encodeResultLink, weightsRevision } from "@/lib/resultLink.mjs";
+import { createSessionStore, quizVersion, resumeProgress } from "@/lib/session.mjs";
+import { historyState, resolveHistoryStep, stepFromState, stepHash } from "@/lib/history.mjs";
+import { applyAnswer, canSelect, isSelectionFull, selectionError, selectionMessage } from "@/lib/selection.mjs";
+import {
+  INBOUND,
+  LEGACY_HEIGHT_TYPE,
+  OUTBOUND,
+  allowedOriginsFor,
+  createHeightReporter,
+  createMessage,
+  isOriginAllowed,
+  parseInbound,
+  resolveParentOrigin,
+} from "@/lib/embed.mjs";
 
 /**
  * Nourished Formula Quiz — 90vw layout
  * - All pages (landing, questions, results) render inside a 90vw container
- * - Kiosk idle screen "Get Started" jumps straight to Q1
- * - Robust slider detection (accepts: slider/range/scale/likert OR inferred from min/max labels)
- * - Priorities: icon tiles (max 2)
- * - Exercise: multi-select tiles (max 2)
- * - Gender: icon tiles
- * - Processed-food question gets split title + helper text
+ * - ?context= picks a retailer profile (lib/retailers.mjs); ?kiosk=1&device=<id> a kiosk profile (lib/devices.mjs)
+ * - Kiosk idle screen is an attract loop (lib/attract.mjs); any tap jumps straight to Q1
+ * - Each question is drawn by the renderer for its `widget` (WIDGET_RENDERERS below)
+ * - Scoring, rules and stacks live in lib/; this file only wires them to the screens
+ * - Results: the winner plus complements, with the retailer's Buy link (online) or a take-home link (kiosk)
  */
 
 // ---- brand
@@ -20,51 +56,11 @@ const BRAND = {
 };
 
 // ---- scoring config
-const WEIGHTS_URL = "boots_quiz_weights.json"; // put the JSON file in /public
-
-// Stable order for tie-breaking
-const PRODUCT_ORDER = ["Eic","Epi","Meca","Ecp","Cpe","Hcp","Hpes","Rnp","Bmca","Mjb","Spe","Shp","Gsi"];
-
-// ---- product display metadata (code -> display)
-const PRODUCT_META = {
-Ecp: { name: "Ecp", title: "Energy • Cognitive Function • Psychological Function", blurb: "We recommend the ECP formula, precision nutrition formulated to support energy¹,², cognitive function³ & psychological function⁴", images: { exploded: "products/Ecp-3.jpg", pack: "products/Ecp-1.png" } },
-	
-Eic: { name: "Eic", title: "Energy • Immunity • Cognitive Function", blurb: "We recommend the EIC formula, precision nutrition formulated to support energy¹,², immunity³ & cognitive function⁴", images:{ exploded:"products/Eic-3.jpg", pack:"products/Eic-1.png" } },
-	
-Mjb: { name: "Mjb", title: "Muscles • Joints • Bones", blurb: "We recommend the MJB formula, precision nutrition formulated to support muscle health¹, joint health² & bone health³", images:{ exploded:"products/Mjb-3.jpg", pack:"products/Mjb-1.png" } },
-	
-Bmca: { name: "Bmca", title: "Bone Health • Metabolism • Cardiovascular Health", blurb: "We recommend the BMCA formula, precision nutrition formulated to support bone health¹, muscle health² & cardiovascular health³,⁴", images:{ exploded:"products/Bmca-3.jpg", pack:"products/Bmca-1.png" } },
-	
-Cpe: { name: "Cpe", title: "Cognitive Function • Psychological Function • Energy", blurb: "We recommend the CPE formula, precision nutrition formulated to support cognitive function¹, psychological function²& energy³,⁴", images:{ exploded:"products/Cpe-3.jpg", pack:"products/Cpe-1.png" } },
-	
-Epi: { name: "Epi", title: "Energy • Psychological Function • Immunity", blurb: "We recommend the EPI formula, precision nutrition formulated to support energy¹, psychological function² & immunity³", images:{ exploded:"products/Epi-3.jpg", pack:"products/Epi-1.png" } },
-	
-Gsi: { name: "Gsi", title: "Gut Health • Skin Health • Immunity", blurb: "We recommend the GSI formula, precision nutrition formulated to support collagen formation¹, oxidative stress² & a healthy immune system³", images:{ exploded:"products/Gsi-3.jpg", pack:"products/Gsi-1.png" } },
-	
-Hcp: { name: "Hcp", title: "Hormonal Balance • Cognitive Function • Psychological Function", blurb: "We recommend the HCP formula, precision nutrition formulated to support hormone regulation¹,cognitive function², bone health³ & combat tiredness & fatigue⁴", images:{ exploded:"products/Hcp-3.jpg", pack:"products/Hcp-1.png" } },
-	
-Hpes: { name: "Hpes", title: "Hormonal Balance • Psychological Function • Energy", blurb: "We recommend the HPES formula, precision nutrition formulated to support psychological function¹, energy² & collagen formation for healthy hair, skin & nails³,⁴", images:{ exploded:"products/Hpes-3.jpg", pack:"products/Hpes-1.png" } },
-	
-Meca: { name: "Meca", title: "Metabolism • Energy • Cardiovascular Health", blurb: "We recommend the MECA formula, precision nutrition formulated to support metabolic health¹, energy²,³ & cardiovascular health⁴", images:{ exploded:"products/Meca-3.jpg", pack:"products/Meca-1.png" } },
-	
-Rnp: { name: "Rnp", title: "Recovery • Nervous System • Psychological Function", blurb: "We recommend the RNP formula, precision nutrition formulated to support tiredness & fatigue¹, the nervous system² & psychological function³", images:{ exploded:"products/Rnp-3.jpg", pack:"products/Rnp-1.png" } },
-
-Shp: { name: "Shp", title: "Skin Health • Hormonal Balance • Psychological Function", blurb: "We recommend the SHP formula, precision nutrition formulated to support collagen formation¹, healthy hair² & psychological function³", images:{ exploded:"products/Shp-3.jpg", pack:"products/Shp-1.png" } },
-
-Spe: { name: "Spe", title: "Skin Health • Psychological Function • Energy", blurb: "We recommend the SPE formula, precision nutrition formulated to support collagen formation¹, psychological function² & reduce tiredness & fatigue³", images:{ exploded:"products/Spe-3.jpg", pack:"products/Spe-1.png" } },
-	
-  // ...
-};
+// Config JSON paths (questions, weights, content, rules) come from the retailer profile
 
 // optional logo (already have this in /public)
 const LOGO_SRC = "/nourished-formula-logo.svg";
 
-// Must exactly match the priorities question title in the sheet/weights JSON
-const PRIORITIES_TITLE = "What are your top two wellness priorities at the moment?";
-const isPriorities = (q) =>
-  String(q?.title || "").trim().toLowerCase() === PRIORITIES_TITLE.trim().toLowerCase();
-
-
 // ---- utilities
 function useQueryParams() {
   const [params, setParams] = useState(null);
@@ -75,29 +71,222 @@ function useQueryParams() {
   return { get, raw: params };
 }
 
-function postToParent(message) {
+// Leave the quiz for a retailer page — call from event handlers only, never during render.
+// Embeds made by the loader pass ?embed=1 and get a NAVIGATE message to the host instead.
+function navigateTop(url) {
+  if (!url) return;
   try {
-    window.parent?.postMessage(message, "*");
-  } catch {}
+    window.top.location.href = url;     // break out of the iframe
+  } catch {
+    window.location.href = url;         // fallback
+  }
 }
 
-function useAutoResize() {
+// ---- host page messaging: only to / from allow-listed parent origins
+function useHostBridge(retailer, onInbound) {
+  const allowList = useMemo(
+    () =>
+      allowedOriginsFor(retailer, {
+        extra: process.env.NEXT_PUBLIC_QUIZ_PARENT_ORIGINS,
+        selfOrigin: window.location.origin,
+        dev: process.env.NODE_ENV !== "production",
+      }),
+    [retailer]
+  );
+  const allowRef = useRef(allowList);
+  const parentOrigin = useRef(null); // confirmed by an inbound message, else guessed
+  const handler = useRef(onInbound);
+
+  useEffect(() => {
+    allowRef.current = allowList;
+    handler.current = onInbound;
+  });
+
   useEffect(() => {
-    const sendHeight = () => {
-      const h = document.documentElement.scrollHeight || document.body.scrollHeight || 0;
-      postToParent({ type: "NOURISHED_QUIZ_HEIGHT", height: h });
+    if (window.parent === window) return; // not embedded
+    const onMessage = (event) => {
+      if (event.source !== window.parent || !isOriginAllowed(event.origin, allowRef.current)) return;
+      const msg = parseInbound(event.data);
+      if (!msg) return;
+      parentOrigin.current = event.origin;
+      handler.current?.(msg);
     };
-    sendHeight();
-    const ro = new ResizeObserver(sendHeight);
-    ro.observe(document.body);
-    window.addEventListener("load", sendHeight);
-    const i = setInterval(sendHeight, 1000);
+    window.addEventListener("message", onMessage);
+    return () => window.removeEventListener("message", onMessage);
+  }, []);
+
+  // Raw post (used for the legacy height message); false if not embedded or the parent isn't allowed
+  const post = useCallback((message) => {
+    if (window.parent === window) return false;
+    const origin =
+      parentOrigin.current ||
+      resolveParentOrigin({ ancestorOrigins: window.location.ancestorOrigins, referrer: document.referrer });
+    if (!isOriginAllowed(origin, allowRef.current)) return false;
+    try {
+      window.parent.postMessage(message, origin);
+      return true;
+    } catch {
+      return false;
+    }
+  }, []);
+
+  const send = useCallback((type, payload) => post(createMessage(type, payload)), [post]);
+  return { send, post };
+}
+
+// Report the document height to the host page: debounced, only on change, and only when framed.
+// Returns settle(), which reports the current height at once with settled: true.
+function useAutoResize({ send, post }) {
+  const reporter = useRef(null);
+
+  useEffect(() => {
+    if (window.parent === window) return; // kiosk / top-level: nobody to tell
+    const root = document.documentElement;
+    const heightOf = () => root.getBoundingClientRect().height;
+    const r = createHeightReporter((height, settled) => {
+      send(OUTBOUND.RESIZE, { height, settled });
+      post({ type: LEGACY_HEIGHT_TYPE, height }); // pre-protocol hosts
+    });
+    const ro = new ResizeObserver(() => r.measure(heightOf()));
+    ro.observe(root);
+    r.measure(heightOf());
+    reporter.current = { settle: () => r.settle(heightOf()) };
     return () => {
       ro.disconnect();
-      window.removeEventListener("load", sendHeight);
-      clearInterval(i);
+      r.dispose();
+      reporter.current = null;
     };
-  }, []);
+  }, [send, post]);
+
+  return useCallback(() => reporter.current?.settle(), []);
+}
+
+// Calls onSettled once every <img> inside the returned ref has loaded or failed
+function useImagesSettled(onSettled, key) {
+  const ref = useRef(null);
+  useEffect(() => {
+    const pending = [...(ref.current?.querySelectorAll("img") || [])].filter((img) => !img.complete);
+    if (!pending.length) {
+      onSettled?.();
+      return;
+    }
+    let left = pending.length;
+    const done = () => {
+      left -= 1;
+      if (left === 0) onSettled?.();
+    };
+    pending.forEach((img) => {
+      img.addEventListener("load", done, { once: true });
+      img.addEventListener("error", done, { once: true });
+    });
+    return () =>
+      pending.forEach((img) => {
+        img.removeEventListener("load", done);
+        img.removeEventListener("error", done);
+      });
+  }, [onSettled, key]);
+  return ref;
+}
+
+// Kiosk device profile from kiosk_devices.json; online (or without ?device=) it's just the defaults
+function useKioskDevice(kiosk, get) {
+  const deviceId = kiosk ? get("device", null) : null;
+  const store = kiosk ? get("store", null) : null;
+  const idleSeconds = kiosk ? get("idle", null) : null;
+  const [devices, setDevices] = useState({});
+
+  useEffect(() => {
+    if (!deviceId) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch(DEVICES_FILE, { cache: "no-store" });
+        if (!res.ok) throw new Error(`devices fetch HTTP ${res.status} at ${DEVICES_FILE}`);
+        const d = loadDevices(await res.json());
+        if (cancelled) return;
+        if (!d[deviceId]) console.warn(`⚠️ Unknown kiosk device "${deviceId}", using defaults`);
+        setDevices(d);
+      } catch (e) {
+        console.warn("⚠️ Failed to load kiosk devices:", e);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [deviceId]);
+
+  return useMemo(() => deviceFor(deviceId, devices, { store, idleSeconds }), [deviceId, devices, store, idleSeconds]);
+}
+
+// Kiosk offline support: the service worker (production builds only, so it never caches dev bundles)
+// and the analytics outbox, flushed when the network comes back and once a minute in case we missed it
+function useOfflineKiosk(kiosk) {
+  const outbox = useMemo(() => (kiosk ? createOutbox() : null), [kiosk]);
+
+  useEffect(() => {
+    if (!kiosk || process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+    let cancelled = false;
+    // Ask the worker to refresh its cache, including the build files this page loaded before it took over
+    const refresh = () =>
+      navigator.serviceWorker.ready.then((reg) => {
+        if (cancelled || !navigator.onLine) return;
+        const loaded = performance
+          .getEntriesByType("resource")
+          .map((e) => e.name)
+          .filter((url) => url.startsWith(`${window.location.origin}/_next/static/`));
+        reg.active?.postMessage({ type: "REFRESH", urls: [window.location.href, ...loaded] });
+      });
+    navigator.serviceWorker
+      .register(SW_URL)
+      .then(refresh)
+      .catch((e) => console.warn("⚠️ Service worker registration failed:", e));
+    window.addEventListener("online", refresh);
+    return () => {
+      cancelled = true;
+      window.removeEventListener("online", refresh);
+    };
+  }, [kiosk]);
+
+  useEffect(() => {
+    if (!outbox) return;
+    const flush = () => outbox.flush();
+    flush();
+    window.addEventListener("online", flush);
+    const timer = setInterval(flush, 60000);
+    return () => {
+      window.removeEventListener("online", flush);
+      clearInterval(timer);
+    };
+  }, [outbox]);
+
+  return outbox;
+}
+
+// Dev-only: same cross-check as `npm run validate`, reported in the console on startup
+function useDevConfigCheck(retailer) {
+  useEffect(() => {
+    if (process.env.NODE_ENV === "production") return;
+    const { files } = retailer;
+    let cancelled = false;
+    (async () => {
+      try {
+        const load = async (url) => {
+          const res = await fetch(url, { cache: "no-store" });
+          if (!res.ok) throw new Error(`HTTP ${res.status} at ${url}`);
+          return res.json();
+        };
+        const [questions, weights, content, rules] = await Promise.all(
+          [files.questions, files.weights, files.content, files.rules].map(load)
+        );
+        if (cancelled) return;
+        const report = validateQuizConfig({ questions, weights, content, rules, retailer });
+        const out = `[${retailer.id}] ${formatReport(report)}`;
+        if (!report.ok) console.error(out);
+        else if (report.warnings.length) console.warn(out);
+      } catch (e) {
+        console.warn("⚠️ Config check skipped:", e);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [retailer]);
 }
 
 // ---- centered 90vw stage
@@ -127,12 +316,13 @@ function Stage({ kiosk, children }) {
 }
 
 // ---- buttons
-function Button({ children, onClick, type = "button", disabled, kiosk, bg, textColor }) {
+function Button({ children, onClick, type = "button", disabled, kiosk, bg, textColor, describedBy }) {
   return (
     <button
       type={type}
       onClick={onClick}
       disabled={disabled}
+      aria-describedby={describedBy}
       className={`w-full ${kiosk ? "py-6 text-xl" : "py-3 text-base"} rounded-2xl border 
         focus:outline-none focus-visible:ring-4 focus-visible:ring-offset-2 
         disabled:opacity-50`}
@@ -148,36 +338,182 @@ function Button({ children, onClick, type = "button", disabled, kiosk, bg, textC
 }
 
 // ---- idle/attract
-function AttractScreen({ onStart, kiosk }) {
+// Kiosk overlays vanish on pointerdown (any input bumps the idle timer); eat the click that follows so it
+// doesn't hit whatever was underneath
+function swallowNextClick() {
+  const swallow = (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+  };
+  window.addEventListener("click", swallow, { capture: true, once: true });
+  setTimeout(() => window.removeEventListener("click", swallow, { capture: true }), 600);
+}
+
+// "Are you still there?" — shown when a kiosk has been left mid-quiz, before it resets
+function IdleWarning({ secondsLeft, kiosk, theme, onContinue }) {
   return (
-    <Stage kiosk={kiosk}>
-      <div style={{ textAlign: "center" }}>
+    <div
+      role="alertdialog"
+      aria-modal="true"
+      aria-labelledby="idle-warning-title"
+      onPointerDown={swallowNextClick}
+      className="fixed inset-0 z-50 grid place-items-center"
+      style={{ background: "rgba(21,50,71,.55)" }}
+    >
+      <div
+        className="rounded-[28px] border p-8 md:p-12"
+        style={{ width: "min(90vw, 640px)", background: "white", borderColor: BRAND.border, textAlign: "center", color: BRAND.text }}
+      >
+        <h2 id="idle-warning-title" className={kiosk ? "text-4xl" : "text-3xl"} style={{ fontWeight: 700, marginBottom: 12 }}>
+          Are you still there?
+        </h2>
+        <p className="text-xl" style={{ opacity: 0.85, marginBottom: 8 }}>
+          We’ll start over for the next person in
+        </p>
+        <p aria-live="polite" style={{ fontSize: kiosk ? "5rem" : "4rem", fontWeight: 700, lineHeight: 1.1, marginBottom: 24 }}>
+          {secondsLeft}
+        </p>
+        <Button kiosk={kiosk} onClick={onContinue} bg={theme.accent} textColor={theme.accentText}>
+          Keep going
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+// Cycles intro and product hero slides (lib/attract.mjs); a tap anywhere starts the quiz at Q1
+function AttractSlide({ slide, kiosk, theme }) {
+  if (slide.kind === "product") {
+    return (
+      <div className="grid md:grid-cols-2 gap-8 items-center">
         <img
-          src="/nourished-formula-logo.svg"
-          alt="Nourished Formula"
-          className="h-auto mx-auto mb-6"
+          src={slide.exploded}
+          alt=""
+          className="w-full h-auto rounded-[28px]"
           draggable="false"
-          style={{ width: "min(66%, 480px)", marginBottom: "8%" }}
+          onError={(e) => (e.currentTarget.style.display = "none")}
         />
-        <h1 className={kiosk ? "text-5xl" : "text-4xl"} style={{ fontWeight: 700, marginBottom: 12, color: BRAND.text }}>
-          Find your perfect stack
-        </h1>
-        <p className={kiosk ? "text-xl" : "text-xl"} style={{ color: BRAND.text, opacity: 0.85, marginBottom: 24 }}>
-          Answer a few quick questions and we’ll match you to the right Nourished formula.  Takes less than two minutes — quick, easy, and personalised to you.
-        </p>
-        <div className="mx-auto" style={{ maxWidth: 360 }}>
-          <Button kiosk={kiosk} onClick={onStart} bg="#e2c181" textColor="#153247">
-            Get Started
-          </Button>
+        <div style={{ textAlign: "center" }}>
+          <img
+            src={slide.pack}
+            alt={`${slide.name} pack`}
+            className="h-auto mx-auto mb-6"
+            draggable="false"
+            style={{ width: "min(50%, 280px)" }}
+            onError={(e) => (e.currentTarget.style.display = "none")}
+          />
+          <h1 className={kiosk ? "text-5xl" : "text-4xl"} style={{ fontWeight: 700, marginBottom: 12, color: BRAND.text }}>
+            {slide.name}
+          </h1>
+          {slide.tagline && (
+            <p className="text-xl" style={{ color: BRAND.text, opacity: 0.85, marginBottom: 20 }}>
+              {slide.tagline}
+            </p>
+          )}
+          <div className="flex flex-wrap justify-center gap-2">
+            {slide.benefits.map((b) => (
+              <span
+                key={b}
+                className="rounded-full px-4 py-2 text-lg"
+                style={{ background: theme.accent, color: theme.accentText }}
+              >
+                {b}
+              </span>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ textAlign: "center" }}>
+      <img
+        src={slide.image}
+        alt="Nourished Formula"
+        className="h-auto mx-auto mb-6"
+        draggable="false"
+        style={{ width: "min(66%, 480px)", marginBottom: "8%" }}
+      />
+      <h1 className={kiosk ? "text-5xl" : "text-4xl"} style={{ fontWeight: 700, marginBottom: 12, color: BRAND.text }}>
+        {slide.title}
+      </h1>
+      <p className="text-xl" style={{ color: BRAND.text, opacity: 0.85, marginBottom: 24 }}>
+        {slide.body}
+      </p>
+      <div className="mx-auto" style={{ maxWidth: 360 }}>
+        {/* looks like the Get Started button, but the whole screen is the start target */}
+        <div
+          className={`w-full ${kiosk ? "py-6 text-xl" : "py-3 text-base"} rounded-2xl border`}
+          style={{ background: theme.accent, color: theme.accentText, borderColor: BRAND.border }}
+        >
+          Get Started
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function AttractScreen({ onStart, kiosk, theme, slides, prompts }) {
+  const [index, setIndex] = useState(0);
+  const count = slides.length;
+  const at = count ? index % count : 0;
+
+  useEffect(() => {
+    if (count < 2) return;
+    const timer = setTimeout(() => setIndex((i) => (i + 1) % count), slides[at].seconds * 1000);
+    return () => clearTimeout(timer);
+  }, [at, count, slides]);
+
+  // Start on pointerdown: the kiosk idle handler hides this screen on that same event, so a click never
+  // arrives here — and the click that follows mustn't land on Q1's answers either
+  const startFromTouch = () => {
+    swallowNextClick();
+    onStart();
+  };
+
+  return (
+    <div
+      role="button"
+      tabIndex={0}
+      aria-label="Start the quiz"
+      onPointerDown={startFromTouch}
+      onKeyDown={(e) => {
+        if (e.key !== "Enter" && e.key !== " ") return;
+        e.preventDefault(); // Space would also scroll the page
+        onStart();
+      }}
+      style={{ cursor: "pointer" }}
+    >
+      <Stage kiosk={kiosk}>
+        {/* slides share one grid cell and cross-fade, so every image is loaded before its turn */}
+        <div style={{ display: "grid" }}>
+          {slides.map((slide, i) => (
+            <div
+              key={`${slide.kind}-${slide.code ?? "intro"}-${i}`}
+              aria-hidden={i !== at}
+              className="transition-opacity duration-700 motion-reduce:transition-none"
+              style={{ gridArea: "1 / 1", opacity: i === at ? 1 : 0, alignSelf: "center" }}
+            >
+              <AttractSlide slide={slide} kiosk={kiosk} theme={theme} />
+            </div>
+          ))}
         </div>
-        <p className="mt-10 text-sm px-[10%]" style={{ color: BRAND.text, opacity: 0.85, marginBottom: 24 }}>
+        <p
+          className="mt-10 text-2xl motion-safe:animate-pulse"
+          style={{ textAlign: "center", fontWeight: 600, color: BRAND.text }}
+          aria-live="polite"
+        >
+          {attractPrompt(prompts, at)}
+        </p>
+        <p className="mt-6 text-sm px-[10%]" style={{ textAlign: "center", color: BRAND.text, opacity: 0.85, marginBottom: 24 }}>
           Please note: This quiz is designed to help you select a personalised vitamin stack based on your lifestyle and
           wellness goals. It is not intended to diagnose or treat any medical condition. If you are pregnant,
           breastfeeding, taking medication or under medical supervision, please consult a healthcare professional before
           taking any supplements.
         </p>
-      </div>
-    </Stage>
+      </Stage>
+    </div>
   );
 }
 
@@ -247,189 +583,7 @@ function getAnswerIconPath(label) {
   return "/icons/none.svg"; // fallback
 }
 
-// ---- helpers
-function normalizeOptionsFromAny(q, idx) {
-  let raw = q.options ?? q.answers ?? q.choices ?? [];
-  if (typeof raw === "string") {
-    raw = raw.split(/[,;|]/g).map((s) => s.trim()).filter(Boolean);
-  }
-
-  // 1. Strings → extract ( ... ) into sublabel
-  if (Array.isArray(raw) && raw.every(v => typeof v === "string")) {
-    const result = raw.map((s) => {
-      const match = s.match(/^(.*?)\s*\((.*?)\)\s*$/);
-      const label = match ? match[1].trim() : s.trim();
-      const sublabel = match ? `e.g. ${match[2].trim()}` : null;
-      return { id: s, label, sublabel };
-    });
-    console.log("string branch output", q.id, result);
-    return result;
-  }
-
-  // 2. Objects → keep any sublabel if it exists
-  if (Array.isArray(raw) && raw.length && typeof raw[0] === "object") {
-    const result = raw.map((o, i) => {
-      const id = String(o.id ?? o.value ?? o.code ?? o.label ?? `${idx}_${i}`);
-      const label = String(o.label ?? o.name ?? o.text ?? o.value ?? o.id ?? id);
-      const sublabel = typeof o.sublabel === "string" ? o.sublabel : null;
-      return { id, label, sublabel };
-    });
-    console.log("object branch output", q.id, result);
-    return result;
-  }
-
-  console.log("normalizeOptionsFromAny (fallback)", q.id, raw);
-  return [];
-}
-function titleIncludes(q, substr) {
-  if (!q || !q.title) return false;
-  return String(q.title).toLowerCase().includes(String(substr).toLowerCase());
-}
-function isNo(val) {
-  return String(val ?? "").toLowerCase() === "no";
-}
-
-// ---- scoring helpers
-function buildOptionLabelIndex(questions) {
-  // title -> { id -> label }
-  const index = {};
-  (questions || []).forEach((q) => {
-    const map = {};
-    (q.answers || []).forEach((a) => {
-      const id = String(a?.id ?? a?.value ?? a?.label ?? "");
-      const label = String(a?.label ?? a?.name ?? a?.value ?? a?.id ?? id);
-      if (id) map[id] = label;
-    });
-    if (q?.title) index[q.title] = map;
-  });
-  return index;
-}
-
-function scoreAnswers(answers, weightsMap, questions) {
-  const tallies = {};
-  const add = (code, n = 1) => {
-    if (!code) return;
-    tallies[code] = (tallies[code] || 0) + n;
-  };
-
-  const labelIndex = buildOptionLabelIndex(questions);
-
-  Object.keys(weightsMap || {}).forEach((title) => {
-    const optionMap = weightsMap[title] || {};           // { "Really tired": ["Ecp"], ... }
-    let chosen = answers[title];                          // could be id, label, array, or number (slider)
-    if (chosen == null) return;
-
-    // Helper: map an ID to its LABEL for this title (if needed)
-    const idToLabel = (v) => {
-      const vStr = String(v);
-      // If the weights already have vStr as a label key, keep it
-      if (Object.prototype.hasOwnProperty.call(optionMap, vStr)) return vStr;
-      // Otherwise, try translate id -> label via questions
-      const map = labelIndex[title] || {};
-      return map[vStr] || vStr;
-    };
-
-    // SLIDER mapping: numbers 1..5 need bucketing to the *first/last* weighted option
-    const mapSliderNumberToLabel = (num) => {
-      const keys = Object.keys(optionMap);
-      if (!keys.length) return null;
-      const low = keys[0];
-      const high = keys[keys.length - 1];
-      const n = Number(num);
-      if (Number.isNaN(n)) return null;
-      if (n <= 2) return low;      // lean to "low" end label (e.g., "Really tired")
-      if (n >= 4) return high;     // lean to "high" end label (e.g., "Full of beans")
-      return null;                 // middle (3) contributes nothing unless you want neutral weight
-    };
-
-    // Normalise chosen into an array of *labels* that exist in optionMap
-    let labels = [];
-    if (Array.isArray(chosen)) {
-      labels = chosen.map(idToLabel).filter((lab) => optionMap[lab]);
-    } else if (typeof chosen === "number" || /^[0-9]+$/.test(String(chosen))) {
-      const lab = mapSliderNumberToLabel(chosen);
-      if (lab && optionMap[lab]) labels = [lab];
-    } else {
-      const lab = idToLabel(chosen);
-      if (optionMap[lab]) labels = [lab];
-    }
-
-    // Add weights for each mapped label
-    labels.forEach((lab) => (optionMap[lab] || []).forEach((code) => add(code, 1)));
-  });
-
-  return tallies; // e.g. { Eic: 3, Mjb: 2, ... }
-}
-
-// ---- choose the winning product code from tallies (priority answer tie-break)
-function pickWinner(tallies = {}, answers = {}, weightsMap = {}, questions = []) {
-  // 1) No scores? no winner.
-  const entries = Object.entries(tallies).filter(([, v]) => v > 0);
-  if (!entries.length) return null;
-
-  // 2) Highest score first
-  const max = Math.max(...entries.map(([, v]) => v));
-  let candidates = entries.filter(([, v]) => v === max).map(([code]) => code);
-
-  if (candidates.length === 1) return candidates[0];
-
-  // 3) PRIORITY TIE-BREAK: use the selected priority and its mapping in weights JSON
-  const priTitle = Object.keys(weightsMap || {}).find(
-    (t) => t.trim().toLowerCase() === PRIORITIES_TITLE.trim().toLowerCase()
-  ) || PRIORITIES_TITLE;
-
-  // look up the priorities question (to translate id -> label if needed)
-  const priQ = (questions || []).find(
-    (q) => String(q?.title || "").trim().toLowerCase() === String(priTitle).trim().toLowerCase()
-  );
-
-  // retrieve the stored answer (we save under both id and title)
-  let raw = answers[priTitle];
-  if (raw == null && priQ) raw = answers[priQ.id];
-
-  // normalise to a single label
-  let priLabel = null;
-  if (Array.isArray(raw)) raw = raw[0];        // legacy safety; you now use single-select
-  if (raw != null) {
-    const s = String(raw);
-    // if it's already a label present in the weights, keep it
-    if (weightsMap?.[priTitle] && Object.prototype.hasOwnProperty.call(weightsMap[priTitle], s)) {
-      priLabel = s;
-    } else if (priQ) {
-      // translate id -> label via the question's answers
-      const hit = (priQ.answers || []).find((a) => String(a.id) === s);
-      if (hit?.label) priLabel = String(hit.label);
-    }
-  }
-
-  // if we got a valid priority label, narrow candidates to SKUs mapped by that label
-  if (priLabel && weightsMap?.[priTitle]?.[priLabel]) {
-    const prefer = new Set(weightsMap[priTitle][priLabel]);
-    const narrowed = candidates.filter((c) => prefer.has(c));
-    if (narrowed.length === 1) return narrowed[0];
-    if (narrowed.length > 1) candidates = narrowed; // still tied, but now only amongst preferred SKUs
-  }
-
-  // 4) Stable product order tie-break
-  const orderIndex = (code) => {
-    const i = PRODUCT_ORDER.indexOf(code);
-    return i === -1 ? Number.POSITIVE_INFINITY : i;
-  };
-  candidates.sort((a, b) => orderIndex(a) - orderIndex(b));
-
-  // 5) Lexicographic as final fallback
-  candidates.sort((a, b) => {
-    const oa = orderIndex(a);
-    const ob = orderIndex(b);
-    if (oa !== ob) return oa - ob;
-    return a.localeCompare(b);
-  });
-
-  return candidates[0] || null;
-}
-
-
-// ---- generic answer chip (legacy multi)
+// ---- plain answer chip (the "chips" widget)
 function AnswerChip({ selected, children, onClick, kiosk }) {
   return (
     <button
@@ -541,10 +695,9 @@ function PeriodicOptions({ options, value, onChange, kiosk, getIconPath = getAns
   );
 }
 
-// ---- Multi-select icon tiles (limit 2)
-function PeriodicOptionsMulti({ options, values = [], onToggle, kiosk, maxSelect = 2 }) {
+// ---- Multi-select icon tiles (canSelect(id) is false for tiles that can't be added, e.g. past maxSelect)
+function PeriodicOptionsMulti({ options, values = [], onToggle, kiosk, canSelect = () => true, getIconPath = getAnswerIconPath }) {
   const selectedSet = new Set(values);
-  const disabledAll = values.length >= maxSelect;
   const iconSize = kiosk ? 60 : 40;
 
   return (
@@ -555,9 +708,9 @@ function PeriodicOptionsMulti({ options, values = [], onToggle, kiosk, maxSelect
     >
       {(options || []).map((opt, i) => {
         const sel = selectedSet.has(opt.id);
-        const canClick = sel || !disabledAll;
+        const canClick = sel || canSelect(opt.id);
         const col = PERIODIC_PALETTE[i % PERIODIC_PALETTE.length];
-        const iconPath = getAnswerIconPath(opt.label);
+        const iconPath = getIconPath ? getIconPath(opt.label) : null;
 
         return (
           <button
@@ -632,10 +785,8 @@ function PeriodicOptionsMulti({ options, values = [], onToggle, kiosk, maxSelect
     </div>
   );
 }
-// ---- Multi-select icon tiles (limit 2 with priority)
-function PeriodicOptionsPriority({ options, values = [], onToggle, kiosk, maxSelect = 2 }) {
-  const selectedSet = new Set(values);
-  const disabledAll = values.length >= maxSelect;
+// ---- Multi-select icon tiles numbered in the order picked
+function PeriodicOptionsPriority({ options, values = [], onToggle, kiosk, canSelect = () => true, getIconPath = getAnswerIconPath }) {
   const iconSize = kiosk ? 60 : 40;
 
   return (
@@ -647,9 +798,9 @@ function PeriodicOptionsPriority({ options, values = [], onToggle, kiosk, maxSel
       {(options || []).map((opt, i) => {
         const index = values.indexOf(opt.id);
         const sel = index !== -1;
-        const canClick = sel || !disabledAll;
+        const canClick = sel || canSelect(opt.id);
         const col = PERIODIC_PALETTE[i % PERIODIC_PALETTE.length];
-        const iconPath = getAnswerIconPath(opt.label);
+        const iconPath = getIconPath ? getIconPath(opt.label) : null;
 
         return (
           <button
@@ -726,10 +877,102 @@ function PeriodicOptionsPriority({ options, values = [], onToggle, kiosk, maxSel
   );
 }
 
-// ---- Priorities = Multi with icons (max 2) – just reuse above
-const PeriodicOptionsMultiWithIcons = PeriodicOptionsMulti;
+// ---- 1..5 slider between the question's min and max labels
+function SliderQuestion({ question, value, onAnswer, kiosk }) {
+  const val = Number(value || 3);
+  const fillPct = Math.max(0, Math.min(100, ((val - 1) / 4) * 100)); // 1..5 → 0..100%
+  return (
+    <div style={{ width: "90vw", maxWidth: "90vw", marginInline: "auto" }}>
+      <div
+        className="flex justify-between"
+        style={{ fontSize: kiosk ? "1.5rem" : "1.1rem", fontWeight: 700, marginBottom: 16 }}
+      >
+        <span>{question.minLabel || "Low"}</span>
+        <span>{question.maxLabel || "High"}</span>
+      </div>
+      <input
+        type="range"
+        min="1"
+        max="5"
+        step="1"
+        value={val}
+        onChange={(e) => onAnswer(Number(e.target.value))}
+        aria-label={question.title}
+        className="nourished-range"
+        style={{
+          width: "100%",
+          background: `linear-gradient(to right, ${BRAND.text} 0%, ${BRAND.text} ${fillPct}%, #ffffff ${fillPct}%, #ffffff 100%)`,
+        }}
+      />
+    </div>
+  );
+}
+
+// ---- question widgets: `widget` in the questions JSON → renderer (WIDGETS in lib/questions.mjs)
+// Each renderer gets { question, value, onAnswer, kiosk }; onAnswer takes an option id (toggled for
+// multi-select widgets) or a slider number. iconSet names match ICON_SETS.
+const ICON_PATHS = { answers: getAnswerIconPath, gender: getGenderIconPath, none: null };
+const listOf = (value) => (Array.isArray(value) ? value : []);
+
+const WIDGET_RENDERERS = {
+  "icon-tiles": function IconTiles({ question, value, onAnswer, kiosk }) {
+    return (
+      <PeriodicOptions
+        options={question.answers}
+        value={value || ""}
+        onChange={onAnswer}
+        kiosk={kiosk}
+        getIconPath={ICON_PATHS[question.iconSet]}
+      />
+    );
+  },
+  "multi-tiles": function MultiTiles({ question, value, onAnswer, kiosk }) {
+    return (
+      <PeriodicOptionsMulti
+        options={question.answers}
+        values={listOf(value)}
+        onToggle={onAnswer}
+        kiosk={kiosk}
+        canSelect={(id) => canSelect(question, value, id)}
+        getIconPath={ICON_PATHS[question.iconSet]}
+      />
+    );
+  },
+  "ranked-priority": function RankedPriority({ question, value, onAnswer, kiosk }) {
+    return (
+      <PeriodicOptionsPriority
+        options={question.answers}
+        values={listOf(value)}
+        onToggle={onAnswer}
+        kiosk={kiosk}
+        canSelect={(id) => canSelect(question, value, id)}
+        getIconPath={ICON_PATHS[question.iconSet]}
+      />
+    );
+  },
+  chips: function Chips({ question, value, onAnswer, kiosk }) {
+    return (
+      <div role="group" aria-label={question.title} style={{ width: "90vw", maxWidth: "90vw", marginInline: "auto" }}>
+        {(question.answers || []).map((a) => {
+          const selected = listOf(value).includes(a.id);
+          return (
+            <AnswerChip key={a.id} kiosk={kiosk} selected={selected} onClick={() => canSelect(question, value, a.id) && onAnswer(a.id)}>
+              {a.label}
+            </AnswerChip>
+          );
+        })}
+      </div>
+    );
+  },
+  slider: SliderQuestion,
+};
 
-function ProductResultView({ code, tallies, kiosk }) {
+function QuestionWidget({ question, ...props }) {
+  const Widget = WIDGET_RENDERERS[question.widget] ?? WIDGET_RENDERERS["icon-tiles"];
+  return <Widget question={question} {...props} />;
+}
+
+function ProductResultView({ code, tallies, explanation, copy, shelfText, kiosk }) {
   const meta = PRODUCT_META[code] || {
     name: code,
     subtitle: "",
@@ -737,8 +980,12 @@ function ProductResultView({ code, tallies, kiosk }) {
     images: { exploded: "/fallback-exploded.png", pack: "/fallback-pack.png" },
   };
 
-  // non-zero counts, sorted desc
-  const counts = Object.entries(tallies)
+  const reasons = explanation?.reasons || [];
+  const tieBreak = explanation?.tieBreak;
+
+  // non-zero counts, sorted desc (dev only — customers see the reasons instead)
+  const showCounts = process.env.NODE_ENV !== "production";
+  const counts = Object.entries(tallies || {})
     .filter(([, v]) => v > 0)
     .sort((a, b) => b[1] - a[1]);
 
@@ -755,12 +1002,23 @@ function ProductResultView({ code, tallies, kiosk }) {
 		  
         <div className="order-2 md:order-1">
 		<img src={LOGO_SRC} alt="Nourished formulaic" className="h-7 md:h-14" />	
+          {copy?.name && (
+            <h2 className={kiosk ? "text-4xl" : "text-3xl"} style={{ fontWeight: 700, marginTop: 24, color: BRAND.text }}>
+              {copy.name}
+            </h2>
+          )}
+          {copy?.tagline && (
+            <p className="mt-2 text-lg" style={{ color: BRAND.text, opacity: 0.85 }}>
+              {copy.tagline}
+            </p>
+          )}
 			{meta.blurb && (
             <p className="mt-6 text-base md:text-lg text-center md:text-left" style={{ color: BRAND.text }}>
               {meta.blurb}
             </p>
 		
           )}
+			{kiosk && shelfText && (
 			<p
   className="mt-6 text-lg text-center font-medium border rounded-2xl px-4 py-3 inline-block mx-auto"
   style={{
@@ -770,8 +1028,9 @@ function ProductResultView({ code, tallies, kiosk }) {
     background: "rgba(255,255,255,0.85)",
   }}
 >
- Find <strong>{meta.name}</strong> on the shelf below to start your wellness journey today.
+ {shelfText}
 </p>
+			)}
           <img
             src={meta.images.exploded}
             alt={`${meta.name} exploded stack`}
@@ -779,8 +1038,33 @@ function ProductResultView({ code, tallies, kiosk }) {
             onError={(e) => (e.currentTarget.style.display = "none")}
           />
 
+          {/* Because you told us… (a fallback winner has no reasons, only the tie-break line) */}
+          {(reasons.length > 0 || tieBreak) && (
+            <div className="w-full mt-4" style={{ color: BRAND.text }}>
+              {reasons.length > 0 && (
+                <>
+                  <p className={kiosk ? "text-2xl" : "text-lg"} style={{ fontWeight: 700 }}>
+                    Because you told us…
+                  </p>
+                  <ul className={`list-disc pl-6 mt-2 ${kiosk ? "text-xl" : "text-base"}`}>
+                    {reasons.map((r) => (
+                      <li key={`${r.question}:${r.option}`}>
+                        <strong>{r.answer}</strong> <span style={{ opacity: 0.75 }}>— {r.title}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+              {tieBreak && (
+                <p className="mt-2 text-sm" style={{ opacity: 0.8 }}>
+                  {tieBreak.text}
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Compact counts line + neat list */}
-          {counts.length > 0 && (
+          {showCounts && counts.length > 0 && (
             <div className="w-full mt-3">
               <div className="text-sm opacity-80 text-center md:text-left">
                 {counts.map(([c, v], i) => (
@@ -809,36 +1093,312 @@ function ProductResultView({ code, tallies, kiosk }) {
   );
 }
 
-// ---- Boots URL map (SKU → product page) ADDED FOR ONLINE ONLY
-const BOOTS_URLS = {
-  BMCA: "https://www.boots.com/nourished-bmca-nutrient-stacks-30-gummies-10378545",
-  CPE:  "https://www.boots.com/nourish3d-cpe-nutrient-stacks-30-gummies-10378546",
-  ECP:  "https://www.boots.com/nourish3d-ecp-nutrient-stacks-30-gummies-10378547",
-  EIC:  "https://www.boots.com/nourish3d-eic-nutrient-stacks-30-gummies-10378548",
-  EPI:  "https://www.boots.com/nourish3d-epi-nutrient-stacks-30-gummies-10378549",
-  GSI:  "https://www.boots.com/nourish3d-gsi-nutrient-stacks-30-gummies-10378550",
-  HCP:  "https://www.boots.com/nourish3d-hcp-nutrient-stacks-30-gummies-10378551",
-  HPES: "https://www.boots.com/nourish3d-hpes-nutrient-stacks-30-gummies-10378552",
-  MECA: "https://www.boots.com/nourish3d-meca-nutrient-stacks-30-gummies-10378553",
-  MJB:  "https://www.boots.com/nourish3d-mjb-nutrient-stacks-30-gummies-10378554",
-  RNP:  "https://www.boots.com/nourish3d-rnp-nutrient-stacks-30-gummies-10378555",
-  SHP:  "https://www.boots.com/nourish3d-shp-nutrient-stacks-30-gummies-10378556",
-  SPE:  "https://www.boots.com/nourish3d-spe-nutrient-stacks-30-gummies-10378557"
-};
+// ---- kiosk handoff (lib/handoff.mjs)
+function QrCode({ value, size }) {
+  const qr = useMemo(() => {
+    try {
+      return encodeQr(value);
+    } catch {
+      return null; // too long for a QR code: the panel still offers email
+    }
+  }, [value]);
+  if (!qr) return null;
+  const dim = qr.size + 8; // 4-module quiet zone each side
+  return (
+    <svg viewBox={`0 0 ${dim} ${dim}`} width={size} height={size} role="img" aria-label="QR code for your result" shapeRendering="crispEdges">
+      <rect width={dim} height={dim} fill="#fff" />
+      <path d={qrSvgPath(qr)} fill="#000" />
+    </svg>
+  );
+}
+
+function HandoffPanel({ handoff, kiosk, theme, onEmailSent }) {
+  const [email, setEmail] = useState("");
+  const [status, setStatus] = useState(null); // null | "sending" | "sent" | "error"
+  const valid = isEmailAddress(email.trim());
+
+  const sendEmail = async (e) => {
+    e.preventDefault();
+    if (!valid || status === "sending") return;
+    setStatus("sending");
+    try {
+      const res = await fetch(HANDOFF_EMAIL_URL, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ email: email.trim(), token: handoff.token, device: handoff.device, key: handoff.key }),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      setEmail(""); // a shared screen: don't leave the address up for the next person
+      setStatus("sent");
+      onEmailSent?.();
+    } catch {
+      setStatus("error");
+    }
+  };
+
+  return (
+    <div className="mt-6 rounded-[28px] border p-6 md:p-10" style={{ borderColor: BRAND.border, background: "rgba(255,255,255,.92)" }}>
+      <h2 className={kiosk ? "text-3xl" : "text-2xl"} style={{ fontWeight: 700, marginBottom: 16, textAlign: "center" }}>
+        Take your result with you
+      </h2>
+      <div className={`grid gap-8 items-center ${handoff.qr && handoff.email ? "md:grid-cols-2" : ""}`}>
+        {handoff.qr && (
+          <div className="flex flex-col items-center text-center">
+            <QrCode value={handoff.url} size={kiosk ? 240 : 180} />
+            <p className="mt-3 text-lg">Scan with your phone camera to open your formula and its product links.</p>
+          </div>
+        )}
+        {handoff.email && (
+          <form onSubmit={sendEmail} className="grid gap-3">
+            <label htmlFor="handoff-email" className="text-lg" style={{ fontWeight: 700 }}>
+              {handoff.qr ? "Or email it to yourself" : "Email it to yourself"}
+            </label>
+            <input
+              id="handoff-email"
+              type="email"
+              inputMode="email"
+              autoComplete="off"
+              autoCapitalize="off"
+              autoCorrect="off"
+              spellCheck={false}
+              value={email}
+              onChange={(e) => {
+                setEmail(e.target.value);
+                if (status !== "sending") setStatus(null);
+              }}
+              placeholder="you@example.com"
+              className={`rounded-2xl border px-4 ${kiosk ? "py-4 text-xl" : "py-3 text-base"}`}
+              style={{ borderColor: BRAND.border }}
+            />
+            <Button kiosk={kiosk} type="submit" disabled={!valid || status === "sending"} bg={theme.accent} textColor={theme.accentText}>
+              {status === "sending" ? "Sending…" : "Send"}
+            </Button>
+            <p role="status" aria-live="polite">
+              {status === "sent" && "Sent! Check your inbox."}
+              {status === "error" && "We couldn’t send that just now. Scan the code instead, or try again."}
+            </p>
+            <p className="text-sm" style={{ opacity: 0.75 }}>
+              We only use your email address to send this result. It isn’t stored.
+            </p>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Online results: share the ?r= link (share sheet on phones, clipboard elsewhere)
+function ShareResultButton({ url }) {
+  const [copied, setCopied] = useState(false);
+  const share = async () => {
+    try {
+      if (navigator.share) await navigator.share({ title: "My Nourished formula", url });
+      else {
+        await navigator.clipboard.writeText(url);
+        setCopied(true);
+      }
+    } catch {} // share sheet dismissed, or clipboard blocked in this frame
+  };
+  return <Button onClick={share}>{copied ? "Link copied" : "Share your result"}</Button>;
+}
+
+// ---- "Continue where you left off?" (online, after a reload mid-quiz)
+function ResumePrompt({ progress, theme, onContinue, onStartOver }) {
+  return (
+    <div
+      role="region"
+      aria-label="Continue your quiz"
+      className="mx-auto rounded-2xl border p-4"
+      style={{ maxWidth: 420, marginBottom: 24, borderColor: BRAND.border, background: "rgba(255,255,255,0.85)" }}
+    >
+      <p style={{ fontWeight: 700, marginBottom: 4 }}>Continue where you left off?</p>
+      <p style={{ opacity: 0.85, marginBottom: 12 }}>
+        You were on question {progress.index} of {progress.total}.
+      </p>
+      <div className="grid grid-cols-2 gap-3">
+        <Button onClick={onStartOver}>Start over</Button>
+        <Button onClick={onContinue} bg={theme.accent} textColor={theme.accentText}>
+          Continue
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+// ---- stack results (primary formula + complements)
+function StackResultView({
+  stack,
+  tallies,
+  explanation,
+  content,
+  retailer,
+  kiosk,
+  handoff,
+  onHandoff,
+  shareUrl,
+  note,
+  onNavigate,
+  onRestart,
+  onSettled,
+}) {
+  const complements = stack.complements || [];
+  const codes = [stack.primary, ...complements.map((c) => c.code)].join(",");
+  const imagesRef = useImagesSettled(onSettled, codes); // "height settled" once product images are in
+  const primaryUrl = productUrlFor(retailer, stack.primary);
+  const name = productName(stack.primary);
+  return (
+    <div ref={imagesRef}>
+      {note && (
+        <p className="mb-4 text-center" role="status" style={{ opacity: 0.85 }}>
+          {note}
+        </p>
+      )}
+      <ProductResultView
+        code={stack.primary}
+        tallies={tallies}
+        explanation={explanation}
+        copy={content?.[stack.primary]}
+        shelfText={retailerCopy(retailer, "shelf", { name })}
+        kiosk={kiosk}
+      />
+
+      {complements.length > 0 && (
+        <div
+          className="mt-6 rounded-[28px] border p-6 md:p-10"
+          style={{ borderColor: BRAND.border, background: "rgba(255,255,255,.92)" }}
+        >
+          <h2 className={kiosk ? "text-3xl" : "text-2xl"} style={{ fontWeight: 700, marginBottom: 16, textAlign: "center" }}>
+            Complete your stack
+          </h2>
+          <div className={`grid gap-6 ${complements.length > 1 ? "md:grid-cols-2" : ""}`}>
+            {complements.map(({ code, adds }) => {
+              const meta = PRODUCT_META[code] || { name: code, title: "", images: {} };
+              const url = productUrlFor(retailer, code);
+              return (
+                <div key={code} className="flex items-center gap-4">
+                  <img
+                    src={meta.images.pack}
+                    alt={`${meta.name} pack`}
+                    className="h-auto rounded-2xl"
+                    style={{ width: kiosk ? 160 : 120 }}
+                    onError={(e) => (e.currentTarget.style.display = "none")}
+                  />
+                  <div>
+                    <p className={kiosk ? "text-2xl" : "text-xl"} style={{ fontWeight: 700 }}>
+                      {productName(code)}
+                    </p>
+                    {content?.[code]?.tagline && <p>{content[code].tagline}</p>}
+                    <p style={{ opacity: 0.85 }}>Adds {adds.join(" • ")}</p>
+                    {url && !kiosk && (
+                      <a
+                        href={url}
+                        target="_top"
+                        rel="noopener"
+                        className="underline text-sm"
+                        onClick={(e) => {
+                          e.preventDefault();
+                          onNavigate(url, "view");
+                        }}
+                      >
+                        {retailerCopy(retailer, "view", { name: productName(code) })}
+                      </a>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {handoff && (handoff.qr || handoff.email) && (
+        <HandoffPanel handoff={handoff} kiosk={kiosk} theme={retailer.theme} onEmailSent={() => onHandoff?.("email")} />
+      )}
+
+      <div className="mt-6 grid gap-3 mx-auto" style={{ maxWidth: 480 }}>
+        {/* retailer links leave the quiz, so they're hidden on in-store kiosks */}
+        {primaryUrl && !kiosk && (
+          <Button
+            kiosk={kiosk}
+            onClick={() => onNavigate(primaryUrl, "buy")}
+            bg={retailer.theme.accent}
+            textColor={retailer.theme.accentText}
+          >
+            {retailerCopy(retailer, "buy", { name })}
+          </Button>
+        )}
+        {shareUrl && <ShareResultButton url={shareUrl} />}
+        <Button kiosk={kiosk} onClick={onRestart}>
+          Start again
+        </Button>
+      </div>
+    </div>
+  );
+}
 
 // ---- Main
 export default function QuizClient() {
   const { get } = useQueryParams();
   const kiosk = get("kiosk", "0") === "1";
-  const context = get("context", "default");
-  const [weights, setWeights] = useState({});
-	
-  useAutoResize();
+  const device = useKioskDevice(kiosk, get);
+  const deviceKey = kiosk ? get("key", null) : null; // KIOSK_KEYS entry; lets /api/handoff/email send for this device
+  const [contextOverride, setContextOverride] = useState(null); // SET_CONTEXT from the host page
+  // ?r= result link (online only): its answers are restored once the questions load, further down
+  const resultParam = kiosk ? null : get(RESULT_PARAM, null);
+  const pinWeights = get("pin", "0") === "1";
+  const linkContext = useMemo(() => decodeResultLink(resultParam)?.context ?? null, [resultParam]);
+  const context = contextOverride ?? get("context", null) ?? linkContext ?? device.context;
+  const retailer = useMemo(() => retailerFor(context), [context]);
+  const redirectParam = get("redirect", null); // per-embed override of the profile default
+  const autoRedirect = !kiosk && (redirectParam != null ? redirectParam === "1" : retailer.cta.autoRedirect);
+  const hostNavigates = get("embed", "0") === "1"; // loader embeds: the host page follows NAVIGATE
+  const resumeParam = get("resume", null); // per-embed override of the profile default
+  const resumeEnabled = !kiosk && (resumeParam != null ? resumeParam === "1" : retailer.resume);
+  const [weights, setWeights] = useState(null); // null until loaded
+  const [pinnedWeights, setPinnedWeights] = useState(null); // archived weights for a ?pin=1 result link
+  const [rules, setRules] = useState([]);
+  const [content, setContent] = useState({});
+
+  // Host page messages (RESET / SET_CONTEXT / PREFILL) — handled further down once state exists
+  const inbound = useRef(null);
+  const host = useHostBridge(retailer, (msg) => inbound.current?.(msg));
+  const { send } = host;
+
+  const settleHeight = useAutoResize(host);
+  const outbox = useOfflineKiosk(kiosk);
+
+  // Leave the quiz: ask the host page when it handles navigation, else break out of the iframe ourselves
+  const navigate = (url, reason) => {
+    if (!url) return;
+    const href = new URL(url, window.location.href).href;
+    if (hostNavigates && send(OUTBOUND.NAVIGATE, { url: href, reason })) return;
+    navigateTop(href);
+  };
+
+  // Anonymous funnel analytics — option ids and product codes only, nothing personal
+  const analytics = useMemo(() => {
+    const names = [process.env.NEXT_PUBLIC_ANALYTICS_SINKS || retailer.analytics.sinks];
+    if (process.env.NODE_ENV !== "production") names.push("console");
+    return createAnalytics({
+      sink: createSink(names, { send, outbox }),
+      context: retailer.id,
+      kiosk,
+      device: device.id,
+      store: device.store,
+    });
+  }, [retailer, kiosk, device.id, device.store, send, outbox]);
+  const { track } = analytics;
+  useDevConfigCheck(retailer);
+
+  useEffect(() => {
+    if (context && !isKnownRetailer(context)) console.warn(`⚠️ Unknown context "${context}", using "${retailer.id}"`);
+  }, [context, retailer]);
 
-  // Idle
+  // Idle (kiosk): quiet period → "Are you still there?" countdown → back to the attract loop
   const [idle, setIdle] = useState(kiosk);
+  const [idleCountdown, setIdleCountdown] = useState(null); // seconds left while the warning shows
   const idleTimer = useRef(null);
-  const IDLE_MS = kiosk ? 30000 : null;
+  const onIdleReset = useRef(null);
 
   // Ensure online (non-kiosk) mode never stays idle
   useEffect(() => {
@@ -851,22 +1411,52 @@ export default function QuizClient() {
   const [error, setError] = useState(null);
   const [step, setStep] = useState(0);
   const [answers, setAnswers] = useState({});
+  const [restored, setRestored] = useState(null); // { revision, skipped } while showing a ?r= result
+  const [resumable, setResumable] = useState(null); // { step, answers } offered on the intro after a reload
+  const sentResult = useRef(null); // the last result reported to analytics and the host page
 
   const resetAll = useCallback(() => {
     setAnswers({});
     setStep(0);
+    setRestored(null);
+    setPinnedWeights(null);
+    setResumable(null);
+    sentResult.current = null; // a new quiz may well land on the same result
   }, []);
 
+  // Where the user was, for the idle-abandon event (read from the idle timer)
+  const idleState = useRef({ step: 0, questionId: null, phase: "intro" });
+
+  useEffect(() => {
+    onIdleReset.current = () => {
+      const { step: at, questionId, phase } = idleState.current;
+      if (at > 0) track(EVENTS.ABANDON_IDLE, { step: at, questionId, phase });
+      setIdleCountdown(null);
+      setIdle(true);
+      resetAll();
+      setStep(0); // ensure it always returns to intro
+    };
+  });
+
+  useEffect(() => {
+    if (!kiosk) return;
+    const timer = createIdleTimer({ onCountdown: setIdleCountdown, onReset: () => onIdleReset.current?.() });
+    idleTimer.current = timer;
+    return () => {
+      timer.stop();
+      idleTimer.current = null;
+    };
+  }, [kiosk]);
+
 const bumpIdle = useCallback(() => {
 	if (!kiosk) return; // ⬅️ STOP idle handling for online
   setIdle(false);
-  if (idleTimer.current) clearTimeout(idleTimer.current);
-  idleTimer.current = setTimeout(() => {
-    setIdle(true);
-    resetAll();
-    setStep(0); // ensure it always returns to intro
-  }, IDLE_MS);
-}, [IDLE_MS, resetAll, kiosk]);
+  setIdleCountdown(null);
+  const { phase } = idleState.current;
+  // results get longer (people read them at the shelf); the landing page has nothing to lose, so no warning
+  const quietMs = phase === "results" ? device.resultsIdleMs : device.idleMs;
+  idleTimer.current?.bump(quietMs, phase === "intro" ? 0 : device.warningMs);
+}, [kiosk, device.idleMs, device.resultsIdleMs, device.warningMs]);
 
   useEffect(() => {
 	    if (!kiosk) return;
@@ -886,48 +1476,26 @@ const bumpIdle = useCallback(() => {
     },
   ];
 
+  // Config files for this retailer
+  const { questions: questionsUrl, weights: weightsUrl, rules: rulesUrl, content: contentUrl } = retailer.files;
+
   // Load questions + robust type normalization
   useEffect(() => {
     let cancelled = false;
     async function load() {
       try {
-        const res = await fetch("/boots_quiz_questions.json", { cache: "no-store" });
+        const res = await fetch(questionsUrl, { cache: "no-store" });
         if (!res.ok) throw new Error(`HTTP ${res.status}`);
         const data = await res.json();
         const src = Array.isArray(data) ? data : [];
 
-        const transformed = src.map((q, i) => {
-  const opts = normalizeOptionsFromAny(q, i);
-
-  const t = String(q.type || "").toLowerCase();
-  const typeMap = { slider: "slider", range: "slider", scale: "slider", likert: "slider" };
-
-  // infer slider if no options and has min/max labels
-  const inferred = !t && (!opts.length && (q.minLabel || q.maxLabel)) ? "slider" : (opts.length ? "single" : "single");
-
-  let qtype = typeMap[t] || inferred;
-
-  // 🔒 hard guard: ensure the “How active…” question is always a slider
-  const qid = String(q.id ?? `q_${i}`);
-  if (qid === "feeling_activity_levels") {
-    qtype = "slider";
-  }
-
-  return {
-    id: qid,
-    title: q.title ?? `Question ${i + 1}`,
-    type: qtype,
-    answers: opts,
-    minLabel: q.minLabel,
-    maxLabel: q.maxLabel,
-    required: qtype === "slider" ? false : true,
-  };
-});
+        const transformed = normalizeQuestions(src);
 
         if (!cancelled) setQuestions(transformed.length ? transformed : FALLBACK);
       } catch (e) {
         if (!cancelled) {
           setError(String(e?.message || e));
+          send(OUTBOUND.ERROR, { where: "questions", message: String(e?.message || e) });
           setQuestions(FALLBACK);
         }
       } finally {
@@ -938,118 +1506,409 @@ const bumpIdle = useCallback(() => {
     return () => {
       cancelled = true;
     };
-  }, []);
+  }, [questionsUrl, send]);
 
 // ---- Load weightings JSON for scoring (with error logging)
 useEffect(() => {
   let cancelled = false;
   (async () => {
     try {
-      const res = await fetch(WEIGHTS_URL, { cache: "no-store" });
-      if (!res.ok) throw new Error(`weights fetch HTTP ${res.status} at ${WEIGHTS_URL}`);
+      const res = await fetch(weightsUrl, { cache: "no-store" });
+      if (!res.ok) throw new Error(`weights fetch HTTP ${res.status} at ${weightsUrl}`);
       const w = await res.json();
       if (!cancelled) setWeights(w || {});
     } catch (e) {
       console.warn("⚠️ Failed to load weights:", e);
+      send(OUTBOUND.ERROR, { where: "weights", message: String(e?.message || e) });
       if (!cancelled) setWeights({});
     }
   })();
   return () => { cancelled = true; };
-}, []);
+}, [weightsUrl, send]);
 
+// ---- Load eligibility rules (no rules = nothing excluded)
+useEffect(() => {
+  let cancelled = false;
+  (async () => {
+    try {
+      const res = await fetch(rulesUrl, { cache: "no-store" });
+      if (!res.ok) throw new Error(`rules fetch HTTP ${res.status} at ${rulesUrl}`);
+      const r = await res.json();
+      if (!cancelled) setRules(loadRules(r));
+    } catch (e) {
+      console.warn("⚠️ Failed to load rules:", e);
+      send(OUTBOUND.ERROR, { where: "rules", message: String(e?.message || e) });
+      if (!cancelled) setRules([]);
+    }
+  })();
+  return () => { cancelled = true; };
+}, [rulesUrl, send]);
+
+// ---- Load results copy (name, tagline per product code)
+useEffect(() => {
+  let cancelled = false;
+  (async () => {
+    try {
+      const res = await fetch(contentUrl, { cache: "no-store" });
+      if (!res.ok) throw new Error(`content fetch HTTP ${res.status} at ${contentUrl}`);
+      const c = await res.json();
+      if (!cancelled) setContent(c || {});
+    } catch (e) {
+      console.warn("⚠️ Failed to load results content:", e);
+      send(OUTBOUND.ERROR, { where: "content", message: String(e?.message || e) });
+      if (!cancelled) setContent({});
+    }
+  })();
+  return () => { cancelled = true; };
+}, [contentUrl, send]);
+
+// Accepts v2 (id-keyed) or legacy (title-keyed) weights; legacy needs questions to resolve ids
+const weightsModel = useMemo(() => {
+  try {
+    return loadWeights(pinnedWeights ?? weights, questions);
+  } catch (e) {
+    console.warn("⚠️ Failed to load weights:", e);
+    return loadWeights(null);
+  }
+}, [weights, pinnedWeights, questions]);
+const weightsRev = useMemo(() => weightsRevision(weights), [weights]);
 
 const total = Array.isArray(questions) ? questions.length : 0;
 const isLoading = total === 0;                 // guard while questions load
 const isResults = total > 0 && step > total;   // only show results when we have questions
 const current = step === 0 ? null : questions[step - 1];
 
+// ---- Recommendation (only computed on the results step)
+// Kiosks only recommend what their shelf stocks ("Find X on the shelf below")
+const available = useMemo(() => (kiosk ? availableProducts(device) : null), [kiosk, device]);
+const result = useMemo(
+  () => (isResults ? scoreQuiz({ questions, weights: weightsModel, answers, rules, available }) : null),
+  [isResults, questions, weightsModel, answers, rules, available]
+);
+
+// ---- Stack (primary + complements) for this retailer context
+const stackConfig = useMemo(() => stackConfigFor(retailer.stack), [retailer]);
+const stack = useMemo(() => {
+  if (!result?.winner) return null;
+  if (stackConfig.mode === "stack") return recommendStack(result, stackConfig);
+  return { primary: result.winner, complements: [], areas: [], skipped: [] }; // "single": winner only
+}, [result, stackConfig]);
+
+// Kiosk results leave as a link (QR code, or email where the device allows it) — product codes only
+const offersEmail = kiosk && device.handoff.email && !!deviceKey; // the server refuses email without the device's key
+const handoff = useMemo(() => {
+  if (!kiosk || !stack?.primary) return null;
+  const token = encodeHandoff({ context: retailer.id, codes: [stack.primary, ...stack.complements.map((c) => c.code)] });
+  if (!token) return null;
+  return {
+    ...device.handoff,
+    email: offersEmail,
+    token,
+    device: device.id,
+    key: deviceKey,
+    url: handoffUrl(token, process.env.NEXT_PUBLIC_SITE_URL || window.location.origin),
+  };
+}, [kiosk, stack, retailer.id, device.id, device.handoff, deviceKey, offersEmail]);
+
+// ---- ?r= result links: restore once the questions are in, then keep the URL in step with the result
+const restoredFrom = useRef(null);
+useEffect(() => {
+  if (!resultParam || loading || total === 0 || restoredFrom.current === resultParam) return;
+  restoredFrom.current = resultParam;
+  const link = decodeResultLink(resultParam, questions);
+  if (!link || !Object.keys(link.answers).length) return; // unreadable: start as normal
+  setAnswers(pruneHiddenAnswers(questions, link.answers));
+  setStep(total + 1);
+  setRestored({ revision: link.revision, skipped: link.skipped });
+}, [resultParam, loading, total, questions]);
+
+// ?pin=1: score with the weights the link was made with, if that revision was archived
+useEffect(() => {
+  if (!pinWeights || !restored?.revision || !weightsRev || restored.revision === weightsRev) return;
+  let cancelled = false;
+  (async () => {
+    const url = archivedWeightsUrl(restored.revision);
+    try {
+      const res = await fetch(url, { cache: "no-store" });
+      if (!res.ok) throw new Error(`HTTP ${res.status} at ${url}`);
+      const w = await res.json();
+      if (!cancelled) setPinnedWeights(w);
+    } catch (e) {
+      console.warn(`⚠️ Weights revision ${restored.revision} isn't archived; scoring with the current weights`, e);
+    }
+  })();
+  return () => { cancelled = true; };
+}, [pinWeights, restored, weightsRev]);
+
+const resultToken = useMemo(() => {
+  if (kiosk || !result || !weightsRev) return null; // kiosks never put answers in the URL
+  return encodeResultLink({
+    context: retailer.id,
+    revision: pinnedWeights ? restored?.revision : weightsRev,
+    answers: pruneHiddenAnswers(questions, answers),
+    questions,
+  });
+}, [kiosk, result, weightsRev, pinnedWeights, restored, retailer.id, answers, questions]);
+
+// ---- Online progress survives a reload (sessionStorage); offered once on the intro, then kept in step
+const session = useMemo(() => (resumeEnabled ? createSessionStore() : null), [resumeEnabled]);
+const quizVer = useMemo(() => quizVersion(questions, weights), [questions, weights]);
+const resumeChecked = useRef(false);
+useEffect(() => {
+  if (!session || !quizVer) return;
+  if (!resumeChecked.current) {
+    resumeChecked.current = true;
+    const saved = step === 0 && !resultParam ? resumeProgress(session.load(quizVer, retailer.id), questions) : null;
+    if (saved) {
+      setResumable(saved);
+      return;
+    }
+  }
+  if (resumable) return; // keep it until they choose
+  if (step > 0 && step <= total) session.save({ version: quizVer, context: retailer.id, step, answers });
+  else session.clear(); // back on the intro, or finished (results live in ?r=)
+}, [session, quizVer, resultParam, retailer.id, questions, total, step, answers, resumable]);
+
+// ---- Browser history (online): each step becomes an entry; popstate is handled with the step buttons below
+const historyEnabled = !kiosk;
+const onPopStep = useRef(null);
+useEffect(() => {
+  if (!historyEnabled) return;
+  const onPop = (e) => onPopStep.current?.(e.state);
+  window.addEventListener("popstate", onPop);
+  return () => window.removeEventListener("popstate", onPop);
+}, [historyEnabled]);
+
+const historySynced = useRef(false);
+useEffect(() => {
+  if (!historyEnabled || total === 0) return;
+  const entry = stepFromState(window.history.state);
+  const url = new URL(window.location.href);
+  url.hash = stepHash(step, total);
+  if (!historySynced.current || !entry) {
+    historySynced.current = true; // entries left from before a reload aren't ours to count
+    window.history.replaceState(historyState(window.history.state, step, 0), "", url.href);
+    return;
+  }
+  if (entry.step === step) return; // arrived here by popstate
+  if (step === 0 && entry.depth > 0) {
+    window.history.go(-entry.depth); // "Start again": rewind to the intro entry instead of adding one
+    return;
+  }
+  window.history.pushState(historyState(window.history.state, step, entry.depth + 1), "", url.href);
+}, [historyEnabled, total, step]);
+
+// Standalone link to share; embeds open it as the plain quiz page
+const shareUrl = useMemo(() => {
+  if (!resultToken) return null;
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set("context", retailer.id);
+  url.searchParams.set(RESULT_PARAM, resultToken);
+  if (pinnedWeights) url.searchParams.set("pin", "1");
+  return url.href;
+}, [resultToken, retailer.id, pinnedWeights]);
+
+useEffect(() => {
+  if (kiosk) return;
+  if (!resultToken && resultParam && restoredFrom.current !== resultParam) return; // not restored yet
+  const url = new URL(window.location.href);
+  if (resultToken) url.searchParams.set(RESULT_PARAM, resultToken);
+  else {
+    url.searchParams.delete(RESULT_PARAM);
+    url.searchParams.delete("pin");
+  }
+  if (url.href !== window.location.href) window.history.replaceState(window.history.state, "", url.href);
+}, [kiosk, resultToken, resultParam]);
+
+// Kiosk attract loop: the device's schedule, its stocked products, taglines from the results content
+const attractSlides = useMemo(
+  () => buildAttractSlides({ attract: device.attract, stocked: device.stocked, content }),
+  [device, content]
+);
+const attractPrompts = useMemo(() => attractLoopConfig(device.attract.loop).prompts, [device]);
+
+// "Because you told us…" reasons for the winner
+const explanation = useMemo(() => (result ? explainResult(result, questions) : null), [result, questions]);
+
+// ---- Host page events (lib/embed.mjs)
+useEffect(() => {
+  if (!loading && total > 0) send(OUTBOUND.READY, { context: retailer.id, kiosk, questionCount: total });
+}, [loading, total, retailer.id, kiosk, send]);
+
+const sentStep = useRef(null);
+useEffect(() => {
+  if (total === 0 || sentStep.current === step) return; // answers change the count, not the step
+  sentStep.current = step;
+  const phase = step === 0 ? "intro" : step > total ? "results" : "question";
+  const { index, total: visibleTotal } = progressForStep(questions, answers, step);
+  const questionId = phase === "question" ? questions[step - 1]?.id ?? null : null;
+  idleState.current = { step, questionId, phase };
+  send(OUTBOUND.STEP_CHANGED, {
+    step,
+    phase,
+    questionId,
+    index: phase === "question" ? index : null,
+    total: visibleTotal,
+  });
+  if (phase === "question") track(EVENTS.QUESTION_VIEW, { questionId, index, total: visibleTotal });
+}, [step, total, questions, answers, send, track]);
+
+// Entering or leaving results switches the idle timeout, so restart it (runs after idleState is updated above)
+const idleOnResults = useRef(false);
+useEffect(() => {
+  if (idleOnResults.current === isResults) return;
+  idleOnResults.current = isResults;
+  if (kiosk && !idle) bumpIdle();
+}, [isResults, kiosk, idle, bumpIdle]);
+
+const sentAnswers = useRef({});
+useEffect(() => {
+  const prev = sentAnswers.current;
+  Object.keys({ ...prev, ...answers }).forEach((qid) => {
+    if (JSON.stringify(prev[qid]) !== JSON.stringify(answers[qid])) {
+      send(OUTBOUND.ANSWERED, { questionId: qid, value: answers[qid] ?? null });
+    }
+  });
+  sentAnswers.current = answers;
+}, [answers, send]);
+
+// Once per result: going Back and Forward onto the same result again isn't a new completion
+useEffect(() => {
+  if (!result) return;
+  const codes = stack ? [stack.primary, ...stack.complements.map((c) => c.code)] : [];
+  const key = JSON.stringify([retailer.id, result.winner, codes]);
+  if (sentResult.current === key) return;
+  sentResult.current = key;
+  const rulesApplied = (result.rulesApplied || []).map((r) => r.id); // so support can see why a product was excluded
+  if (!restored) track(EVENTS.RESULT, { product: result.winner, stack: codes, decidedBy: result.decidedBy, rulesApplied }); // a reopened link isn't a new completion
+  send(OUTBOUND.RESULT, {
+    context: retailer.id,
+    winner: result.winner,
+    stack: codes,
+    decidedBy: result.decidedBy,
+    rulesApplied,
+    productUrl: productUrlFor(retailer, result.winner),
+    device: device.id,
+    store: device.store,
+    restored: !!restored,
+  });
+}, [result, stack, retailer, device.id, device.store, restored, send, track]);
+
+// Commands from the host page
+useEffect(() => {
+  inbound.current = ({ type, payload }) => {
+    if (type === INBOUND.RESET) {
+      resetAll();
+      setIdle(kiosk);
+    } else if (type === INBOUND.SET_CONTEXT) {
+      if (!isKnownRetailer(payload.context)) {
+        send(OUTBOUND.ERROR, { where: "SET_CONTEXT", message: `Unknown context "${payload.context}"` });
+        return;
+      }
+      setContextOverride(String(payload.context).toLowerCase());
+      resetAll();
+    } else if (type === INBOUND.PREFILL) {
+      const known = new Set(questions.map((q) => q.id));
+      const given = Object.entries(payload.answers || {}).filter(([qid]) => known.has(qid));
+      setAnswers((prev) => pruneHiddenAnswers(questions, { ...prev, ...Object.fromEntries(given) }));
+    }
+  };
+});
+
 	useEffect(() => {
   if (total === 0) return;
   const maxStep = total + 1; // +1 is results page
   if (step < 0 || step > maxStep) setStep(0);
 }, [total, step]);
 
-function setAnswer(qid, value, mode = "single") {
-  setAnswers((prev) => {
-    const next = { ...prev };
-    const titleKey = current?.title; // current visible title
-
-    const saveVal = (destKey) => {
-      if (!destKey) return;
-      if (mode === "multi") {
-        const set = new Set(Array.isArray(prev[destKey]) ? prev[destKey] : []);
-        set.has(value) ? set.delete(value) : set.add(value);
-        next[destKey] = Array.from(set);
-      } else if (mode === "multi-limit-2") {
-        const set = new Set(Array.isArray(prev[destKey]) ? prev[destKey] : []);
-        if (set.has(value)) set.delete(value);
-        else if (set.size < 2) set.add(value);
-        next[destKey] = Array.from(set);
-      } else {
-        next[destKey] = value;
-      }
-    };
-
-    // store under qid (for navigation) and under the title (for scoring)
-    saveVal(qid);
-    if (titleKey) saveVal(titleKey);
-
-    return next;
-  });
+// Multi-select questions toggle `value` in a list (lib/selection.mjs: limits, exclusive options); the rest store it.
+// The event carries the stored answer, so a multi-select sends its whole list and a deselect shows as one
+function setAnswer(q, value) {
+  const qid = q.id;
+  const answer = applyAnswer(q, answers[qid], value);
+  track(EVENTS.ANSWER, { questionId: qid, option: answer });
+  // drop answers to questions this change has hidden (showIf/skipIf)
+  setAnswers((prev) => pruneHiddenAnswers(questions, { ...prev, [qid]: answer }));
 }
 
 
+  // Why Continue is disabled (the same rules stop the browser's Forward button), or a note that the
+  // multi-select is full; null when there's nothing to say
+  const selectionNote = (() => {
+    if (step === 0 || !current) return null;
+    const value = answers[current.id];
+    const error = selectionError(current, value);
+    if (error) return { blocking: true, text: error };
+    if (isSelectionFull(current, value)) return { blocking: false, text: selectionMessage(current, "maxSelect", current.maxSelect) };
+    return null;
+  })();
+
   function canContinue() {
-    if (step === 0) return true;
-    if (!current) return true;
-    if (current.type === "slider") return true;
-    if (current.required === false) return true;
-    const v = answers[current.id];
-    if (isExercise(current)) return Array.isArray(v) && v.length > 0;
-    // if (isPriorities(current)) return Array.isArray(v) && v.length > 0 && v.length <= 2;
-	if (isPriorities(current)) return Array.isArray(v) && v.length > 0 && v.length === 2;
-      return current.type === "multi"
-    ? Array.isArray(v) && v.length > 0
-    : Boolean(v);
+    return !selectionNote?.blocking;
   }
 
-  // Identify special titles
-  const isSpecificDiet = (q) => titleIncludes(q, "specific diet");
-  const isWhichDiet = (q) => titleIncludes(q, "which diet");
-  const isProcessed = (q) => titleIncludes(q, "how often do you consume processed food") || titleIncludes(q, "how often do you eat processed");
-  const isExercise = (q) => titleIncludes(q, "when you exercise") || titleIncludes(q, "what kind of exercise");
-  const isPriorities = (q) =>
-    String(q?.title || "") === "What are your top two wellness priorities at the moment?";
-  const isActiveWeek = (q) => titleIncludes(q, "how active are you in a typical week");
-  const isGender = (q) => /are you\b|gender/i.test(q?.title || "");
-
-  // Next with conditional skip (diet)
+  // Next/Back skip questions hidden by showIf/skipIf in the questions JSON
   const goNext = () => {
-    setStep((s) => {
-      if (s >= total) return total + 1;
-      const currIndex = s - 1;
-      const currQ = questions[currIndex];
-      let nextStep = s + 1;
-
-      if (currQ && isSpecificDiet(currQ)) {
-        const ans = answers[currQ.id];
-        const nextQ = questions[currIndex + 1];
-        if (isNo(ans) && nextQ && isWhichDiet(nextQ)) nextStep = s + 2;
-      }
-
-      if (nextStep > total) return total + 1;
-      return nextStep;
-    });
+    const next = nextVisibleStep(questions, answers, step);
+    setStep(next);
+    // opt-in auto-redirect happens here, on the "See results" press, so Back never bounces again
+    if (autoRedirect && next > total) {
+      const { winner } = scoreQuiz({ questions, weights: weightsModel, answers, rules });
+      navigate(productUrlFor(retailer, winner), "auto-redirect");
+    }
   };
+  const goBack = () => {
+    const entry = historyEnabled ? stepFromState(window.history.state) : null;
+    if (entry?.step === step && entry.depth > 0) {
+      window.history.back(); // the popstate handler below moves the step, like the device Back gesture
+      return;
+    }
+    const prev = prevVisibleStep(questions, answers, step);
+    track(EVENTS.BACK, { fromQuestionId: current?.id ?? null, toQuestionId: questions[prev - 1]?.id ?? null });
+    setStep(prev);
+  };
+  const firstStep = () => nextVisibleStep(questions, {}, 0);
+  const startQuiz = () => {
+    track(EVENTS.QUIZ_START); // new anonymous session
+    setResumable(null);
+    setStep(firstStep());
+  };
+  const resumeQuiz = () => {
+    track(EVENTS.QUIZ_START); // a reload starts a new analytics session too
+    setAnswers(resumable.answers);
+    setStep(resumable.step);
+    setResumable(null);
+  };
+
+  // Back / Forward in the browser: same visibility rules as the buttons, and never a redirect on results
+  useEffect(() => {
+    onPopStep.current = (state) => {
+      const entry = stepFromState(state);
+      if (!entry || total === 0) return; // not one of ours
+      const to = resolveHistoryStep({ questions, answers, from: step, to: entry.step });
+      const url = new URL(window.location.href);
+      url.hash = stepHash(to, total);
+      if (to <= total) {
+        url.searchParams.delete(RESULT_PARAM); // e.g. the intro entry of a reopened result link
+        url.searchParams.delete("pin");
+      }
+      if (to !== entry.step || url.href !== window.location.href) {
+        window.history.replaceState(historyState(state, to, entry.depth), "", url.href);
+      }
+      if (to < step) track(EVENTS.BACK, { fromQuestionId: current?.id ?? null, toQuestionId: questions[to - 1]?.id ?? null });
+      setStep(to);
+    };
+  });
 
-  const goBack = () => setStep((s) => Math.max(0, s - 1));
+  const progress = progressForStep(questions, answers, step);
+  const isLastQuestion = step > 0 && nextVisibleStep(questions, answers, step) > total;
 
   return (
     <div
       className="min-h-screen"
       style={{
         color: BRAND.text,
-        backgroundImage: "url('/formula-code-bg.png')",
+        backgroundImage: `url('${retailer.theme.background}')`,
         backgroundSize: "cover",
         backgroundPosition: "center",
         backgroundRepeat: "no-repeat",
@@ -1132,10 +1991,13 @@ function setAnswer(qid, value, mode = "single") {
       {kiosk && idle && !isResults && (
         <AttractScreen
           kiosk={kiosk}
+          theme={retailer.theme}
+          slides={attractSlides}
+          prompts={attractPrompts}
           onStart={() => {
             setIdle(false);
             setAnswers({});
-            setStep(1);
+            startQuiz();
           }}
         />
       )}
@@ -1159,11 +2021,28 @@ function setAnswer(qid, value, mode = "single") {
                 <p className={kiosk ? "text-xl" : "text-lg"} style={{ opacity: 0.85, marginBottom: 24 }}>
                   Answer a few quick questions and we’ll match you to the right Nourished formula. Takes less than two minutes — quick, easy, and personalised to you.
                 </p>
-                <div className="mx-auto" style={{ maxWidth: 360 }}>
-                  <Button kiosk={kiosk} onClick={() => setStep(1)} bg="#e2c181" textColor="#153247">
-                    Get Started
-                  </Button>
-                </div>
+                {resumable ? (
+                  <ResumePrompt
+                    progress={progressForStep(questions, resumable.answers, resumable.step)}
+                    theme={retailer.theme}
+                    onContinue={resumeQuiz}
+                    onStartOver={() => {
+                      setAnswers({});
+                      startQuiz();
+                    }}
+                  />
+                ) : (
+                  <div className="mx-auto" style={{ maxWidth: 360 }}>
+                    <Button
+                      kiosk={kiosk}
+                      onClick={startQuiz}
+                      bg={retailer.theme.accent}
+                      textColor={retailer.theme.accentText}
+                    >
+                      Get Started
+                    </Button>
+                  </div>
+                )}
                 <p style={{ fontWeight: 300, marginTop: 40, fontSize: 12 }}>
                   Please note: This quiz is designed to help you select a personalised vitamin stack based on your
                   lifestyle and wellness goals. It is not intended to diagnose or treat any medical condition. If you
@@ -1176,174 +2055,47 @@ function setAnswer(qid, value, mode = "single") {
             <Stage kiosk={kiosk}>
               {!loading && current && (
                 <section style={{ width: "90vw", maxWidth: "90vw", marginInline: "auto" }}>
-                  {/* Titles */}
-                  {isProcessed(current) ? (
-                    <>
-                      <h2
-                        className={kiosk ? "text-4xl" : "text-3xl"}
-                        style={{ fontWeight: 700, marginBottom: kiosk ? 12 : 10, textAlign: "center", lineHeight: 1.15 }}
-                      >
-                        How often do you eat processed foods in a typical day?
-                      </h2>
-                      <p
-                        style={{
-                          textAlign: "center",
-                          opacity: 0.75,
-                          fontSize: kiosk ? "1.25rem" : "1rem",
-                          marginBottom: kiosk ? 40 : 28,
-                          maxWidth: 700,
-                          marginInline: "auto",
-                        }}
-                      >
-                        For example: ready meals, crisps, biscuits, packaged snacks, sugary cereals, or processed meats
-                      </p>
-                    </>
-                  ) : (
-                    <h2
-                      className={kiosk ? "text-4xl" : "text-3xl"}
-                      style={{ fontWeight: 700, marginBottom: kiosk ? 36 : 28, textAlign: "center", lineHeight: 1.15 }}
+                  {/* Progress (visible questions only) */}
+                  <p
+                    style={{ textAlign: "center", opacity: 0.7, fontSize: kiosk ? "1.1rem" : "0.9rem", marginBottom: 8 }}
+                  >
+                    Question {progress.index} of {progress.total}
+                  </p>
+
+                  {/* Title, and helper text under it when the question has some */}
+                  <h2
+                    className={kiosk ? "text-4xl" : "text-3xl"}
+                    style={{
+                      fontWeight: 700,
+                      marginBottom: current.helperText ? (kiosk ? 12 : 10) : kiosk ? 36 : 28,
+                      textAlign: "center",
+                      lineHeight: 1.15,
+                    }}
+                  >
+                    {current.title}
+                  </h2>
+                  {current.helperText && (
+                    <p
+                      style={{
+                        textAlign: "center",
+                        opacity: 0.75,
+                        fontSize: kiosk ? "1.25rem" : "1rem",
+                        marginBottom: kiosk ? 40 : 28,
+                        maxWidth: 700,
+                        marginInline: "auto",
+                      }}
                     >
-                      {current.title}
-                    </h2>
+                      {current.helperText}
+                    </p>
                   )}
 
-                  {/* Body */}
-                  {(() => {
-                    // priorities (multi icons, max 2)
-                    // if (isPriorities(current)) {
-                    //  const vals = Array.isArray(answers[current.id]) ? answers[current.id] : [];
-                    //  return (
-                    //    <PeriodicOptionsMultiWithIcons
-                    //     options={current.answers}
-                    //      values={vals}
-                    //      onToggle={(id) => setAnswer(current.id, id, "multi-limit-2")}
-                    //      kiosk={kiosk}
-                    //      maxSelect={2}
-                    //    />
-                    //  );
-                   // } 
-
-// priorities → single-select with icons
-if (isPriorities(current)) {
-  const vals = Array.isArray(answers[current.id]) ? answers[current.id] : [];
-  return (
-    <PeriodicOptionsPriority
-      options={current.answers}
-      values={vals}
-      onToggle={(id) => setAnswer(current.id, id, "multi-limit-2")}
-      kiosk={kiosk}
-      maxSelect={2}
-    />
-  );
-}
-					
-                    // slider (robust) or specific active-week title
-                    if (current.type === "slider" || isActiveWeek(current)) {
-                      const val = Number(answers[current.id] || 3);
-                      const fillPct = Math.max(0, Math.min(100, ((val - 1) / 4) * 100)); // 1..5 → 0..100%
-                      return (
-                        <div style={{ width: "90vw", maxWidth: "90vw", marginInline: "auto" }}>
-                          <div
-                            className="flex justify-between"
-                            style={{ fontSize: kiosk ? "1.5rem" : "1.1rem", fontWeight: 700, marginBottom: 16 }}
-                          >
-                            <span>{current.minLabel || "Low"}</span>
-                            <span>{current.maxLabel || "High"}</span>
-                          </div>
-                          <input
-                            type="range"
-                            min="1"
-                            max="5"
-                            step="1"
-                            value={val}
-                            onChange={(e) => setAnswer(current.id, Number(e.target.value), "slider")}
-                            aria-label={current.title}
-                            className="nourished-range"
-                            style={{
-                              width: "100%",
-                              background: `linear-gradient(to right, ${BRAND.text} 0%, ${BRAND.text} ${fillPct}%, #ffffff ${fillPct}%, #ffffff 100%)`,
-                            }}
-                          />
-                        </div>
-                      );
-                    }
-
-                    // gender → single with gender icons
-                    if (isGender(current)) {
-                      return (
-                        <PeriodicOptions
-                          options={current.answers}
-                          value={answers[current.id] || ""}
-                          onChange={(val) => setAnswer(current.id, val, "single")}
-                          kiosk={kiosk}
-                          getIconPath={getGenderIconPath}
-                        />
-                      );
-                    }
-
-                    // processed → single tiles
-                    if (isProcessed(current)) {
-                      return (
-                        <PeriodicOptions
-                          options={current.answers}
-                          value={answers[current.id] || ""}
-                          onChange={(val) => setAnswer(current.id, val, "single")}
-                          kiosk={kiosk}
-                        />
-                      );
-                    }
-
-                    // exercise → multi (max 2)
-                    if (isExercise(current)) {
-                      const vals = Array.isArray(answers[current.id]) ? answers[current.id] : [];
-                      return (
-                        <PeriodicOptionsMulti
-                          options={current.answers}
-                          values={vals}
-                          onToggle={(id) => setAnswer(current.id, id, "multi-limit-2")}
-                          kiosk={kiosk}
-                          maxSelect={2}
-                        />
-                      );
-                    }
-
-
-
-                    // default multi (legacy chips)
-                    if (current.type === "multi") {
-                      return (
-                        <div
-                          role="group"
-                          aria-labelledby={`q-${current.id}`}
-                          style={{ width: "90vw", maxWidth: "90vw", marginInline: "auto" }}
-                        >
-                          {(current.answers || []).map((a) => {
-                            const selected = (answers[current.id] || []).includes(a.id);
-                            return (
-                              <AnswerChip
-                                key={a.id}
-                                kiosk={kiosk}
-                                selected={selected}
-                                onClick={() => setAnswer(current.id, a.id, "multi")}
-                              >
-                                {a.label}
-                              </AnswerChip>
-                            );
-                          })}
-                        </div>
-                      );
-                    }
-
-                    // default single → icon tiles
-                    return (
-                      <PeriodicOptions
-                        options={current.answers}
-                        value={answers[current.id] || ""}
-                        onChange={(val) => setAnswer(current.id, val, "single")}
-                        kiosk={kiosk}
-                      />
-                    );
-                  })()}
+                  {/* Body: the renderer for this question's widget */}
+                  <QuestionWidget
+                    question={current}
+                    value={answers[current.id]}
+                    onAnswer={(value) => setAnswer(current, value)}
+                    kiosk={kiosk}
+                  />
 
                   {/* nav */}
                   <div
@@ -1353,10 +2105,25 @@ if (isPriorities(current)) {
                     <Button kiosk={kiosk} onClick={goBack} disabled={step === 0}>
                       Back
                     </Button>
-                    <Button kiosk={kiosk} onClick={goNext} disabled={!canContinue()}>
-                      {step === total ? "See results" : "Continue"}
+                    <Button
+                      kiosk={kiosk}
+                      onClick={goNext}
+                      disabled={!canContinue()}
+                      describedBy={selectionNote ? "selection-note" : undefined}
+                    >
+                      {isLastQuestion ? "See results" : "Continue"}
                     </Button>
                   </div>
+                  {selectionNote && (
+                    <p
+                      id="selection-note"
+                      role="status"
+                      className="mt-3 text-center"
+                      style={{ opacity: 0.75, fontSize: kiosk ? "1.1rem" : "0.9rem" }}
+                    >
+                      {selectionNote.text}
+                    </p>
+                  )}
                 </section>
               )}
 
@@ -1373,23 +2140,38 @@ if (isPriorities(current)) {
 
       {/* results */}
 {isResults && (() => {
-  const tallies = scoreAnswers(answers, weights, questions);
-  const winner = pickWinner(tallies, answers, weights, questions);
-
-  // AUTO-REDIRECT TO BOOTS
-  if (winner) {
-    const sku = winner.toUpperCase();
-    const url = BOOTS_URLS[sku];
-
-if (url && typeof window !== "undefined") {
-  // Break out of the iframe and navigate the parent page
-  try {
-    window.top.location.href = url;     // most reliable
-  } catch (e) {
-    window.location.href = url;         // fallback
-  }
-  return null; // stop rendering UI
-}
+  // Winner (+ complements in stack mode) with the retailer's Buy action
+  if (stack?.primary) {
+    // A reopened link may predate the current questions or weights
+    const restoredNote = !restored
+      ? null
+      : restored.skipped > 0
+        ? "The quiz has changed since this link was made, so some of its answers no longer apply."
+        : restored.revision !== weightsRev && !pinnedWeights
+          ? "Our recommendations have been updated since this link was made, so this result may differ from the original."
+          : null;
+    return (
+      <Stage kiosk={kiosk}>
+        <StackResultView
+          stack={stack}
+          tallies={result.tallies}
+          explanation={explanation}
+          content={content}
+          retailer={retailer}
+          kiosk={kiosk}
+          handoff={handoff}
+          onHandoff={(method) => track(EVENTS.HANDOFF, { method })}
+          shareUrl={shareUrl}
+          note={restoredNote}
+          onNavigate={navigate}
+          onSettled={settleHeight}
+          onRestart={() => {
+            resetAll();
+            setIdle(kiosk);
+          }}
+        />
+      </Stage>
+    );
   }
 
   // Fallback if no winner (rare)
@@ -1400,8 +2182,7 @@ if (url && typeof window !== "undefined") {
         <Button
           kiosk={kiosk}
           onClick={() => {
-            setAnswers({});
-            setStep(0);
+            resetAll();
             setIdle(false);
           }}
         >
@@ -1411,6 +2192,9 @@ if (url && typeof window !== "undefined") {
     </Stage>
   );
 })()}
+{kiosk && idleCountdown != null && (
+  <IdleWarning secondsLeft={idleCountdown} kiosk={kiosk} theme={retailer.theme} onContinue={bumpIdle} />
+)}
 {/* Data Privacy Notice — appears on all pages */}
 <footer
   style={{
@@ -1423,10 +2207,17 @@ if (url && typeof window !== "undefined") {
     boxSizing: "border-box",
   }}
 >
-  <p>
-    <strong>Your privacy matters:</strong> We don’t collect or store any personal information from this quiz. All
-    answers are processed anonymously to provide your results.
-  </p>
+  {offersEmail ? (
+    <p>
+      <strong>Your privacy matters:</strong> All answers are processed anonymously to provide your results. If you
+      email your result to yourself, we use your address only to send that email and don’t keep it.
+    </p>
+  ) : (
+    <p>
+      <strong>Your privacy matters:</strong> We don’t collect or store any personal information from this quiz. All
+      answers are processed anonymously to provide your results.
+    </p>
+  )}
 </footer>
 
 
@@ -0,0 +1,153 @@
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { notFound } from "next/navigation";
+
+import { readEvents } from "@/lib/eventStore.mjs";
+import { PRODUCT_META } from "@/lib/products.mjs";
+import { normalizeQuestions } from "@/lib/questions.mjs";
+import { buildReport } from "@/lib/report.mjs";
+import { DEFAULT_RETAILER, RETAILERS, isKnownRetailer, retailerFor } from "@/lib/retailers.mjs";
+
+/**
+ * /admin/report — internal funnel report over the local event store (see lib/report.mjs).
+ * - ?kiosk=1 (kiosk only) / ?kiosk=0 (online only), ?context=<retailer id>, ?store=<store id>
+ * - Set REPORT_TOKEN to serve it in production; it then needs ?token=<REPORT_TOKEN>.
+ *   Without REPORT_TOKEN the page only exists under `npm run dev`.
+ */
+
+export const dynamic = "force-dynamic";
+export const metadata = { title: "Quiz report", robots: { index: false, follow: false } };
+
+const pct = (n) => `${Math.round(n * 1000) / 10}%`;
+
+async function loadQuestions(retailerId) {
+  const file = retailerFor(retailerId).files.questions.replace(/^\//, "");
+  const json = JSON.parse(await readFile(path.join(process.cwd(), "public", file), "utf8"));
+  return normalizeQuestions(json);
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="rounded border border-gray-200 p-4">
+      <div className="text-sm text-gray-500">{label}</div>
+      <div className="text-2xl font-semibold">{value}</div>
+    </div>
+  );
+}
+
+export default async function ReportPage({ searchParams }) {
+  const params = await searchParams;
+  const token = process.env.REPORT_TOKEN;
+  if (token ? params.token !== token : process.env.NODE_ENV === "production") notFound();
+
+  const kiosk = params.kiosk === "1" ? true : params.kiosk === "0" ? false : null;
+  const context = typeof params.context === "string" && params.context ? params.context : null;
+  const store = typeof params.store === "string" && params.store ? params.store : null;
+
+  const { events, skipped } = await readEvents();
+  const questions = await loadQuestions(isKnownRetailer(context) ? context : DEFAULT_RETAILER);
+  const report = buildReport(events, { questions, kiosk, context, store });
+  const contexts = [...new Set([...Object.keys(RETAILERS), ...report.contexts])];
+
+  return (
+    <main className="mx-auto max-w-5xl p-6 text-[#153247]">
+      <h1 className="mb-4 text-2xl font-bold">Quiz report</h1>
+
+      {/* Filters — a plain GET form, so the page needs no client JS */}
+      <form method="get" className="mb-6 flex flex-wrap items-end gap-4">
+        {token && <input type="hidden" name="token" value={params.token} />}
+        <label className="flex flex-col text-sm">
+          Channel
+          <select name="kiosk" defaultValue={params.kiosk ?? ""} className="rounded border px-2 py-1">
+            <option value="">Kiosk and online</option>
+            <option value="1">Kiosk</option>
+            <option value="0">Online</option>
+          </select>
+        </label>
+        <label className="flex flex-col text-sm">
+          Context
+          <select name="context" defaultValue={context ?? ""} className="rounded border px-2 py-1">
+            <option value="">All</option>
+            {contexts.map((id) => (
+              <option key={id} value={id}>
+                {id}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col text-sm">
+          Store
+          <select name="store" defaultValue={store ?? ""} className="rounded border px-2 py-1">
+            <option value="">All</option>
+            {report.stores.map((id) => (
+              <option key={id} value={id}>
+                {id}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button type="submit" className="rounded bg-[#153247] px-4 py-1 text-white">
+          Apply
+        </button>
+      </form>
+
+      <section className="mb-8 grid grid-cols-2 gap-4 md:grid-cols-4">
+        <Stat label="Starts" value={report.starts} />
+        <Stat label="Completed" value={report.completions} />
+        <Stat label="Completion rate" value={pct(report.completionRate)} />
+        <Stat label="Reset by idle timeout" value={report.abandonedIdle} />
+      </section>
+      {skipped > 0 && <p className="mb-6 text-sm text-amber-700">{skipped} unreadable line(s) in the event store were skipped.</p>}
+
+      <h2 className="mb-2 text-xl font-semibold">Recommendation share</h2>
+      <table className="mb-8 w-full text-left text-sm">
+        <thead>
+          <tr className="border-b">
+            <th className="py-1">Product</th>
+            <th>Recommended</th>
+            <th>Share</th>
+            <th>In stack</th>
+            <th>Stack share</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.products.map((p) => (
+            <tr key={p.code} className="border-b border-gray-100">
+              <td className="py-1">
+                {p.code.toUpperCase()} <span className="text-gray-500">{PRODUCT_META[p.code]?.title}</span>
+              </td>
+              <td>{p.recommended}</td>
+              <td>{pct(p.share)}</td>
+              <td>{p.inStack}</td>
+              <td>{pct(p.stackShare)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h2 className="mb-2 text-xl font-semibold">Questions</h2>
+      {report.questions.map((q) => (
+        <section key={q.id} className="mb-6">
+          <h3 className="font-semibold">{q.title}</h3>
+          <p className="mb-1 text-sm text-gray-500">
+            {q.views} viewed · {q.answered} answered · {q.dropOffs} left here ({pct(q.dropOffRate)})
+          </p>
+          <table className="w-full text-left text-sm">
+            <tbody>
+              {q.options.map((o) => (
+                <tr key={o.id} className="border-b border-gray-100">
+                  <td className={`py-1 ${o.unknown ? "italic text-gray-500" : ""}`}>{o.label}</td>
+                  <td className="w-16">{o.count}</td>
+                  <td className="w-1/3">
+                    <div className="h-2 rounded bg-[#e2c181]" style={{ width: pct(Math.min(o.share, 1)) }} />
+                  </td>
+                  <td className="w-16 text-right">{pct(o.share)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      ))}
+    </main>
+  );
+}
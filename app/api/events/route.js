@@ -0,0 +1,43 @@
+import { parseEventsBody } from "@/lib/analytics.mjs";
+import { appendEvents } from "@/lib/eventStore.mjs";
+import { clientAddress, createRateLimiter, readBodyText } from "@/lib/requestGuard.mjs";
+
+/**
+ * POST /api/events — anonymous funnel events from the quiz (lib/analytics.mjs "http" sink).
+ * Appends one JSON line per event to the local store (lib/eventStore.mjs, EVENTS_FILE).
+ * Only the sanitised event is stored: no IP, headers or cookies. The IP is used only for
+ * the in-memory rate limit below, and is never written anywhere.
+ */
+
+export const runtime = "nodejs";
+
+const MAX_BODY_BYTES = 64 * 1024;
+// per IP: a quiz sends a few dozen events, and a store's kiosks may share one address
+const RATE_LIMIT = { limit: 120, windowMs: 60 * 1000 };
+
+const limiter = createRateLimiter(RATE_LIMIT);
+
+export async function POST(request) {
+  const { ok, retryAfterMs } = limiter.take(clientAddress(request.headers));
+  if (!ok) {
+    return Response.json(
+      { error: "too many requests" },
+      { status: 429, headers: { "retry-after": String(Math.ceil(retryAfterMs / 1000)) } }
+    );
+  }
+
+  const text = await readBodyText(request, MAX_BODY_BYTES);
+  if (text == null) return Response.json({ error: "payload too large" }, { status: 413 });
+
+  const { events, rejected, error } = parseEventsBody(text);
+  if (error) return Response.json({ error }, { status: 400 });
+
+  try {
+    await appendEvents(events);
+  } catch (e) {
+    console.error("⚠️ Failed to store events:", e);
+    return Response.json({ error: "could not store events" }, { status: 500 });
+  }
+
+  return Response.json({ stored: events.length, rejected });
+}
@@ -0,0 +1,89 @@
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+
+import { DEVICES_FILE, loadDevices } from "@/lib/devices.mjs";
+import { decodeHandoff, handoffEmail, handoffUrl, isEmailAddress } from "@/lib/handoff.mjs";
+import { EMAIL_RATE_LIMIT, checkEmailHandoff, parseKioskKeys } from "@/lib/handoffGuard.mjs";
+import { createMailer } from "@/lib/mailer.mjs";
+import { createRateLimiter, readBodyText } from "@/lib/requestGuard.mjs";
+import { retailerFor } from "@/lib/retailers.mjs";
+
+/**
+ * POST /api/handoff/email — { email, token, device, key } → emails the result link to that address (lib/handoff.mjs).
+ * Only kiosks whose profile allows email, holding their KIOSK_KEYS key, may send, and each is rate limited
+ * (lib/handoffGuard.mjs). The address goes to the mail transport (lib/mailer.mjs, MAIL_TRANSPORT) and nowhere
+ * else: it isn't stored, logged or attached to analytics. 503 when no transport is configured.
+ */
+
+export const runtime = "nodejs";
+
+const MAX_BODY_BYTES = 2 * 1024;
+const PUBLIC_DIR = path.join(process.cwd(), "public");
+
+const limiter = createRateLimiter(EMAIL_RATE_LIMIT);
+
+async function readDevices() {
+  try {
+    return loadDevices(JSON.parse(await readFile(path.join(PUBLIC_DIR, DEVICES_FILE), "utf8")));
+  } catch {
+    return {}; // no profiles: no device may send
+  }
+}
+
+async function loadContent(context) {
+  const file = retailerFor(context).files.content.replace(/^\//, "");
+  try {
+    return JSON.parse(await readFile(path.join(PUBLIC_DIR, file), "utf8"));
+  } catch {
+    return {}; // product names fall back to the codes
+  }
+}
+
+export async function POST(request) {
+  const text = await readBodyText(request, MAX_BODY_BYTES);
+  if (text == null) return Response.json({ error: "payload too large" }, { status: 413 });
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return Response.json({ error: "invalid JSON" }, { status: 400 });
+  }
+  const email = typeof body?.email === "string" ? body.email.trim() : "";
+  if (!isEmailAddress(email)) return Response.json({ error: "invalid email address" }, { status: 400 });
+  const handoff = decodeHandoff(body?.token);
+  if (!handoff) return Response.json({ error: "invalid result token" }, { status: 400 });
+
+  const allowed = checkEmailHandoff({
+    deviceId: body?.device,
+    key: body?.key,
+    devices: await readDevices(),
+    keys: parseKioskKeys(process.env.KIOSK_KEYS),
+  });
+  if (!allowed.ok) return Response.json({ error: allowed.error }, { status: allowed.status });
+  const { ok, retryAfterMs } = limiter.take(allowed.deviceId);
+  if (!ok) {
+    return Response.json(
+      { error: "too many emails from this device" },
+      { status: 429, headers: { "retry-after": String(Math.ceil(retryAfterMs / 1000)) } }
+    );
+  }
+
+  let mailer;
+  try {
+    mailer = createMailer();
+  } catch (e) {
+    console.error("⚠️ Mail transport misconfigured:", e.message);
+  }
+  if (!mailer) return Response.json({ error: "email is not available" }, { status: 503 });
+
+  const url = handoffUrl(body.token, process.env.NEXT_PUBLIC_SITE_URL || new URL(request.url).origin);
+  try {
+    await mailer.send({ to: email, ...handoffEmail(handoff, { url, content: await loadContent(handoff.context) }) });
+  } catch (e) {
+    console.error(`⚠️ Failed to send result email via ${mailer.transport}:`, e.message); // never the message itself
+    return Response.json({ error: "could not send email" }, { status: 502 });
+  }
+
+  return Response.json({ sent: true });
+}
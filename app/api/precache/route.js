@@ -0,0 +1,37 @@
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+
+import { DEVICES_FILE, loadDevices } from "@/lib/devices.mjs";
+import { precacheUrls } from "@/lib/offline.mjs";
+
+/**
+ * GET /api/precache — the files a kiosk needs offline (lib/offline.mjs), for the service worker.
+ * Read from /public on each request, so new icons or config files are picked up without a code change.
+ */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+const PUBLIC_DIR = path.join(process.cwd(), "public");
+
+async function listPublic(dir) {
+  try {
+    const names = await readdir(path.join(PUBLIC_DIR, dir));
+    return names.filter((n) => !n.startsWith(".")).map((n) => `/${dir}/${n}`);
+  } catch {
+    return [];
+  }
+}
+
+async function readDevices() {
+  try {
+    return loadDevices(JSON.parse(await readFile(path.join(PUBLIC_DIR, DEVICES_FILE), "utf8")));
+  } catch {
+    return {};
+  }
+}
+
+export async function GET() {
+  const urls = precacheUrls({ devices: await readDevices(), publicFiles: await listPublic("icons") });
+  return Response.json({ urls }, { headers: { "cache-control": "no-store" } });
+}
@@ -0,0 +1,114 @@
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import Image from "next/image";
+import { notFound } from "next/navigation";
+
+import { productName } from "@/lib/explain.mjs";
+import { decodeHandoff, handoffProducts } from "@/lib/handoff.mjs";
+import { PRODUCT_META } from "@/lib/products.mjs";
+import { publicPath } from "@/lib/publicPath.mjs";
+import { retailerCopy, retailerFor } from "@/lib/retailers.mjs";
+import { benefitAreas } from "@/lib/stack.mjs";
+
+/**
+ * /result/<token> — a kiosk result, reopened on the customer's phone from the QR code or email
+ * (lib/handoff.mjs). The token only names the retailer and products, so this page knows nothing
+ * about who took the quiz; it shows the same formula(s) with the retailer's product links.
+ */
+
+export const metadata = { title: "Your Nourished formula", robots: { index: false, follow: false } };
+
+const PACK_WIDTH = 1196; // products/*-1.png
+const PACK_HEIGHT = 1515;
+
+async function loadContent(retailer) {
+  const file = retailer.files.content.replace(/^\//, "");
+  try {
+    return JSON.parse(await readFile(path.join(process.cwd(), "public", file), "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function LinkButton({ href, children, theme }) {
+  return (
+    <a
+      href={href}
+      className="block rounded-full px-6 py-3 text-center text-lg font-semibold"
+      style={theme ? { background: theme.accent, color: theme.accentText } : { border: "1px solid #d6d1c9" }}
+    >
+      {children}
+    </a>
+  );
+}
+
+export default async function ResultPage({ params }) {
+  const { token } = await params;
+  const handoff = decodeHandoff(token);
+  if (!handoff) notFound();
+
+  const { retailer, products } = handoffProducts(handoff, {
+    content: await loadContent(retailerFor(handoff.context)),
+  });
+  const [winner, ...complements] = products;
+  const pack = (code) => publicPath(PRODUCT_META[code]?.images?.pack);
+
+  return (
+    <main className="mx-auto max-w-xl p-6 text-[#153247]">
+      <Image src="/nourished-formula-logo.svg" alt="Nourished formula" width={128} height={32} className="mb-6 h-8 w-auto" />
+      <p className="text-sm uppercase tracking-wide opacity-70">Your formula</p>
+      <h1 className="mb-2 text-3xl font-bold">{winner.name}</h1>
+      {winner.tagline && <p className="mb-4 text-lg opacity-85">{winner.tagline}</p>}
+      {pack(winner.code) && (
+        <Image
+          src={pack(winner.code)}
+          alt={`${productName(winner.code)} pack`}
+          width={PACK_WIDTH}
+          height={PACK_HEIGHT}
+          priority
+          className="mb-4 h-auto w-full rounded-2xl"
+        />
+      )}
+      <ul className="mb-6 flex flex-wrap gap-2">
+        {benefitAreas(winner.code).map((b) => (
+          <li key={b} className="rounded-full border border-[#d6d1c9] px-3 py-1 text-sm">
+            {b}
+          </li>
+        ))}
+      </ul>
+      {winner.url && (
+        <LinkButton href={winner.url} theme={retailer.theme}>
+          {retailerCopy(retailer, "buy", { name: productName(winner.code) })}
+        </LinkButton>
+      )}
+
+      {complements.length > 0 && (
+        <section className="mt-8">
+          <h2 className="mb-4 text-2xl font-bold">Complete your stack</h2>
+          {complements.map((p) => (
+            <div key={p.code} className="mb-4 flex items-center gap-4">
+              {pack(p.code) && (
+                <Image src={pack(p.code)} alt={`${productName(p.code)} pack`} width={96} height={122} className="h-auto w-24 rounded-2xl" />
+              )}
+              <div>
+                <p className="text-xl font-bold">{p.name}</p>
+                {p.tagline && <p>{p.tagline}</p>}
+                {p.url && (
+                  <a href={p.url} className="text-sm underline">
+                    {retailerCopy(retailer, "view", { name: productName(p.code) })}
+                  </a>
+                )}
+              </div>
+            </div>
+          ))}
+        </section>
+      )}
+
+      <p className="mt-8 text-center">
+        <a href={`/?context=${retailer.id}`} className="underline">
+          Take the quiz again
+        </a>
+      </p>
+    </main>
+  );
+}
@@ -0,0 +1,12 @@
+/**
+ * Runs once when the server starts (Next.js instrumentation hook).
+ * Builds the mailer so a misconfigured MAIL_TRANSPORT (unknown name, http without MAIL_HTTP_URL or MAIL_FROM)
+ * throws as the server starts, instead of only surfacing as 503s from /api/handoff/email later.
+ */
+export async function register() {
+  // Written as a condition around the import so edge bundles drop it: the mailer uses node:fs
+  if (process.env.NEXT_RUNTIME === "nodejs") {
+    const { createMailer } = await import("./lib/mailer.mjs");
+    createMailer();
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * Anonymous funnel analytics.
+ * - Events: quiz_start, question_view, answer, back, abandon_idle, result, handoff
+ * - Each event is { event, ts, session, context, kiosk, device, store, props }; device / store come
+ *   from the kiosk device profile (lib/devices.mjs) and are null online. `session` is a random id for one
+ *   run through the quiz, kept in memory only and replaced on every quiz_start. Nothing that
+ *   identifies a person is recorded: no IP, user agent, cookies or free text. Answers are option ids.
+ * - Sinks: "console", "http" (POST to /api/events, stored as NDJSON), "parent" (host page via
+ *   postMessage, see lib/embed.mjs) or "none"; several can be combined ("console,http")
+ * - sanitizeEvent() is shared with the /api/events route, so both ends accept the same shape
+ * - Kiosks route "http" through an outbox persisted in localStorage, so events recorded while the
+ *   store Wi-Fi is down are sent in batches once it's back
+ */
+
+import { browserStorage } from "./browserStorage.mjs";
+import { OUTBOUND } from "./embed.mjs";
+
+export const EVENTS = {
+  QUIZ_START: "quiz_start",
+  QUESTION_VIEW: "question_view",
+  ANSWER: "answer",
+  BACK: "back",
+  ABANDON_IDLE: "abandon_idle",
+  RESULT: "result",
+  HANDOFF: "handoff",
+};
+
+const EVENT_NAMES = new Set(Object.values(EVENTS));
+
+// Only these props survive sanitising; anything else is dropped
+const PROP_TYPES = {
+  questionId: "id",
+  option: "answer",
+  index: "number",
+  total: "number",
+  step: "number",
+  phase: "id",
+  fromQuestionId: "id",
+  toQuestionId: "id",
+  product: "id",
+  stack: "ids",
+  decidedBy: "id",
+  rulesApplied: "ids",
+  method: "id",
+};
+
+const ID_RE = /^[A-Za-z0-9_.:-]{1,80}$/;
+const SESSION_RE = /^[A-Za-z0-9-]{8,64}$/;
+
+const isId = (v) => typeof v === "string" && ID_RE.test(v);
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+function cleanProp(type, v) {
+  if (v == null) return null;
+  if (type === "id") return isId(v) ? v : undefined;
+  if (type === "number") return isNum(v) ? v : undefined;
+  if (type === "ids") return Array.isArray(v) && v.length <= 20 && v.every(isId) ? v : undefined;
+  // answers: an option id, a list of them, or a slider number
+  if (isNum(v) || isId(v)) return v;
+  return Array.isArray(v) && v.length <= 20 && v.every(isId) ? v : undefined;
+}
+
+/**
+ * Return a clean copy of an event, or null if it isn't a known, well-formed event.
+ * Unknown props and values that don't look like ids/numbers are dropped.
+ */
+export function sanitizeEvent(raw) {
+  if (!raw || typeof raw !== "object" || !EVENT_NAMES.has(raw.event)) return null;
+  if (!isNum(raw.ts) || typeof raw.session !== "string" || !SESSION_RE.test(raw.session)) return null;
+
+  const props = {};
+  Object.entries(raw.props || {}).forEach(([k, v]) => {
+    if (!PROP_TYPES[k]) return;
+    const clean = cleanProp(PROP_TYPES[k], v);
+    if (clean !== undefined) props[k] = clean;
+  });
+
+  return {
+    event: raw.event,
+    ts: raw.ts,
+    session: raw.session,
+    context: isId(raw.context) ? raw.context : null,
+    kiosk: raw.kiosk === true,
+    device: isId(raw.device) ? raw.device : null,
+    store: isId(raw.store) ? raw.store : null,
+    props,
+  };
+}
+
+export function newSessionId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// ---- sinks: each is (event) => void
+export const consoleSink = (event) => console.info("[analytics]", event.event, event.props);
+
+export function httpSink(url = "/api/events") {
+  return (event) => {
+    const body = JSON.stringify(event);
+    try {
+      // sendBeacon survives page unloads (Buy / redirect); fall back to a keepalive fetch
+      if (globalThis.navigator?.sendBeacon?.(url, new Blob([body], { type: "application/json" }))) return;
+      globalThis.fetch?.(url, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body,
+        keepalive: true,
+      }).catch(() => {});
+    } catch {}
+  };
+}
+
+// `send` is the host bridge's send(type, payload)
+export function parentSink(send, type = OUTBOUND.ANALYTICS) {
+  return (event) => send?.(type, event);
+}
+
+/**
+ * Offline-tolerant delivery: events are kept in `storage` (localStorage-like) until a POST succeeds.
+ * createOutbox({ url, storage }) → { push(event), flush(), size() }
+ * - Sends up to MAX_EVENTS_PER_REQUEST per POST, oldest first
+ * - Network errors and 5xx keep the batch for the next flush; a 4xx drops it (retrying can't help)
+ * - Holds at most `max` events; beyond that the oldest are dropped
+ */
+export const OUTBOX_KEY = "nourished-quiz-outbox";
+
+export function createOutbox({
+  url = "/api/events",
+  storage = browserStorage("localStorage"),
+  key = OUTBOX_KEY,
+  max = 1000,
+  fetchImpl = (...args) => globalThis.fetch(...args),
+} = {}) {
+  let memory = [];
+  let persisted = true; // false once storage refuses a write (quota, private mode): memory is then the truth
+  let flushing = null;
+
+  const load = () => {
+    if (!storage || !persisted) return memory;
+    try {
+      const saved = JSON.parse(storage.getItem(key) || "[]");
+      return Array.isArray(saved) ? saved : [];
+    } catch {
+      return memory;
+    }
+  };
+  const save = (list) => {
+    memory = list;
+    try {
+      storage?.setItem(key, JSON.stringify(list));
+      persisted = true;
+    } catch {
+      persisted = false;
+    }
+  };
+
+  async function drain() {
+    for (let batch = load().slice(0, MAX_EVENTS_PER_REQUEST); batch.length; batch = load().slice(0, MAX_EVENTS_PER_REQUEST)) {
+      let res;
+      try {
+        res = await fetchImpl(url, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify(batch),
+          keepalive: true,
+        });
+      } catch {
+        return; // offline: try again on the next flush
+      }
+      if (res.status >= 500) return;
+      save(load().slice(batch.length)); // stored, or rejected for good
+    }
+  }
+
+  function flush() {
+    if (!flushing) flushing = drain().finally(() => (flushing = null));
+    return flushing;
+  }
+
+  return {
+    push(event) {
+      save([...load(), event].slice(-max));
+      flush();
+    },
+    flush,
+    size: () => load().length,
+  };
+}
+
+/**
+ * Build a sink from names ("console,http", ["parent"] or a mix). Unknown names are ignored.
+ * With an `outbox`, "http" events go through it instead of straight to the network.
+ */
+export function createSink(names, { send = null, url = "/api/events", outbox = null } = {}) {
+  const list = (Array.isArray(names) ? names : [names])
+    .flatMap((n) => String(n || "").split(","))
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  const sinks = [...new Set(list)]
+    .map((name) => {
+      if (name === "console") return consoleSink;
+      if (name === "http") return outbox ? (event) => outbox.push(event) : httpSink(url);
+      if (name === "parent") return parentSink(send);
+      return null;
+    })
+    .filter(Boolean);
+  return (event) =>
+    sinks.forEach((sink) => {
+      try {
+        sink(event);
+      } catch {}
+    });
+}
+
+/**
+ * createAnalytics({ sink, context, kiosk, device, store }) → { track(event, props), session }
+ * Every quiz_start begins a new anonymous session.
+ */
+export function createAnalytics({
+  sink = () => {},
+  context = null,
+  kiosk = false,
+  device = null,
+  store = null,
+  now = Date.now,
+  sessionId = newSessionId,
+} = {}) {
+  let session = sessionId();
+  return {
+    track(event, props = {}) {
+      if (event === EVENTS.QUIZ_START) session = sessionId();
+      const clean = sanitizeEvent({ event, ts: now(), session, context, kiosk, device, store, props });
+      if (clean) sink(clean);
+      return clean;
+    },
+    get session() {
+      return session;
+    },
+  };
+}
+
+// ---- server side: parse a POST body (one event or an array) into clean events
+export const MAX_EVENTS_PER_REQUEST = 50;
+
+export function parseEventsBody(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { events: [], rejected: 0, error: "invalid JSON" };
+  }
+  const list = Array.isArray(data) ? data : [data];
+  if (list.length > MAX_EVENTS_PER_REQUEST) return { events: [], rejected: list.length, error: "too many events" };
+  const events = list.map(sanitizeEvent).filter(Boolean);
+  return { events, rejected: list.length - events.length, error: null };
+}
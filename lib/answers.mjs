@@ -0,0 +1,52 @@
+/**
+ * Answer normalisation shared by scoring and rules.
+ * Stored answers are option ids, arrays of option ids, or slider numbers (1..5).
+ * Conditions ({ "<question.id>": ["<option.id>", ...] }) are shared by rules and showIf/skipIf.
+ */
+
+import { SLIDER_MAX, SLIDER_MIN } from "./weights.mjs";
+
+const hasKey = (obj, k) => Object.prototype.hasOwnProperty.call(obj || {}, k);
+
+// SLIDER mapping: numbers 1..5 are bucketed to the low/high end of the slider
+export function mapSliderNumberToOption(num) {
+  const n = Number(num);
+  if (Number.isNaN(n)) return null;
+  if (n <= 2) return SLIDER_MIN;   // lean to the "low" end (e.g., "Exhausted")
+  if (n >= 4) return SLIDER_MAX;   // lean to the "high" end (e.g., "Rarely tired")
+  return null;                     // middle (3) contributes nothing
+}
+
+// Normalise a stored answer into the option ids it selects
+export function resolveOptionIds(chosen, question = null, optionMap = {}) {
+  if (chosen == null) return [];
+
+  const toId = (v) => {
+    const s = String(v);
+    if (hasKey(optionMap, s)) return s;
+    // tolerate a label where an id was expected
+    const hit = (question?.answers || []).find((a) => String(a.label) === s);
+    return hit ? String(hit.id) : s;
+  };
+
+  if (Array.isArray(chosen)) return chosen.map(toId);
+  if (typeof chosen === "number" || /^[0-9]+$/.test(String(chosen))) {
+    const id = mapSliderNumberToOption(chosen);
+    return id ? [id] : [];
+  }
+  return [toId(chosen)];
+}
+
+// Normalise a condition map so every value is a list of option id strings
+export function normalizeConditions(when) {
+  const asList = (v) => (Array.isArray(v) ? v.map(String) : v == null ? [] : [String(v)]);
+  return Object.fromEntries(Object.entries(when || {}).map(([qid, ids]) => [qid, asList(ids)]));
+}
+
+// True when every listed question has an answer among its option ids (an empty map matches)
+export function matchesConditions(when, answers, questions = []) {
+  return Object.entries(normalizeConditions(when)).every(([qid, wanted]) => {
+    const question = (questions || []).find((q) => q?.id === qid) || null;
+    return resolveOptionIds(answers?.[qid], question, {}).some((id) => wanted.includes(id));
+  });
+}
@@ -0,0 +1,82 @@
+/**
+ * Kiosk attract loop: the slides the idle screen cycles through until someone touches it.
+ *   { kind: "intro", title, body, image, seconds }
+ *   { kind: "product", code, name, tagline, benefits, pack, exploded, seconds }
+ * The schedule is the device profile's attract.loop (lib/devices.mjs), over ATTRACT_LOOP_DEFAULTS:
+ *   introSeconds / productSeconds  how long each kind of slide stays up
+ *   introEvery                     show the intro again after this many product slides (0 = once per loop)
+ *   products                       codes to feature, in order (default: everything the shelf stocks)
+ *   prompts                        "tap to start" lines, one per slide in rotation
+ */
+
+import { benefitAreas } from "./stack.mjs";
+import { PRODUCT_META, PRODUCT_ORDER } from "./products.mjs";
+import { publicPath } from "./publicPath.mjs";
+
+export const ATTRACT_LOOP_DEFAULTS = {
+  introSeconds: 8,
+  productSeconds: 5,
+  introEvery: 3,
+  products: null,
+  prompts: ["Tap anywhere to start", "Find your formula in under two minutes", "Touch the screen to begin"],
+};
+
+const MIN_SLIDE_SECONDS = 2; // anything shorter can't be read
+
+function seconds(v, fallback) {
+  const n = Number(v);
+  return v == null || v === "" || !Number.isFinite(n) ? fallback : Math.max(MIN_SLIDE_SECONDS, n);
+}
+
+export function attractLoopConfig(overrides = {}) {
+  const o = overrides || {};
+  const prompts = Array.isArray(o.prompts) ? o.prompts.map(String).filter(Boolean) : [];
+  return {
+    introSeconds: seconds(o.introSeconds, ATTRACT_LOOP_DEFAULTS.introSeconds),
+    productSeconds: seconds(o.productSeconds, ATTRACT_LOOP_DEFAULTS.productSeconds),
+    introEvery: Number.isInteger(o.introEvery) && o.introEvery >= 0 ? o.introEvery : ATTRACT_LOOP_DEFAULTS.introEvery,
+    products: Array.isArray(o.products) ? o.products.map(String) : ATTRACT_LOOP_DEFAULTS.products,
+    prompts: prompts.length ? prompts : ATTRACT_LOOP_DEFAULTS.prompts,
+  };
+}
+
+/**
+ * Build the loop for a device: attract = device.attract, stocked = device.stocked (null = full range),
+ * content = results content JSON (name / tagline per code). Products the shelf doesn't stock are never shown.
+ */
+export function buildAttractSlides({ attract = {}, stocked = null, content = {}, meta = PRODUCT_META, productOrder = PRODUCT_ORDER } = {}) {
+  const loop = attractLoopConfig(attract?.loop);
+  const onShelf = (code) => productOrder.includes(code) && meta?.[code] && (!Array.isArray(stocked) || stocked.includes(code));
+
+  const intro = {
+    kind: "intro",
+    title: attract?.title || "",
+    body: attract?.body || "",
+    image: attract?.image || null,
+    seconds: loop.introSeconds,
+  };
+
+  const products = (loop.products || productOrder).filter(onShelf).map((code) => ({
+    kind: "product",
+    code,
+    name: content?.[code]?.name || String(code).toUpperCase(),
+    tagline: content?.[code]?.tagline || "",
+    benefits: benefitAreas(code, meta),
+    pack: publicPath(meta[code].images?.pack),
+    exploded: publicPath(meta[code].images?.exploded),
+    seconds: loop.productSeconds,
+  }));
+
+  const slides = [intro];
+  products.forEach((slide, i) => {
+    if (i > 0 && loop.introEvery > 0 && i % loop.introEvery === 0) slides.push(intro);
+    slides.push(slide);
+  });
+  return slides;
+}
+
+// The prompt shown with slide `index`
+export function attractPrompt(prompts = ATTRACT_LOOP_DEFAULTS.prompts, index = 0) {
+  const list = prompts?.length ? prompts : ATTRACT_LOOP_DEFAULTS.prompts;
+  return list[((index % list.length) + list.length) % list.length];
+}
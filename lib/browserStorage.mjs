@@ -0,0 +1,11 @@
+/**
+ * browserStorage("localStorage" | "sessionStorage") → the Storage object, or null where there is none.
+ * Sandboxed frames throw on storage access rather than returning null, so every caller needs this guard.
+ */
+export function browserStorage(name) {
+  try {
+    return globalThis[name] ?? null;
+  } catch {
+    return null;
+  }
+}
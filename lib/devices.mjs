@@ -0,0 +1,96 @@
+/**
+ * Kiosk device profiles, selected by `?kiosk=1&device=<id>`.
+ * Profiles live in /public/kiosk_devices.json so a store rollout is a JSON edit, not a deploy of new code:
+ *   {
+ *     "version": 1,
+ *     "devices": {
+ *       "<device id>": {
+ *         "store": "<store id>",                 // attached to every analytics event from this device
+ *         "context": "boots",                    // retailer profile when the URL has no ?context=
+ *         "idleSeconds": 45,                     // ask "Are you still there?" after this long untouched…
+ *         "warningSeconds": 15,                  // …and reset to the attract screen when this countdown ends
+ *         "resultsIdleSeconds": 90,              // quiet period on the results screen (people read it at the shelf)
+ *         "attract": {                           // idle screen; "loop" is the slide schedule (lib/attract.mjs)
+ *           "title": "…", "body": "…", "image": "/…",
+ *           "loop": { "introSeconds": 8, "productSeconds": 5, "introEvery": 3, "prompts": ["Tap anywhere to start"] }
+ *         },
+ *         "stocked": ["Eic", "Mjb", …],          // only these can be recommended (missing = everything)
+ *         "handoff": { "qr": true, "email": false } // results: QR code link / "email it to me" (lib/handoff.mjs)
+ *       }
+ *     }
+ *   }
+ * URL params override the file for one-off setups: ?store=<id>&idle=<seconds>.
+ * An unknown device id still gets the defaults, and keeps its id so its events can be traced.
+ */
+
+import { PRODUCT_ORDER } from "./products.mjs";
+
+export const DEVICES_FILE = "/kiosk_devices.json";
+export const DEVICES_VERSION = 1;
+
+export const MIN_IDLE_MS = 10000; // shorter than this and people get reset mid-question
+export const MIN_WARNING_MS = 5000; // long enough to read the overlay and tap "Keep going"
+
+export const DEVICE_DEFAULTS = {
+  store: null,
+  context: null,
+  idleMs: 30000,
+  warningMs: 15000,
+  resultsIdleMs: 90000,
+  attract: {
+    title: "Find your perfect stack",
+    body: "Answer a few quick questions and we’ll match you to the right Nourished formula.  Takes less than two minutes — quick, easy, and personalised to you.",
+    image: "/nourished-formula-logo.svg",
+  },
+  stocked: null,
+  handoff: { qr: true, email: false },
+};
+
+const ID_RE = /^[A-Za-z0-9_.:-]{1,80}$/;
+const cleanId = (v) => (typeof v === "string" && ID_RE.test(v.trim()) ? v.trim() : null);
+
+function msFrom(seconds, min = MIN_IDLE_MS) {
+  const n = Number(seconds);
+  return seconds != null && seconds !== "" && Number.isFinite(n) ? Math.max(min, Math.round(n * 1000)) : null;
+}
+
+// Accept { version, devices: { … } } or a bare id → profile map
+export function loadDevices(json) {
+  if (!json || typeof json !== "object") return {};
+  if (json.version != null && Number(json.version) !== DEVICES_VERSION) {
+    throw new Error(`Unsupported kiosk devices version ${json.version} (expected ${DEVICES_VERSION})`);
+  }
+  const map = json.devices && typeof json.devices === "object" ? json.devices : json;
+  return Object.fromEntries(Object.entries(map).filter(([, d]) => d && typeof d === "object"));
+}
+
+/**
+ * Resolve a device id to a full profile:
+ *   { id, known, store, context, idleMs, warningMs, resultsIdleMs, attract, stocked, handoff }
+ * `overrides` are the URL params: { store, idleSeconds }.
+ */
+export function deviceFor(id, devices = {}, overrides = {}) {
+  const deviceId = cleanId(id);
+  const known = !!deviceId && Object.prototype.hasOwnProperty.call(devices || {}, deviceId);
+  const entry = known ? devices[deviceId] : {};
+
+  return {
+    id: deviceId,
+    known,
+    store: cleanId(overrides.store) ?? cleanId(entry.store) ?? DEVICE_DEFAULTS.store,
+    context: cleanId(entry.context) ?? DEVICE_DEFAULTS.context,
+    idleMs: msFrom(overrides.idleSeconds) ?? msFrom(entry.idleSeconds) ?? DEVICE_DEFAULTS.idleMs,
+    warningMs: msFrom(entry.warningSeconds, MIN_WARNING_MS) ?? DEVICE_DEFAULTS.warningMs,
+    resultsIdleMs: msFrom(entry.resultsIdleSeconds) ?? DEVICE_DEFAULTS.resultsIdleMs,
+    attract: { ...DEVICE_DEFAULTS.attract, ...(entry.attract || {}) },
+    stocked: Array.isArray(entry.stocked) ? entry.stocked.map(String) : DEVICE_DEFAULTS.stocked,
+    handoff: { ...DEVICE_DEFAULTS.handoff, ...(entry.handoff || {}) },
+  };
+}
+
+// Codes this device can recommend, or null when it stocks the full range
+export function availableProducts(device, productOrder = PRODUCT_ORDER) {
+  if (!Array.isArray(device?.stocked)) return null;
+  const stocked = new Set(device.stocked);
+  return productOrder.filter((code) => stocked.has(code));
+}
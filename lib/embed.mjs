@@ -0,0 +1,138 @@
+/**
+ * Host page ⇄ quiz iframe message protocol (versioned).
+ * Every message is { source: "nourished-quiz", version: 1, type, payload }.
+ *   outbound (quiz → host): QUIZ_READY, STEP_CHANGED, ANSWERED, RESULT, ERROR, RESIZE, NAVIGATE, ANALYTICS
+ *   inbound  (host → quiz): RESET, SET_CONTEXT, PREFILL
+ * Messages are only sent to, and accepted from, parent origins on the retailer's allow-list.
+ * The host-side SDK (public/nourished-quiz-sdk.js) speaks the same protocol; keep them in sync.
+ * NAVIGATE asks the host to open a URL itself; the quiz only sends it when embedded with ?embed=1
+ * (the loader, public/nourished-quiz-embed.js, sets this) and falls back to window.top otherwise.
+ */
+
+export const PROTOCOL = "nourished-quiz";
+export const PROTOCOL_VERSION = 1;
+
+export const OUTBOUND = {
+  READY: "QUIZ_READY",
+  STEP_CHANGED: "STEP_CHANGED",
+  ANSWERED: "ANSWERED",
+  RESULT: "RESULT",
+  ERROR: "ERROR",
+  RESIZE: "RESIZE",
+  NAVIGATE: "NAVIGATE",
+  ANALYTICS: "ANALYTICS", // funnel events, when the retailer's analytics sink includes "parent"
+};
+
+export const INBOUND = {
+  RESET: "RESET",
+  SET_CONTEXT: "SET_CONTEXT",
+  PREFILL: "PREFILL",
+};
+
+// Pre-protocol height message; still sent so existing host pages keep resizing
+export const LEGACY_HEIGHT_TYPE = "NOURISHED_QUIZ_HEIGHT";
+
+export function createMessage(type, payload = {}) {
+  return { source: PROTOCOL, version: PROTOCOL_VERSION, type, payload };
+}
+
+/**
+ * Validate an inbound message. Returns { type, payload } or null when it isn't ours,
+ * is from another protocol version, or isn't an inbound type.
+ */
+export function parseInbound(data) {
+  if (!data || typeof data !== "object" || data.source !== PROTOCOL) return null;
+  if (Number(data.version) !== PROTOCOL_VERSION) return null;
+  if (!Object.values(INBOUND).includes(data.type)) return null;
+  const payload = data.payload && typeof data.payload === "object" ? data.payload : {};
+  return { type: data.type, payload };
+}
+
+// ---- height reporting
+/**
+ * Debounced height reporter for RESIZE messages.
+ * measure(h) reports h once nothing has changed for `delay` ms, and only if h differs from the
+ * last report. settle(h) reports straight away with settled = true (e.g. once images have loaded).
+ */
+export function createHeightReporter(report, { delay = 100, setTimer = setTimeout, clearTimer = clearTimeout } = {}) {
+  let last = null;
+  let pending = null;
+  let timer = null;
+
+  const cancel = () => {
+    if (timer != null) clearTimer(timer);
+    timer = null;
+  };
+  const flush = () => {
+    timer = null;
+    if (pending == null || pending === last) return;
+    last = pending;
+    report(last, false);
+  };
+
+  return {
+    measure(height) {
+      const h = Math.ceil(Number(height) || 0);
+      if (h <= 0) return;
+      pending = h;
+      cancel();
+      timer = setTimer(flush, delay);
+    },
+    settle(height) {
+      const h = Math.ceil(Number(height) || 0);
+      cancel();
+      if (h <= 0) return;
+      pending = last = h;
+      report(h, true);
+    },
+    dispose: cancel,
+  };
+}
+
+// ---- origins
+const escape = (s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+
+// Entries are exact origins ("https://www.boots.com"), subdomain wildcards ("https://*.boots.com") or "*"
+export function isOriginAllowed(origin, allowList = []) {
+  if (!origin || origin === "null") return false;
+  return (allowList || []).some((entry) => {
+    if (entry === "*") return true;
+    if (!entry.includes("*")) return entry === origin;
+    const re = new RegExp(`^${escape(entry).replace(/\*/g, "[^./]+(?:\\.[^./]+)*")}$`);
+    return re.test(origin);
+  });
+}
+
+const LOCAL_ORIGINS = ["http://localhost", "http://127.0.0.1"];
+
+/**
+ * The parent origins a retailer's embed may talk to.
+ * - retailer.embed.allowedOrigins from lib/retailers.mjs
+ * - extra comma-separated origins (e.g. NEXT_PUBLIC_QUIZ_PARENT_ORIGINS) for staging hosts
+ * - the quiz's own origin, and localhost in development
+ */
+export function allowedOriginsFor(retailer, { extra = "", selfOrigin = null, dev = false } = {}) {
+  const list = [...(retailer?.embed?.allowedOrigins || [])];
+  String(extra || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .forEach((o) => list.push(o));
+  if (selfOrigin) list.push(selfOrigin);
+  if (dev) LOCAL_ORIGINS.forEach((o) => list.push(o, `${o}:*`));
+  return [...new Set(list)];
+}
+
+const originOf = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+};
+
+// Best guess at the embedding page's origin: ancestorOrigins where supported, else the referrer
+export function resolveParentOrigin({ ancestorOrigins = null, referrer = "" } = {}) {
+  const first = ancestorOrigins && ancestorOrigins.length ? ancestorOrigins[0] : null;
+  return first || originOf(referrer);
+}
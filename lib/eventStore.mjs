@@ -0,0 +1,80 @@
+/**
+ * Local NDJSON store for anonymous funnel events (server only — uses node:fs).
+ * - One sanitised event per line, appended by POST /api/events
+ * - EVENTS_FILE overrides the location (default: data/events.ndjson under the working directory, git-ignored;
+ *   not the temp directory, which many hosts clear on reboot)
+ * - Once the file reaches EVENTS_MAX_BYTES (50 MB) it is rotated to "<file>.1" (replacing the previous one), so the store
+ *   stays under about twice that; reads take the rotated file first, then the current one
+ * - Reads re-sanitise every line, so a hand-edited or truncated file can't break the report
+ */
+
+import { createReadStream } from "node:fs";
+import { appendFile, mkdir, rename, stat } from "node:fs/promises";
+import path from "node:path";
+import { createInterface } from "node:readline";
+
+import { sanitizeEvent } from "./analytics.mjs";
+
+export const EVENTS_MAX_BYTES = 50 * 1024 * 1024;
+
+export function eventsFile(env = process.env, cwd = process.cwd()) {
+  return path.resolve(cwd, env.EVENTS_FILE || path.join("data", "events.ndjson"));
+}
+
+const rotatedFile = (file) => `${file}.1`;
+
+async function sizeOf(file) {
+  try {
+    return (await stat(file)).size;
+  } catch (e) {
+    if (e?.code === "ENOENT") return 0;
+    throw e;
+  }
+}
+
+let writing = Promise.resolve(); // appends run one at a time, so two requests can't both rotate
+
+export function appendEvents(events = [], file = eventsFile(), { maxBytes = EVENTS_MAX_BYTES } = {}) {
+  if (!events.length) return Promise.resolve(0);
+  const write = writing.then(async () => {
+    await mkdir(path.dirname(file), { recursive: true });
+    if ((await sizeOf(file)) >= maxBytes) await rename(file, rotatedFile(file));
+    await appendFile(file, events.map((e) => JSON.stringify(e)).join("\n") + "\n", "utf8");
+    return events.length;
+  });
+  writing = write.catch(() => {}); // a failed write mustn't block the next one
+  return write;
+}
+
+/**
+ * Stream the store back as clean events, oldest first (the rotated file, then the current one).
+ * A missing file is an empty store. Returns { events, skipped } — skipped counts lines that weren't valid events.
+ */
+export async function readEvents(file = eventsFile()) {
+  const older = await readStoreFile(rotatedFile(file));
+  const current = await readStoreFile(file);
+  return { events: [...older.events, ...current.events], skipped: older.skipped + current.skipped };
+}
+
+async function readStoreFile(file) {
+  const events = [];
+  let skipped = 0;
+
+  const stream = createReadStream(file, { encoding: "utf8" });
+  try {
+    for await (const line of createInterface({ input: stream, crlfDelay: Infinity })) {
+      if (!line.trim()) continue;
+      let clean = null;
+      try {
+        clean = sanitizeEvent(JSON.parse(line));
+      } catch {}
+      if (clean) events.push(clean);
+      else skipped++;
+    }
+  } catch (e) {
+    if (e?.code === "ENOENT") return { events: [], skipped: 0 };
+    throw e;
+  }
+
+  return { events, skipped };
+}
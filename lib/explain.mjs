@@ -0,0 +1,63 @@
+/**
+ * Turn a scoreQuiz() result into "Because you told us…" reasons.
+ * - Reasons come from the contribution trace: each answer that added points to the product
+ * - Slider answers are described by their end label ("Exhausted" / "Rarely tired")
+ * - A tie is explained by how resolveWinner settled it: the first priority, or PRODUCT_ORDER
+ * - A "fallback" winner (rules removed everything the answers scored) says so instead
+ */
+
+import { PRODUCT_META } from "./products.mjs";
+import { SLIDER_MAX, SLIDER_MIN } from "./weights.mjs";
+
+export function productName(code, meta = PRODUCT_META) {
+  return String(meta?.[code]?.name || code || "").toUpperCase();
+}
+
+function answerLabel(question, optId) {
+  if (optId === SLIDER_MIN && question?.type === "slider") return question.minLabel || "Low";
+  if (optId === SLIDER_MAX && question?.type === "slider") return question.maxLabel || "High";
+  return (question?.answers || []).find((a) => a.id === optId)?.label ?? optId;
+}
+
+const list = (names) => (names.length > 1 ? `${names.slice(0, -1).join(", ")} and ${names.at(-1)}` : names[0] || "");
+
+// Why the product won a tie (or by fallback), or null if it won on score alone
+export function explainTieBreak(result = {}, questions = [], meta = PRODUCT_META) {
+  const { winner, decidedBy, path = [] } = result;
+  if (winner && decidedBy === "fallback") {
+    return { decidedBy, rivals: [], text: `The formulas your answers pointed to can’t be recommended here, so we suggest ${productName(winner, meta)}.` };
+  }
+  if (!winner || (decidedBy !== "priority" && decidedBy !== "order")) return null;
+
+  const scoreStage = path.find((p) => p.stage === "score");
+  const rivals = (scoreStage?.candidates || []).filter((c) => c !== winner);
+  const tied = `${productName(winner, meta)} scored the same as ${list(rivals.map((c) => productName(c, meta)))}`;
+
+  if (decidedBy === "priority") {
+    const stage = path.find((p) => p.stage === "priority");
+    const question = questions.find((q) => q.id === stage?.question);
+    const label = answerLabel(question, stage?.option);
+    return { decidedBy, rivals, text: `${tied}; your top priority, “${label}”, decided it.` };
+  }
+  return { decidedBy, rivals, text: `${tied}; when results tie we recommend in a fixed product order.` };
+}
+
+/**
+ * Returns { code, reasons: [{ question, option, title, answer, points, text }], tieBreak }.
+ * Reasons are the answers that added points to `code` (default: the winner), biggest first.
+ */
+export function explainResult(result = {}, questions = [], { code = result?.winner, meta = PRODUCT_META } = {}) {
+  if (!code) return { code: null, reasons: [], tieBreak: null };
+
+  const reasons = (result.contributions || [])
+    .filter((c) => c.code === code && c.points > 0)
+    .map((c) => {
+      const question = questions.find((q) => q.id === c.question);
+      const title = question?.title || c.question;
+      const answer = answerLabel(question, c.option);
+      return { question: c.question, option: c.option, title, answer, points: c.points, text: `“${answer}” for “${title}”` };
+    })
+    .sort((a, b) => b.points - a.points); // stable, so ties keep question order
+
+  return { code, reasons, tieBreak: code === result.winner ? explainTieBreak(result, questions, meta) : null };
+}
@@ -0,0 +1,107 @@
+/**
+ * Kiosk result handoff: a short link that reopens someone's recommendation on their phone.
+ * - The token holds the retailer id and product codes only ("1.boots.eic.mjb.rnp"), never answers or
+ *   anything about the person, so scanning the QR code needs no personal data at all
+ * - /result/<token> (app/result/[token]/page.js) shows the formula(s) with the retailer's product links
+ * - "Email it to me" posts { email, token } to /api/handoff/email, which sends through lib/mailer.mjs;
+ *   the address is used for that one message and never stored
+ */
+
+import { productName } from "./explain.mjs";
+import { PRODUCT_ORDER } from "./products.mjs";
+import { RETAILERS, isKnownRetailer, productUrlFor, retailerCopy, retailerFor } from "./retailers.mjs";
+
+export const HANDOFF_VERSION = 1;
+export const HANDOFF_PATH = "/result";
+export const HANDOFF_EMAIL_URL = "/api/handoff/email";
+
+const MAX_CODES = 6; // winner + complements; anything longer isn't a real result
+
+function productCode(value, productOrder) {
+  const v = String(value || "").toLowerCase();
+  return productOrder.find((code) => code.toLowerCase() === v) || null;
+}
+
+// { context, codes: [winner, ...complements] } → "1.boots.eic.mjb", or null without a known winner
+export function encodeHandoff({ context, codes = [] } = {}, { retailers = RETAILERS, productOrder = PRODUCT_ORDER } = {}) {
+  const known = [...new Set(codes.map((c) => productCode(c, productOrder)))].filter(Boolean).slice(0, MAX_CODES);
+  if (!known.length || known[0] !== productCode(codes[0], productOrder)) return null;
+  const id = retailerFor(context, retailers).id;
+  return [HANDOFF_VERSION, id, ...known.map((c) => c.toLowerCase())].join(".");
+}
+
+// Token → { context, winner, complements }, or null if it's malformed, from another version or names unknown codes
+export function decodeHandoff(token, { retailers = RETAILERS, productOrder = PRODUCT_ORDER } = {}) {
+  const parts = String(token || "").split(".");
+  if (parts.length < 3 || parts.length > MAX_CODES + 2 || parts[0] !== String(HANDOFF_VERSION)) return null;
+  const [, context, ...rest] = parts;
+  if (!isKnownRetailer(context, retailers)) return null;
+  const codes = rest.map((c) => productCode(c, productOrder));
+  if (codes.some((c) => !c) || new Set(codes).size !== codes.length) return null;
+  return { context: context.toLowerCase(), winner: codes[0], complements: codes.slice(1) };
+}
+
+// Absolute link for the QR code / email; `origin` is the public site, not a kiosk's local address
+export function handoffUrl(token, origin) {
+  return `${String(origin || "").replace(/\/+$/, "")}${HANDOFF_PATH}/${token}`;
+}
+
+export function isEmailAddress(value) {
+  return typeof value === "string" && value.length <= 254 && /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]{2,}$/.test(value);
+}
+
+const absolute = (url, origin) => (url && origin ? new URL(url, origin).href : url);
+
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+/**
+ * The products behind a decoded handoff, with the retailer's links:
+ *   { retailer, products: [{ code, name, tagline, url }] }
+ * `content` is the results content JSON (name / tagline per code); relative links are resolved against `origin`.
+ */
+export function handoffProducts(handoff, { content = {}, retailers = RETAILERS, origin = null } = {}) {
+  const retailer = retailerFor(handoff.context, retailers);
+  const codes = [handoff.winner, ...handoff.complements];
+  const products = codes.map((code) => ({
+    code,
+    name: content?.[code]?.name || productName(code),
+    tagline: content?.[code]?.tagline || "",
+    url: absolute(productUrlFor(retailer, code), origin),
+  }));
+  return { retailer, products };
+}
+
+// The "send to my email" message: { subject, text, html }
+export function handoffEmail(handoff, { url, content = {}, retailers = RETAILERS } = {}) {
+  const { retailer, products } = handoffProducts(handoff, { content, retailers, origin: new URL(url).origin });
+  const [winner, ...complements] = products;
+  const buy = (p) => retailerCopy(retailer, "buy", { name: productName(p.code) }) || productName(p.code);
+
+  const text = [
+    `Your Nourished formula: ${winner.name}`,
+    winner.tagline || null,
+    winner.url && `${buy(winner)}: ${winner.url}`,
+    complements.length > 0 && "",
+    complements.length > 0 && "To complete your stack:",
+    ...complements.map((p) => `- ${p.name}${p.url ? `: ${p.url}` : ""}`),
+    "",
+    `See your full result again: ${url}`,
+  ].filter((line) => line !== false && line != null);
+
+  const link = (href, label) => `<a href="${escapeHtml(href)}">${escapeHtml(label)}</a>`;
+  const html = [
+    `<h1>Your Nourished formula: ${escapeHtml(winner.name)}</h1>`,
+    winner.tagline && `<p>${escapeHtml(winner.tagline)}</p>`,
+    winner.url && `<p>${link(winner.url, buy(winner))}</p>`,
+    complements.length > 0 &&
+      `<h2>Complete your stack</h2><ul>${complements
+        .map((p) => `<li>${p.url ? link(p.url, p.name) : escapeHtml(p.name)}</li>`)
+        .join("")}</ul>`,
+    `<p>${link(url, "See your full result again")}</p>`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return { subject: `Your Nourished formula: ${winner.name}`, text: text.join("\n"), html };
+}
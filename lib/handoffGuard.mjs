@@ -0,0 +1,48 @@
+/**
+ * Who may use POST /api/handoff/email (server only — uses node:crypto).
+ * A handoff token is easy to make up, so the token alone doesn't allow sending mail:
+ * - The request names a kiosk device whose profile in kiosk_devices.json has "handoff": { "email": true }
+ * - …and carries that device's key from KIOSK_KEYS ("<device id>:<key>,…"), which lives only in the server's
+ *   environment and in the kiosk's launch URL (?key=); a device without a key can't send email
+ * - Each device may send EMAIL_RATE_LIMIT emails per window (lib/requestGuard.mjs createRateLimiter, in memory per server)
+ */
+
+import { createHash, timingSafeEqual } from "node:crypto";
+
+import { deviceFor } from "./devices.mjs";
+
+export const EMAIL_RATE_LIMIT = { limit: 10, windowMs: 10 * 60 * 1000 }; // per device: a busy shelf, not a mail-out
+
+// "till-1:s3cret, till-2:other" → Map(device id → key); malformed entries are ignored
+export function parseKioskKeys(value) {
+  const keys = new Map();
+  String(value || "")
+    .split(",")
+    .forEach((entry) => {
+      const at = entry.indexOf(":");
+      const id = entry.slice(0, at).trim();
+      const key = entry.slice(at + 1).trim();
+      if (at > 0 && id && key) keys.set(id, key);
+    });
+  return keys;
+}
+
+const digest = (s) => createHash("sha256").update(String(s)).digest();
+
+function sameKey(a, b) {
+  return typeof a === "string" && typeof b === "string" && a.length > 0 && timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Whether `deviceId` may send a handoff email with `key`:
+ *   { ok: true, deviceId } (the clean id, to rate limit by) or { ok: false, status, error } for the response.
+ * `devices` is the loaded kiosk_devices.json (lib/devices.mjs loadDevices); `keys` is parseKioskKeys(KIOSK_KEYS).
+ */
+export function checkEmailHandoff({ deviceId, key, devices = {}, keys = new Map() } = {}) {
+  const device = deviceFor(deviceId, devices);
+  if (!device.known || device.handoff.email !== true) {
+    return { ok: false, status: 403, error: "email is not enabled for this device" };
+  }
+  if (!sameKey(key, keys.get(device.id))) return { ok: false, status: 401, error: "invalid device key" };
+  return { ok: true, deviceId: device.id };
+}
@@ -0,0 +1,47 @@
+/**
+ * Browser history for online quizzes: every step is a history entry, so the device Back gesture (and
+ * Back in a host page's browser) moves between questions instead of leaving the quiz.
+ * - Entries carry { quizStep, quizDepth } in history.state, merged over whatever the router keeps there;
+ *   quizDepth counts entries since the intro, so "Start again" can rewind rather than pile up entries
+ * - The URL hash names the step (#step-3, #results) for people reading the address bar; state is the truth
+ * - Popping to a question that is now hidden (showIf/skipIf, e.g. "Which diet?" after answering "No")
+ *   skips it in the direction of travel, and going forward stops at the first unanswered question
+ */
+
+import { isQuestionVisible, nextVisibleStep, prevVisibleStep } from "./questions.mjs";
+import { selectionError } from "./selection.mjs";
+
+export function stepHash(step, total) {
+  if (step <= 0) return "";
+  return step > total ? "#results" : `#step-${step}`;
+}
+
+export function historyState(state, step, depth = 0) {
+  return { ...(state && typeof state === "object" ? state : {}), quizStep: step, quizDepth: depth };
+}
+
+// { step, depth } from one of our entries, or null for anything else
+export function stepFromState(state) {
+  if (!state || !Number.isInteger(state.quizStep) || state.quizStep < 0) return null;
+  return { step: state.quizStep, depth: Number.isInteger(state.quizDepth) && state.quizDepth > 0 ? state.quizDepth : 0 };
+}
+
+/**
+ * The step to show after the history moved from `from` to `to`.
+ * `isComplete(question)` says whether a question may be left going forward (defaults to lib/selection.mjs rules).
+ */
+export function resolveHistoryStep({ questions = [], answers = {}, from = 0, to = 0, isComplete } = {}) {
+  const total = questions.length;
+  const done = isComplete ?? ((q) => !selectionError(q, answers[q.id]));
+  let step = Math.min(Math.max(0, to), total + 1);
+  const hidden = (s) => s >= 1 && s <= total && !isQuestionVisible(questions[s - 1], answers, questions);
+  if (hidden(step)) step = step > from ? nextVisibleStep(questions, answers, step) : prevVisibleStep(questions, answers, step);
+
+  // forward: no skipping past a question (including the one being left) that still needs an answer
+  let s = from >= 1 && !hidden(from) ? from : nextVisibleStep(questions, answers, Math.max(0, from));
+  while (step > from && s < step) {
+    if (!done(questions[s - 1])) return s;
+    s = nextVisibleStep(questions, answers, s);
+  }
+  return step;
+}
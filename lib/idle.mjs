@@ -0,0 +1,50 @@
+/**
+ * Two-stage kiosk idle timer: after `idleMs` without input a warning counts down `warningMs`,
+ * and only when it runs out is the kiosk reset. Any input calls bump() again and cancels the warning.
+ * Timers are injectable so tests can drive it with a fake clock, like createHeightReporter in lib/embed.mjs.
+ *
+ *   const idle = createIdleTimer({ onCountdown: (secondsLeft) => …, onReset: () => … });
+ *   idle.bump(30000, 15000);   // on every touch / key press
+ *   idle.stop();               // on unmount, or while the attract loop is showing
+ */
+
+export function createIdleTimer({
+  onCountdown = () => {},
+  onReset = () => {},
+  setTimer = (fn, ms) => setTimeout(fn, ms),
+  clearTimer = (id) => clearTimeout(id),
+} = {}) {
+  let timer = null;
+  let left = 0;
+
+  const stop = () => {
+    if (timer != null) clearTimer(timer);
+    timer = null;
+  };
+
+  const reset = () => {
+    timer = null;
+    onReset();
+  };
+
+  const tick = () => {
+    left -= 1;
+    if (left <= 0) return reset();
+    onCountdown(left);
+    timer = setTimer(tick, 1000);
+  };
+
+  return {
+    // (Re)start the quiet period; warningMs = 0 resets with no warning
+    bump(idleMs, warningMs = 0) {
+      stop();
+      timer = setTimer(() => {
+        left = Math.ceil(Math.max(0, warningMs) / 1000);
+        if (left <= 0) return reset();
+        onCountdown(left);
+        timer = setTimer(tick, 1000);
+      }, idleMs);
+    },
+    stop,
+  };
+}
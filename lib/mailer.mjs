@@ -0,0 +1,70 @@
+/**
+ * Outgoing mail for result handoffs (server only — the stub transport uses node:fs).
+ * MAIL_TRANSPORT picks the transport:
+ *   "stub"  appends each message as a JSON line to MAIL_FILE (default: <tmp>/nourished-quiz-mail.ndjson),
+ *           for local testing; nothing leaves the machine, and the recipient is saved masked (s…@example.com)
+ *   "http"  POSTs { from, to, subject, text, html } as JSON to MAIL_HTTP_URL, with MAIL_HTTP_TOKEN as a
+ *           bearer token (a mail provider's send API, or a small relay in front of SMTP)
+ *   unset   email handoff is off; `npm run dev` falls back to "stub"
+ * MAIL_FROM is the sender address, required by every transport but the stub (there is no default sender).
+ * More transports plug in through TRANSPORTS:
+ *   name → (env, { fetchImpl }) => async send(message)
+ * Messages are never logged: they contain the recipient's address.
+ */
+
+import { appendFile, mkdir } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+export function mailFile(env = process.env) {
+  return env.MAIL_FILE || path.join(os.tmpdir(), "nourished-quiz-mail.ndjson");
+}
+
+// "sam@example.com" → "s…@example.com": enough to tell test messages apart without keeping the address
+function maskAddress(address) {
+  const at = String(address || "").lastIndexOf("@");
+  return at > 0 ? `${address[0]}…${address.slice(at)}` : "…";
+}
+
+export const TRANSPORTS = {
+  stub: (env) => async (message) => {
+    const file = mailFile(env);
+    await mkdir(path.dirname(file), { recursive: true });
+    await appendFile(file, JSON.stringify({ ...message, to: maskAddress(message.to), ts: Date.now() }) + "\n", "utf8");
+  },
+
+  http: (env, { fetchImpl = globalThis.fetch } = {}) => {
+    if (!env.MAIL_HTTP_URL) throw new Error("MAIL_TRANSPORT=http needs MAIL_HTTP_URL");
+    return async (message) => {
+      const res = await fetchImpl(env.MAIL_HTTP_URL, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          ...(env.MAIL_HTTP_TOKEN ? { authorization: `Bearer ${env.MAIL_HTTP_TOKEN}` } : {}),
+        },
+        body: JSON.stringify(message),
+      });
+      if (!res.ok) throw new Error(`Mail relay answered HTTP ${res.status}`);
+    };
+  },
+};
+
+/**
+ * createMailer(env) → { transport, send({ to, subject, text, html }) }, or null when email is off.
+ * Throws for an unknown MAIL_TRANSPORT, or a real one without MAIL_FROM, so a gap in the deploy config fails loudly
+ * (instrumentation.js calls this when the server starts).
+ */
+export function createMailer(env = process.env, { transports = TRANSPORTS, fetchImpl } = {}) {
+  const name = String(env.MAIL_TRANSPORT || (env.NODE_ENV === "development" ? "stub" : "")).trim().toLowerCase();
+  if (!name || name === "none") return null;
+  if (!Object.prototype.hasOwnProperty.call(transports, name)) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+
+  const from = String(env.MAIL_FROM || "").trim();
+  if (!from && name !== "stub") throw new Error(`MAIL_TRANSPORT=${name} needs MAIL_FROM`);
+
+  const deliver = transports[name](env, { fetchImpl });
+  return {
+    transport: name,
+    send: ({ to, subject, text, html }) => deliver({ from, to, subject, text, html }),
+  };
+}
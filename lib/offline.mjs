@@ -0,0 +1,41 @@
+/**
+ * Offline kiosk support (see public/nourished-quiz-sw.js).
+ * - precacheUrls() lists everything a kiosk needs with no network: every retailer's quiz JSON,
+ *   the kiosk device profiles, product images, answer icons, logos and backgrounds.
+ *   GET /api/precache serves it; the service worker caches it on install and refreshes it when online.
+ * - The service worker is registered on kiosks only (?kiosk=1) and ignores every other page.
+ */
+
+import { DEVICES_FILE } from "./devices.mjs";
+import { PRODUCT_META } from "./products.mjs";
+import { isExternal, publicPath } from "./publicPath.mjs";
+import { RETAILERS, retailerFor } from "./retailers.mjs";
+
+export const SW_URL = "/nourished-quiz-sw.js";
+export const PRECACHE_MANIFEST_URL = "/api/precache";
+
+// Always on screen, whatever the config says
+const SHELL_ASSETS = ["/nourished-formula-logo.svg"];
+
+/**
+ * publicFiles: extra /public paths found on disk (e.g. every file in /icons).
+ * devices: parsed kiosk_devices.json entries, for their attract images.
+ */
+export function precacheUrls({ retailers = RETAILERS, productMeta = PRODUCT_META, devices = {}, publicFiles = [] } = {}) {
+  const urls = [...SHELL_ASSETS, DEVICES_FILE];
+
+  Object.keys(retailers).forEach((id) => {
+    const { files, theme } = retailerFor(id, retailers);
+    urls.push(...Object.values(files));
+    if (theme.background) urls.push(theme.background);
+  });
+
+  Object.values(productMeta || {}).forEach((meta) => {
+    Object.values(meta?.images || {}).forEach((src) => src && urls.push(src));
+  });
+
+  Object.values(devices || {}).forEach((d) => d?.attract?.image && urls.push(d.attract.image));
+
+  urls.push(...publicFiles);
+  return [...new Set(urls.filter(Boolean).map(publicPath))].filter((u) => !isExternal(u)); // same-origin only
+}
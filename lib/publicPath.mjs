@@ -0,0 +1,11 @@
+/**
+ * Files under /public, as config lists them: "products/Eic-1.png" and "/products/Eic-1.png" are the same file.
+ * publicPath gives the root-relative URL; absolute URLs (https://…, //cdn…) are left alone.
+ */
+
+export const isExternal = (src) => /^(https?:)?\/\//.test(String(src));
+
+export function publicPath(src) {
+  if (!src) return null;
+  return isExternal(src) ? String(src) : `/${String(src).replace(/^\/+/, "")}`;
+}
@@ -0,0 +1,293 @@
+/**
+ * QR code encoder, so kiosks can draw result links without calling an outside service.
+ * Byte mode (UTF-8), versions 1–10, error correction L / M / Q / H; enough for a short URL.
+ *   const qr = encodeQr("https://…/result/1.boots.eic");   // { version, size, modules }
+ *   <path d={qrSvgPath(qr)} />                            // inside viewBox="0 0 size+8 size+8"
+ * `modules[y][x]` is true for a dark module. The layout follows ISO/IEC 18004.
+ */
+
+// Per version: [L, M, Q, H], each [ecCodewordsPerBlock, group1Blocks, group1DataCodewords, group2Blocks, group2DataCodewords]
+const BLOCKS = [
+  null,
+  [[7, 1, 19], [10, 1, 16], [13, 1, 13], [17, 1, 9]],
+  [[10, 1, 34], [16, 1, 28], [22, 1, 22], [28, 1, 16]],
+  [[15, 1, 55], [26, 1, 44], [18, 2, 17], [22, 2, 13]],
+  [[20, 1, 80], [18, 2, 32], [26, 2, 24], [16, 4, 9]],
+  [[26, 1, 108], [24, 2, 43], [18, 2, 15, 2, 16], [22, 2, 11, 2, 12]],
+  [[18, 2, 68], [16, 4, 27], [24, 4, 19], [28, 4, 15]],
+  [[20, 2, 78], [18, 4, 31], [18, 2, 14, 4, 15], [26, 4, 13, 1, 14]],
+  [[24, 2, 97], [22, 2, 38, 2, 39], [22, 4, 18, 2, 19], [26, 4, 14, 2, 15]],
+  [[30, 2, 116], [22, 3, 36, 2, 37], [20, 4, 16, 4, 17], [24, 4, 12, 4, 13]],
+  [[18, 2, 68, 2, 69], [26, 4, 43, 1, 44], [24, 6, 19, 2, 20], [28, 6, 15, 2, 16]],
+];
+
+const ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+
+export const MAX_VERSION = BLOCKS.length - 1;
+const LEVELS = ["L", "M", "Q", "H"];
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// ---- Reed–Solomon over GF(256), polynomial 0x11d
+function gfMul(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function generator(degree) {
+  const g = new Array(degree).fill(0);
+  g[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      g[j] = gfMul(g[j], root);
+      if (j + 1 < degree) g[j] ^= g[j + 1];
+    }
+    root = gfMul(root, 0x02);
+  }
+  return g;
+}
+
+// The `degree` error-correction codewords for one block of data codewords
+export function errorCorrection(data, degree) {
+  const g = generator(degree);
+  const out = new Array(degree).fill(0);
+  data.forEach((b) => {
+    const factor = b ^ out.shift();
+    out.push(0);
+    g.forEach((coef, i) => (out[i] ^= gfMul(coef, factor)));
+  });
+  return out;
+}
+
+// ---- data codewords
+function blocksFor(version, level) {
+  const [ec, n1, d1, n2 = 0, d2 = 0] = BLOCKS[version][LEVELS.indexOf(level)];
+  return { ec, sizes: [...new Array(n1).fill(d1), ...new Array(n2).fill(d2)] };
+}
+
+const dataCapacity = (version, level) => blocksFor(version, level).sizes.reduce((a, b) => a + b, 0);
+const countBits = (version) => (version < 10 ? 8 : 16);
+
+function dataCodewords(bytes, version, level) {
+  const capacity = dataCapacity(version, level) * 8;
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0b0100, 4); // byte mode
+  push(bytes.length, countBits(version));
+  bytes.forEach((b) => push(b, 8));
+  push(0, Math.min(4, capacity - bits.length)); // terminator
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const out = [];
+  for (let i = 0; i < bits.length; i += 8) out.push(bits.slice(i, i + 8).reduce((a, b) => (a << 1) | b, 0));
+  return out;
+}
+
+// Split into blocks, add error correction, interleave
+function allCodewords(data, version, level) {
+  const { ec, sizes } = blocksFor(version, level);
+  const blocks = [];
+  let at = 0;
+  sizes.forEach((n) => {
+    const block = data.slice(at, (at += n));
+    blocks.push({ data: block, ec: errorCorrection(block, ec) });
+  });
+
+  const out = [];
+  for (let i = 0; i < Math.max(...sizes); i++) blocks.forEach((b) => i < b.data.length && out.push(b.data[i]));
+  for (let i = 0; i < ec; i++) blocks.forEach((b) => out.push(b.ec[i]));
+  return out;
+}
+
+// ---- matrix
+function bch(value, poly, bits) {
+  let rem = value << bits;
+  const top = Math.floor(Math.log2(poly));
+  for (let i = Math.floor(Math.log2(rem || 1)); i >= top; i--) if ((rem >>> i) & 1) rem ^= poly << (i - top);
+  return (value << bits) | rem;
+}
+
+// 15-bit format string for an error correction level and mask
+export function formatBits(level, mask) {
+  return bch((FORMAT_BITS[level] << 3) | mask, 0x537, 10) ^ 0x5412;
+}
+
+// 18-bit version string (versions 7+)
+export function versionBits(version) {
+  return bch(version, 0x1f25, 12);
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function baseMatrix(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // finders, with their light separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const d = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, d !== 2 && d !== 4);
+      }
+    }
+  });
+
+  const centres = ALIGNMENT[version];
+  const last = centres.length - 1;
+  centres.forEach((cy, i) =>
+    centres.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return; // under a finder
+      for (let dy = -2; dy <= 2; dy++) for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    })
+  );
+
+  if (version >= 7) {
+    const bits = versionBits(version);
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  drawFormat(set, size, "L", 0); // reserve the format areas; redrawn once the mask is chosen
+  return { size, modules, reserved };
+}
+
+function drawFormat(set, size, level, mask) {
+  const bits = formatBits(level, mask);
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true); // always dark
+}
+
+// Zig-zag up and down two-module columns from the bottom right, skipping the vertical timing line
+function placeCodewords(modules, reserved, codewords) {
+  const size = modules.length;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let v = 0; v < size; v++) {
+      const y = upward ? size - 1 - v : v;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (reserved[y][x]) continue;
+        modules[y][x] = i < codewords.length * 8 && ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+}
+
+function applyMask(modules, reserved, mask) {
+  const test = MASKS[mask];
+  return modules.map((row, y) => row.map((dark, x) => (!reserved[y][x] && test(x, y) ? !dark : dark)));
+}
+
+// Lower is easier to scan: long runs, 2×2 blocks, finder look-alikes and dark/light imbalance all cost
+function penalty(modules) {
+  const size = modules.length;
+  let score = 0;
+  const lines = [...modules, ...modules.map((_, x) => modules.map((row) => row[x]))];
+
+  lines.forEach((line) => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) run++;
+      else {
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+    }
+    const s = `0000${line.map((d) => (d ? "1" : "0")).join("")}0000`; // the quiet zone counts as light
+    ["10111010000", "00001011101"].forEach((pattern) => {
+      for (let at = s.indexOf(pattern); at !== -1; at = s.indexOf(pattern, at + 1)) score += 40;
+    });
+  });
+
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const c = modules[y][x];
+      if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+    }
+  }
+
+  const dark = modules.reduce((n, row) => n + row.filter(Boolean).length, 0);
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+/**
+ * Encode `text` in the smallest version that fits. `mask` (0–7) is chosen by penalty score unless given.
+ * Throws a RangeError when the text is too long for version 10.
+ */
+export function encodeQr(text, { level = "M", minVersion = 1, mask = null } = {}) {
+  if (!LEVELS.includes(level)) throw new RangeError(`Unknown QR error correction level "${level}"`);
+  const bytes = [...new TextEncoder().encode(String(text))];
+
+  let version = Math.max(1, minVersion);
+  while (version <= MAX_VERSION && 4 + countBits(version) + bytes.length * 8 > dataCapacity(version, level) * 8) version++;
+  if (version > MAX_VERSION) throw new RangeError(`Text too long for a QR code (${bytes.length} bytes)`);
+
+  const { size, modules, reserved } = baseMatrix(version);
+  placeCodewords(modules, reserved, allCodewords(dataCodewords(bytes, version, level), version, level));
+
+  const candidates = (mask == null ? [0, 1, 2, 3, 4, 5, 6, 7] : [mask]).map((m) => {
+    const masked = applyMask(modules, reserved, m);
+    drawFormat((x, y, dark) => (masked[y][x] = dark), size, level, m);
+    return { mask: m, modules: masked, score: mask == null ? penalty(masked) : 0 };
+  });
+  const best = candidates.reduce((a, b) => (b.score < a.score ? b : a));
+
+  return { version, level, mask: best.mask, size, modules: best.modules };
+}
+
+// One SVG path for every dark module, offset by a quiet zone of `margin` modules
+export function qrSvgPath(qr, margin = 4) {
+  const parts = [];
+  qr.modules.forEach((row, y) =>
+    row.forEach((dark, x) => {
+      if (dark) parts.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+    })
+  );
+  return parts.join("");
+}
@@ -0,0 +1,162 @@
+/**
+ * Question normalisation shared by the quiz UI, the scoring engine and its tests.
+ * - Accepts options as strings ("Label (example)"), delimited strings or objects
+ * - Infers sliders from slider/range/scale/likert types or min/max labels
+ * - Branching: a question may declare
+ *     "showIf": { "<question.id>": ["<option.id>", ...] }   shown only when every listed answer matches
+ *     "skipIf": { "<question.id>": ["<option.id>", ...] }   hidden when every listed answer matches
+ *   Answers to hidden questions are dropped, so they never score.
+ * - Presentation is declared, not guessed from titles:
+ *     "widget"      one of WIDGETS (default: "slider" for sliders, "multi-tiles" for "multi", else "icon-tiles")
+ *     "minSelect"   fewest options a multi-select widget needs to continue (default 1)
+ *     "maxSelect"   most options a multi-select widget takes (default: no limit)
+ *     "exclusive"   option ids that can't be combined with others, e.g. ["none"]
+ *     "messages"    wording for why Continue is disabled or a limit is reached (see lib/selection.mjs)
+ *     "helperText"  a smaller line under the title, e.g. examples
+ *     "iconSet"     one of ICON_SETS for the tile icons (default "answers")
+ *   `type` is normalised to the answer the widget stores: "single", "multi" or "slider".
+ */
+
+import { matchesConditions, normalizeConditions } from "./answers.mjs";
+
+// ---- options
+export function normalizeOptionsFromAny(q, idx) {
+  let raw = q.options ?? q.answers ?? q.choices ?? [];
+  if (typeof raw === "string") {
+    raw = raw.split(/[,;|]/g).map((s) => s.trim()).filter(Boolean);
+  }
+
+  // 1. Strings → extract ( ... ) into sublabel
+  if (Array.isArray(raw) && raw.every((v) => typeof v === "string")) {
+    return raw.map((s) => {
+      const match = s.match(/^(.*?)\s*\((.*?)\)\s*$/);
+      const label = match ? match[1].trim() : s.trim();
+      const sublabel = match ? `e.g. ${match[2].trim()}` : null;
+      return { id: s, label, sublabel };
+    });
+  }
+
+  // 2. Objects → keep any sublabel if it exists
+  if (Array.isArray(raw) && raw.length && typeof raw[0] === "object") {
+    return raw.map((o, i) => {
+      const id = String(o.id ?? o.value ?? o.code ?? o.label ?? `${idx}_${i}`);
+      const label = String(o.label ?? o.name ?? o.text ?? o.value ?? o.id ?? id);
+      const sublabel = typeof o.sublabel === "string" ? o.sublabel : null;
+      return { id, label, sublabel };
+    });
+  }
+
+  return [];
+}
+
+// ---- questions
+const SLIDER_TYPES = { slider: "slider", range: "slider", scale: "slider", likert: "slider" };
+
+// widget → the answer it stores: one option id, a list of option ids, or a 1..5 number
+export const WIDGETS = {
+  "icon-tiles": "single",
+  "multi-tiles": "multi",
+  "ranked-priority": "multi", // a list in the order picked
+  chips: "multi",
+  slider: "slider",
+};
+export const ICON_SETS = ["answers", "gender", "none"];
+
+// A whole number ≥ min, written as a number or a numeric string; anything else → null
+function wholeNumber(v, min) {
+  const n = typeof v === "number" || (typeof v === "string" && v.trim()) ? Number(v) : NaN;
+  return Number.isInteger(n) && n >= min ? n : null;
+}
+
+function widgetFor(q, qtype) {
+  const declared = String(q.widget || "").toLowerCase();
+  if (qtype === "slider") return "slider";
+  if (Object.prototype.hasOwnProperty.call(WIDGETS, declared) && declared !== "slider") return declared;
+  return String(q.type || "").toLowerCase() === "multi" ? "multi-tiles" : "icon-tiles";
+}
+
+export function normalizeQuestion(q, i) {
+  const opts = normalizeOptionsFromAny(q, i);
+
+  const t = String(q.type || "").toLowerCase();
+
+  // infer slider if no options and has min/max labels
+  const inferred = !t && !opts.length && (q.minLabel || q.maxLabel) ? "slider" : "single";
+  const qtype = SLIDER_TYPES[t] || (String(q.widget || "").toLowerCase() === "slider" ? "slider" : inferred);
+  const qid = String(q.id ?? `q_${i}`);
+  const widget = widgetFor(q, qtype);
+  const messages = Object.fromEntries(
+    Object.entries(q.messages && typeof q.messages === "object" ? q.messages : {}).filter(([, v]) => typeof v === "string")
+  );
+
+  return {
+    id: qid,
+    title: q.title ?? `Question ${i + 1}`,
+    type: WIDGETS[widget],
+    answers: opts,
+    minLabel: q.minLabel,
+    maxLabel: q.maxLabel,
+    required: qtype === "slider" ? false : true,
+    showIf: q.showIf ? normalizeConditions(q.showIf) : null,
+    skipIf: q.skipIf ? normalizeConditions(q.skipIf) : null,
+    widget,
+    minSelect: wholeNumber(q.minSelect, 0),
+    maxSelect: wholeNumber(q.maxSelect, 1),
+    exclusive: [].concat(q.exclusive ?? []).map(String),
+    messages,
+    helperText: typeof q.helperText === "string" && q.helperText.trim() ? q.helperText.trim() : null,
+    iconSet: ICON_SETS.includes(q.iconSet) ? q.iconSet : "answers",
+  };
+}
+
+export function normalizeQuestions(src) {
+  return (Array.isArray(src) ? src : []).map(normalizeQuestion);
+}
+
+// ---- branching
+export function isQuestionVisible(q, answers = {}, questions = []) {
+  if (q?.showIf && !matchesConditions(q.showIf, answers, questions)) return false;
+  if (q?.skipIf && Object.keys(q.skipIf).length && matchesConditions(q.skipIf, answers, questions)) return false;
+  return true;
+}
+
+// Walk in order so a question hidden early can't keep later ones visible through its stale answer
+function resolveVisibility(questions = [], answers = {}) {
+  const effective = { ...answers };
+  const visible = (questions || []).map((q) => {
+    const shown = isQuestionVisible(q, effective, questions);
+    if (!shown) delete effective[q.id];
+    return shown;
+  });
+  return { visible, answers: effective };
+}
+
+export function visibleQuestions(questions = [], answers = {}) {
+  const { visible } = resolveVisibility(questions, answers);
+  return (questions || []).filter((_, i) => visible[i]);
+}
+
+export function pruneHiddenAnswers(questions = [], answers = {}) {
+  return resolveVisibility(questions, answers).answers;
+}
+
+// Steps: 0 = intro, 1..n = questions[step - 1], n + 1 = results
+export function nextVisibleStep(questions = [], answers = {}, step = 0) {
+  const { visible } = resolveVisibility(questions, answers);
+  for (let i = Math.max(0, step); i < visible.length; i++) if (visible[i]) return i + 1;
+  return visible.length + 1;
+}
+
+export function prevVisibleStep(questions = [], answers = {}, step = 0) {
+  const { visible } = resolveVisibility(questions, answers);
+  for (let i = Math.min(step - 2, visible.length - 1); i >= 0; i--) if (visible[i]) return i + 1;
+  return 0;
+}
+
+// 1-based position of a step among visible questions, and the visible total
+export function progressForStep(questions = [], answers = {}, step = 0) {
+  const { visible } = resolveVisibility(questions, answers);
+  const total = visible.filter(Boolean).length;
+  const index = visible.slice(0, Math.max(0, step)).filter(Boolean).length;
+  return { index, total };
+}
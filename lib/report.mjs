@@ -0,0 +1,156 @@
+/**
+ * Funnel report over stored analytics events (see lib/analytics.mjs, lib/eventStore.mjs).
+ * Pure: events + normalised questions in, plain numbers out, so /admin/report and tests share it.
+ * - Everything is counted per session: a user re-answering a question or reloading a result counts once
+ * - Completion = sessions with a result ÷ sessions that started
+ * - Drop-off = unfinished sessions whose last viewed question was this one
+ * - Answer distributions use each session's final answer; answer events carry the whole stored answer, so
+ *   a multi-select counts every option still picked and a cleared one counts as unanswered. Slider numbers
+ *   bucket to min / max like scoring
+ */
+
+import { EVENTS } from "./analytics.mjs";
+import { mapSliderNumberToOption } from "./answers.mjs";
+import { PRODUCT_ORDER } from "./products.mjs";
+
+const ratio = (n, d) => (d > 0 ? n / d : 0);
+
+// kiosk: true (kiosk only), false (online only) or null (both); context / store: an id or null (all)
+export function filterEvents(events = [], { kiosk = null, context = null, store = null } = {}) {
+  return (events || []).filter(
+    (e) => (kiosk == null || e.kiosk === kiosk) && (!context || e.context === context) && (!store || e.store === store)
+  );
+}
+
+// Group by session, each in time order
+function bySession(events) {
+  const sessions = new Map();
+  [...events]
+    .sort((a, b) => a.ts - b.ts)
+    .forEach((e) => {
+      if (!sessions.has(e.session)) sessions.set(e.session, []);
+      sessions.get(e.session).push(e);
+    });
+  return sessions;
+}
+
+function answerBuckets(question, value) {
+  if (question?.type === "slider") {
+    if (typeof value !== "number") return [];
+    return [mapSliderNumberToOption(value) ?? "middle"];
+  }
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+function optionRows(question) {
+  if (question.type === "slider") {
+    return [
+      { id: "min", label: question.minLabel || "Low end" },
+      { id: "middle", label: "In between" },
+      { id: "max", label: question.maxLabel || "High end" },
+    ];
+  }
+  return (question.answers || []).map((a) => ({ id: a.id, label: a.label }));
+}
+
+/**
+ * buildReport(events, { questions, kiosk, context, store }) → {
+ *   filters, contexts, stores, sessions, starts, completions, completionRate, abandonedIdle,
+ *   questions: [{ id, title, views, answered, dropOffs, dropOffRate, options: [{ id, label, count, share }] }],
+ *   products: [{ code, recommended, share, inStack, stackShare }]
+ * }
+ */
+export function buildReport(
+  events = [],
+  { questions = [], productOrder = PRODUCT_ORDER, kiosk = null, context = null, store = null } = {}
+) {
+  const seen = (key) => [...new Set((events || []).map((e) => e[key]).filter(Boolean))].sort();
+  const sessions = bySession(filterEvents(events, { kiosk, context, store }));
+
+  let starts = 0;
+  let completions = 0;
+  let abandonedIdle = 0;
+  const views = {};
+  const dropOffs = {};
+  const finalAnswers = {}; // qid → [value per answering session]
+  const recommended = {};
+  const inStack = {};
+
+  sessions.forEach((list) => {
+    const viewed = new Set();
+    const answers = {};
+    let started = false;
+    let idled = false;
+    let lastViewed = null;
+    let result = null;
+
+    list.forEach((e) => {
+      const p = e.props || {};
+      if (e.event === EVENTS.QUIZ_START) started = true;
+      if (e.event === EVENTS.ABANDON_IDLE) idled = true;
+      if (e.event === EVENTS.QUESTION_VIEW && p.questionId) {
+        viewed.add(p.questionId);
+        lastViewed = p.questionId;
+      }
+      if (e.event === EVENTS.ANSWER && p.questionId) answers[p.questionId] = p.option;
+      if (e.event === EVENTS.RESULT) result = p;
+    });
+
+    if (started) starts++;
+    if (idled) abandonedIdle++;
+    viewed.forEach((qid) => (views[qid] = (views[qid] || 0) + 1));
+    Object.entries(answers).forEach(([qid, v]) => {
+      if (v != null && !(Array.isArray(v) && v.length === 0)) (finalAnswers[qid] = finalAnswers[qid] || []).push(v);
+    });
+
+    if (result) {
+      completions++;
+      if (result.product) recommended[result.product] = (recommended[result.product] || 0) + 1;
+      new Set(result.stack || []).forEach((code) => (inStack[code] = (inStack[code] || 0) + 1));
+    } else if (lastViewed) {
+      dropOffs[lastViewed] = (dropOffs[lastViewed] || 0) + 1;
+    }
+  });
+
+  const questionRows = (questions || []).map((q) => {
+    const values = finalAnswers[q.id] || [];
+    const counts = {};
+    values.forEach((v) => answerBuckets(q, v).forEach((id) => (counts[id] = (counts[id] || 0) + 1)));
+    const rows = optionRows(q);
+    // answers from an older config still show up, under their raw id
+    Object.keys(counts)
+      .filter((id) => !rows.some((r) => r.id === id))
+      .forEach((id) => rows.push({ id, label: id, unknown: true }));
+    return {
+      id: q.id,
+      title: q.title,
+      views: views[q.id] || 0,
+      answered: values.length,
+      dropOffs: dropOffs[q.id] || 0,
+      dropOffRate: ratio(dropOffs[q.id] || 0, views[q.id] || 0),
+      options: rows.map((r) => ({ ...r, count: counts[r.id] || 0, share: ratio(counts[r.id] || 0, values.length) })),
+    };
+  });
+
+  const codes = [...new Set([...productOrder, ...Object.keys(recommended), ...Object.keys(inStack)])];
+  const products = codes.map((code) => ({
+    code,
+    recommended: recommended[code] || 0,
+    share: ratio(recommended[code] || 0, completions),
+    inStack: inStack[code] || 0,
+    stackShare: ratio(inStack[code] || 0, completions),
+  }));
+
+  return {
+    filters: { kiosk, context, store },
+    contexts: seen("context"),
+    stores: seen("store"),
+    sessions: sessions.size,
+    starts,
+    completions,
+    completionRate: ratio(completions, starts),
+    abandonedIdle,
+    questions: questionRows,
+    products,
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Guards shared by the API routes (server only — uses Buffer).
+ * - readBodyText: the request body, or null once it's larger than the route allows
+ *   (a declared content-length is refused before anything is read; chunked bodies stop at the limit)
+ * - createRateLimiter: sliding-window counts per id, in memory per server instance
+ * - clientAddress: the caller's IP as reported by the proxy in front of the server
+ */
+
+export async function readBodyText(request, maxBytes) {
+  if (Number(request.headers.get("content-length")) > maxBytes) return null;
+  if (!request.body) return "";
+
+  const reader = request.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// First x-forwarded-for hop, else x-real-ip; only as trustworthy as the proxy that sets them
+export function clientAddress(headers) {
+  const forwarded = String(headers.get("x-forwarded-for") || "").split(",")[0].trim();
+  return forwarded || String(headers.get("x-real-ip") || "").trim() || "unknown";
+}
+
+const SWEEP_AT = 10_000; // ids tracked before expired ones are dropped, so a stream of new IPs can't grow the map forever
+
+/**
+ * createRateLimiter({ limit, windowMs, now }) → { take(id) → { ok, retryAfterMs } }
+ * Sliding window per id; a refused request doesn't count against the window.
+ */
+export function createRateLimiter({ limit, windowMs, now = Date.now }) {
+  const hits = new Map(); // id → timestamps inside the window, oldest first
+
+  return {
+    take(id) {
+      const t = now();
+      if (hits.size >= SWEEP_AT) {
+        for (const [key, stamps] of hits) if (t - stamps.at(-1) >= windowMs) hits.delete(key);
+      }
+      const recent = (hits.get(id) || []).filter((ts) => t - ts < windowMs);
+      if (recent.length >= limit) {
+        hits.set(id, recent);
+        return { ok: false, retryAfterMs: windowMs - (t - recent[0]) };
+      }
+      recent.push(t);
+      hits.set(id, recent);
+      return { ok: true, retryAfterMs: 0 };
+    },
+  };
+}
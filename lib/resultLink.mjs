@@ -0,0 +1,136 @@
+/**
+ * Shareable result links: the answers, packed into `?r=<token>`, so a result survives a refresh, can be
+ * shared, and lets support reproduce exactly what someone saw.
+ *   1~boots~k3x9aa~0f3c-56_plus~9a1e-.running.weights~2b7d-4
+ *   version ~ context ~ weights revision ~ one <question key>-<value> per answer
+ * - A question key is a 4-character hash of the question id (the whole id when two ids share a hash),
+ *   so reordering or inserting questions doesn't break old links
+ * - A value is an option id, a list of option ids (leading ".", joined by "."), or a slider number
+ * - Characters outside [A-Za-z0-9_] are written as !hh (UTF-8 bytes), so tokens never need URL escaping
+ * - weightsRevision() names the weights a result was scored with: the file's "revision" when it has one,
+ *   else a fingerprint of its contents. `npm run archive:weights` keeps a copy at WEIGHTS_ARCHIVE, so a
+ *   link can be re-scored with the weights it was made with rather than the current ones
+ * Only option ids and slider numbers go in: no free text, nothing about the person.
+ */
+
+export const RESULT_LINK_VERSION = 1;
+export const RESULT_PARAM = "r";
+export const WEIGHTS_ARCHIVE = "/weights/{revision}.json";
+
+const SLIDER_RANGE = [1, 5];
+const SAFE = /^[A-Za-z0-9_]$/;
+
+// 32-bit FNV-1a over UTF-8 bytes, as base36
+function hash36(str, length) {
+  let h = 0x811c9dc5;
+  new TextEncoder().encode(str).forEach((b) => {
+    h = Math.imul(h ^ b, 0x01000193) >>> 0;
+  });
+  return h.toString(36).padStart(length, "0").slice(-length);
+}
+
+export function escapeId(value) {
+  return [...new TextEncoder().encode(String(value))]
+    .map((b) => (SAFE.test(String.fromCharCode(b)) ? String.fromCharCode(b) : `!${b.toString(16).padStart(2, "0")}`))
+    .join("");
+}
+
+export function unescapeId(value) {
+  const bytes = [];
+  const s = String(value);
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] !== "!") {
+      if (!SAFE.test(s[i])) return null;
+      bytes.push(s.charCodeAt(i));
+      continue;
+    }
+    const hex = s.slice(i + 1, i + 3);
+    if (!/^[0-9a-f]{2}$/i.test(hex)) return null;
+    bytes.push(parseInt(hex, 16));
+    i += 2;
+  }
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(Uint8Array.from(bytes));
+  } catch {
+    return null;
+  }
+}
+
+// Short base36 hash of a JSON-able value
+export function fingerprint(value, length = 6) {
+  return hash36(JSON.stringify(value), length);
+}
+
+// The weights' own "revision", or a fingerprint of the parsed file (formatting doesn't change it)
+export function weightsRevision(json) {
+  if (!json || typeof json !== "object") return null;
+  if (typeof json.revision === "string" && /^[A-Za-z0-9_]{1,40}$/.test(json.revision)) return json.revision;
+  return fingerprint(json);
+}
+
+export function archivedWeightsUrl(revision) {
+  return WEIGHTS_ARCHIVE.replace("{revision}", escapeId(revision));
+}
+
+// question id → key used in tokens
+export function questionKeys(questions = []) {
+  const hashes = (questions || []).map((q) => hash36(String(q.id), 4));
+  return Object.fromEntries(
+    (questions || []).map((q, i) => [q.id, hashes.indexOf(hashes[i]) === hashes.lastIndexOf(hashes[i]) ? hashes[i] : escapeId(q.id)])
+  );
+}
+
+const isEmpty = (v) => v == null || v === "" || (Array.isArray(v) && v.length === 0);
+
+/**
+ * Pack answers into a token. Only questions in `questions` are included, in their order, so
+ * answers to hidden questions should be pruned first (pruneHiddenAnswers).
+ */
+export function encodeResultLink({ context, revision = null, answers = {}, questions = [] } = {}) {
+  const keys = questionKeys(questions);
+  const parts = (questions || [])
+    .filter((q) => !isEmpty(answers?.[q.id]))
+    .map((q) => {
+      const v = answers[q.id];
+      const value = Array.isArray(v) ? `.${v.map(escapeId).join(".")}` : typeof v === "number" ? String(v) : escapeId(v);
+      return `${keys[q.id]}-${value}`;
+    });
+  return [RESULT_LINK_VERSION, escapeId(context || ""), escapeId(revision || ""), ...parts].join("~");
+}
+
+function decodeValue(raw, question) {
+  if (question.type === "slider") {
+    const n = Number(raw);
+    return /^\d+$/.test(raw) && n >= SLIDER_RANGE[0] && n <= SLIDER_RANGE[1] ? n : undefined;
+  }
+  const known = new Set((question.answers || []).map((a) => String(a.id)));
+  const ids = (raw.startsWith(".") ? raw.slice(1).split(".") : [raw]).map(unescapeId);
+  if (!ids.length || ids.some((id) => id == null || !known.has(id))) return undefined;
+  return raw.startsWith(".") ? [...new Set(ids)] : ids[0];
+}
+
+/**
+ * Token → { context, revision, answers, skipped }, or null if it isn't a result link this version can read.
+ * Answers are checked against the current questions: ones whose question or option no longer exists
+ * are left out and counted in `skipped`.
+ */
+export function decodeResultLink(token, questions = []) {
+  const parts = String(token || "").split("~");
+  if (parts.length < 3 || parts[0] !== String(RESULT_LINK_VERSION)) return null;
+  const context = unescapeId(parts[1]);
+  const revision = unescapeId(parts[2]);
+  if (context == null || revision == null) return null;
+
+  const byKey = Object.fromEntries(Object.entries(questionKeys(questions)).map(([id, key]) => [key, id]));
+  const answers = {};
+  let skipped = 0;
+  parts.slice(3).forEach((part) => {
+    const dash = part.indexOf("-");
+    const question = dash > 0 ? (questions || []).find((q) => q.id === byKey[part.slice(0, dash)]) : null;
+    const value = question ? decodeValue(part.slice(dash + 1), question) : undefined;
+    if (value === undefined) skipped++;
+    else answers[question.id] = value;
+  });
+
+  return { context: context || null, revision: revision || null, answers, skipped };
+}
@@ -0,0 +1,98 @@
+/**
+ * Retailer / partner profiles, selected by `?context=` (missing or unknown → DEFAULT_RETAILER).
+ * A profile chooses everything retailer-specific, so a new partner is a new entry here
+ * (plus its own JSON in /public if the quiz itself differs), not a fork of QuizClient.
+ *   files               questions / weights / content / rules JSON, as paths under /public
+ *   productUrls         upper-case SKU → product page
+ *   productUrlTemplate  used when productUrls has no entry; {code} = lower-case code, {sku} = upper-case
+ *                       (product links must be absolute: relative ones would open on the quiz's own host)
+ *   theme               CTA accent colours and page background
+ *   copy                retailer-facing strings; {name} = product name
+ *   cta.autoRedirect    default for sending online users straight to the winner (?redirect=1/0 overrides)
+ *   resume              offer online users their unfinished quiz after a reload (?resume=1/0 overrides; lib/session.mjs)
+ *   stack               overrides for STACK_DEFAULTS in lib/stack.mjs
+ *   embed.allowedOrigins  host pages allowed to message the iframe (see lib/embed.mjs)
+ *   analytics.sinks     where anonymous funnel events go: "http", "parent", "console" (lib/analytics.mjs)
+ */
+
+import { BOOTS_URLS } from "./products.mjs";
+
+export const DEFAULT_RETAILER = "boots";
+
+const QUIZ_FILES = {
+  questions: "/boots_quiz_questions.json",
+  weights: "/boots_quiz_weights.json",
+  content: "/boots_results_content.json",
+  rules: "/boots_quiz_rules.json",
+};
+
+// Neutral defaults every profile is merged over
+const BASE = {
+  name: "",
+  files: QUIZ_FILES,
+  productUrls: null,
+  productUrlTemplate: null,
+  theme: { accent: "#e2c181", accentText: "#153247", background: "/formula-code-bg.png" },
+  copy: {
+    buy: "Buy {name}",
+    view: "View product",
+    shelf: null, // kiosk only: where to find the product in store
+  },
+  cta: { autoRedirect: false },
+  resume: true,
+  stack: {},
+  embed: { allowedOrigins: [] },
+  analytics: { sinks: ["http"] },
+};
+
+export const RETAILERS = {
+  boots: {
+    name: "Boots",
+    productUrls: BOOTS_URLS,
+    embed: { allowedOrigins: ["https://boots.com", "https://*.boots.com"] },
+    analytics: { sinks: ["http", "parent"] },
+    copy: {
+      buy: "Buy {name} at Boots",
+      view: "View at Boots",
+      shelf: "Find {name} on the shelf below to start your wellness journey today.",
+    },
+  },
+  // Our own shop: same quiz. The shop's product URL format isn't confirmed yet, so there is no
+  // productUrlTemplate and `npm run validate` reports every product until one is filled in
+  direct: {
+    name: "Nourished",
+    copy: { buy: "Shop {name}" },
+    stack: { maxComplements: 3 },
+  },
+};
+
+const NESTED = ["files", "theme", "copy", "cta", "stack", "embed", "analytics"];
+
+// Resolve a context to a full profile ({ id, ...BASE merged with the entry })
+export function retailerFor(context, retailers = RETAILERS) {
+  const key = String(context || "").toLowerCase();
+  const id = Object.prototype.hasOwnProperty.call(retailers, key) ? key : DEFAULT_RETAILER;
+  const entry = retailers[id] || {};
+  const profile = { ...BASE, ...entry, id };
+  NESTED.forEach((k) => (profile[k] = { ...BASE[k], ...(entry[k] || {}) }));
+  return profile;
+}
+
+export function isKnownRetailer(context, retailers = RETAILERS) {
+  return Object.prototype.hasOwnProperty.call(retailers, String(context || "").toLowerCase());
+}
+
+export function productUrlFor(retailer, code) {
+  if (!code) return null;
+  const sku = String(code).toUpperCase();
+  if (retailer?.productUrls?.[sku]) return retailer.productUrls[sku];
+  if (!retailer?.productUrlTemplate) return null;
+  return retailer.productUrlTemplate.replace("{code}", String(code).toLowerCase()).replace("{sku}", sku);
+}
+
+// Fill {placeholders} in a profile string; null/empty copy stays null so callers can skip it
+export function retailerCopy(retailer, key, vars = {}) {
+  const template = retailer?.copy?.[key];
+  if (!template) return null;
+  return template.replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m));
+}
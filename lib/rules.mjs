@@ -0,0 +1,59 @@
+/**
+ * Eligibility / exclusion rules, evaluated before the winner is picked.
+ *   {
+ *     "version": 1,
+ *     "rules": [
+ *       {
+ *         "id": "male-hormonal",
+ *         "when": { "gender_are_you": ["male"] },   // every listed question must match one of its option ids
+ *         "hide": ["Hcp", "Hpes"],                  // dropped from tallies entirely
+ *         "veto": [],                               // kept in tallies (for support) but can't be recommended
+ *         "reason": "Menopause and menstrual formulas aren't offered to male respondents"
+ *       }
+ *     ]
+ *   }
+ * Slider questions match "min" / "max", same as the weights file.
+ */
+
+import { matchesConditions, normalizeConditions } from "./answers.mjs";
+
+export const RULES_VERSION = 1;
+
+const asList = (v) => (Array.isArray(v) ? v.map(String) : v == null ? [] : [String(v)]);
+
+// Accept { version, rules: [...] } or a bare array
+export function loadRules(json) {
+  const list = Array.isArray(json) ? json : Array.isArray(json?.rules) ? json.rules : [];
+  return list
+    .filter((r) => r && typeof r === "object")
+    .map((r, i) => ({
+      id: String(r.id ?? `rule_${i + 1}`),
+      when: normalizeConditions(r.when),
+      hide: asList(r.hide),
+      veto: asList(r.veto),
+      reason: r.reason ? String(r.reason) : "",
+    }));
+}
+
+function matches(rule, answers, questions) {
+  if (!Object.keys(rule.when).length) return false; // an unconditional rule is almost certainly a typo
+  return matchesConditions(rule.when, answers, questions);
+}
+
+/**
+ * Returns { hidden, vetoed, applied } — applied lists each matching rule with what it removed.
+ */
+export function evaluateRules(rules = [], answers = {}, questions = []) {
+  const hidden = new Set();
+  const vetoed = new Set();
+  const applied = [];
+
+  loadRules(rules).forEach((rule) => {
+    if (!matches(rule, answers, questions)) return;
+    rule.hide.forEach((code) => hidden.add(code));
+    rule.veto.forEach((code) => vetoed.add(code));
+    applied.push({ id: rule.id, reason: rule.reason, hide: rule.hide, veto: rule.veto });
+  });
+
+  return { hidden: [...hidden], vetoed: [...vetoed], applied };
+}
@@ -0,0 +1,152 @@
+/**
+ * Nourished quiz scoring engine
+ * - Pure functions: no React, no fetch, no window — safe to run under `node --test`
+ * - Weights: v2 id-keyed format (see lib/weights.mjs); legacy title-keyed files are migrated on the fly
+ * - Tallies are score × question multiplier, summed per product; they may be fractional or negative
+ * - Answers are keyed by question id; values are option ids, arrays of option ids or slider numbers (1..5)
+ * - scoreQuiz also returns the contribution trace (which answer added what to which product) for explanations
+ * - scoreQuiz({ available }) limits the recommendation to those codes (e.g. what a kiosk's shelf stocks)
+ */
+
+import { PRODUCT_ORDER } from "./products.mjs";
+import { resolveOptionIds } from "./answers.mjs";
+import { pruneHiddenAnswers } from "./questions.mjs";
+import { evaluateRules } from "./rules.mjs";
+import { loadWeights, optionScores, questionMultiplier } from "./weights.mjs";
+
+export { mapSliderNumberToOption, resolveOptionIds } from "./answers.mjs";
+
+// ---- helpers
+// keep float noise (0.1 + 0.2) from splitting ties
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+function findQuestion(questions, qid) {
+  return (questions || []).find((q) => q?.id === qid) || null;
+}
+
+// ---- contribution trace: one entry per (answer, product) that added points
+export function traceAnswers(answers = {}, weights = {}, questions = []) {
+  const model = loadWeights(weights, questions);
+  const trace = [];
+
+  Object.entries(model.questions).forEach(([qid, entry]) => {
+    const optionMap = entry?.options || {};              // { min: ["Ecp"], max: { Bmca: 2 }, ... }
+    const multiplier = questionMultiplier(entry);
+    const ids = resolveOptionIds(answers?.[qid], findQuestion(questions, qid), optionMap);
+    ids.forEach((id) =>
+      Object.entries(optionScores(optionMap[id])).forEach(([code, n]) => {
+        if (code) trace.push({ question: qid, option: id, code, points: round(n * multiplier) });
+      })
+    );
+  });
+
+  return trace; // e.g. [{ question: "age_how_old_are_you", option: "56_plus", code: "Bmca", points: 1 }, ...]
+}
+
+// ---- tallies
+export function tallyTrace(trace = []) {
+  const tallies = {};
+  trace.forEach(({ code, points }) => (tallies[code] = (tallies[code] || 0) + points));
+  Object.keys(tallies).forEach((code) => (tallies[code] = round(tallies[code])));
+  return tallies;
+}
+
+export function scoreAnswers(answers = {}, weights = {}, questions = []) {
+  return tallyTrace(traceAnswers(answers, weights, questions)); // e.g. { Eic: 3, Mjb: 2.5, Hpes: -2, ... }
+}
+
+// ---- winner (priority answer tie-break, then PRODUCT_ORDER)
+function orderIndex(code) {
+  const i = PRODUCT_ORDER.indexOf(code);
+  return i === -1 ? Number.POSITIVE_INFINITY : i;
+}
+
+/**
+ * Resolve the winning product and record how it was decided.
+ * Returns { winner, decidedBy, path } where decidedBy is "score", "priority", "order" or null,
+ * and path lists the candidate set after each stage that ran.
+ */
+export function resolveWinner(tallies = {}, answers = {}, weights = {}, questions = []) {
+  // 1) No positive scores? no winner.
+  const entries = Object.entries(tallies || {}).filter(([, v]) => v > 0);
+  if (!entries.length) return { winner: null, decidedBy: null, path: [] };
+
+  // 2) Highest score first
+  const max = Math.max(...entries.map(([, v]) => v));
+  let candidates = entries.filter(([, v]) => v === max).map(([code]) => code);
+  const path = [{ stage: "score", score: max, candidates: [...candidates] }];
+
+  if (candidates.length === 1) return { winner: candidates[0], decidedBy: "score", path };
+
+  // 3) PRIORITY TIE-BREAK: narrow to SKUs mapped by the first-ranked answer to the tie-break question
+  const model = loadWeights(weights, questions);
+  const qid = model.tieBreakQuestion;
+  const optionMap = model.questions[qid]?.options || {};
+  const [first] = qid ? resolveOptionIds(answers?.[qid], findQuestion(questions, qid), optionMap) : [];
+  if (first && optionMap[first]) {
+    const prefer = new Set(
+      Object.entries(optionScores(optionMap[first]))
+        .filter(([, n]) => n > 0)
+        .map(([code]) => code)
+    );
+    const narrowed = candidates.filter((c) => prefer.has(c));
+    if (narrowed.length) {
+      path.push({ stage: "priority", question: qid, option: first, candidates: [...narrowed] });
+      if (narrowed.length === 1) return { winner: narrowed[0], decidedBy: "priority", path };
+      candidates = narrowed; // still tied, but now only amongst preferred SKUs
+    }
+  }
+
+  // 4) Stable product order, lexicographic as final fallback
+  candidates.sort((a, b) => {
+    const oa = orderIndex(a);
+    const ob = orderIndex(b);
+    if (oa !== ob) return oa - ob;
+    return a.localeCompare(b);
+  });
+  path.push({ stage: "order", candidates: [...candidates] });
+
+  return { winner: candidates[0] || null, decidedBy: "order", path };
+}
+
+// ---- choose the winning product code from tallies
+export function pickWinner(tallies = {}, answers = {}, weights = {}, questions = []) {
+  return resolveWinner(tallies, answers, weights, questions).winner;
+}
+
+// ---- one-shot: answers in, recommendation out
+// Answers to questions hidden by showIf/skipIf are ignored.
+// Rules run first: hidden products are dropped from the tallies, vetoed ones just can't win.
+// Products outside `available` (null = all) are treated like vetoed ones.
+// If that leaves nothing the answers scored, the first remaining product in PRODUCT_ORDER is recommended
+// (decidedBy "fallback") rather than no result at all.
+export function scoreQuiz({ questions = [], weights = {}, answers: rawAnswers = {}, rules = [], available = null } = {}) {
+  const answers = pruneHiddenAnswers(questions, rawAnswers);
+  const model = loadWeights(weights, questions);
+  const { hidden, vetoed: ruleVetoed, applied } = evaluateRules(rules, answers, questions);
+  const unavailable = Array.isArray(available) ? PRODUCT_ORDER.filter((code) => !available.includes(code)) : [];
+  const vetoed = [...new Set([...ruleVetoed, ...unavailable])];
+
+  const trace = traceAnswers(answers, model, questions);
+  const contributions = trace.filter((c) => !hidden.includes(c.code));
+  const tallies = tallyTrace(contributions);
+  const excluded = [...new Set([...hidden, ...vetoed])];
+
+  const eligible = Object.fromEntries(Object.entries(tallies).filter(([code]) => !vetoed.includes(code)));
+  const picked = resolveWinner(eligible, answers, model, questions);
+  const fallback = !picked.winner && trace.some((c) => c.points > 0) ? PRODUCT_ORDER.find((code) => !excluded.includes(code)) : null;
+  const { winner, decidedBy, path } = fallback
+    ? { winner: fallback, decidedBy: "fallback", path: [{ stage: "fallback", candidates: [fallback] }] }
+    : picked;
+
+  return {
+    tallies,
+    contributions,
+    winner,
+    decidedBy,
+    path,
+    excluded,
+    rulesApplied: applied,
+    unavailable,
+  };
+}
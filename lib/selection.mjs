@@ -0,0 +1,70 @@
+/**
+ * How many options a question takes, applied the same way by setAnswer, the Continue button, the tiles
+ * and the browser's Forward button (lib/history.mjs). Works on normalised questions (lib/questions.mjs).
+ * - Multi-select questions need between minSelect (default 1) and maxSelect (default: no limit) options
+ * - Exclusive options (e.g. "None") clear the others when picked, and picking another option clears them
+ * - Single-select questions need an answer; sliders always have one
+ * - "messages" in the questions JSON override DEFAULT_MESSAGES; {n} is the limit
+ */
+
+export const DEFAULT_MESSAGES = {
+  required: "Choose an answer to continue.",
+  minSelect: "Choose at least {n} to continue.",
+  exactSelect: "Choose {n} to continue.", // used when minSelect and maxSelect are the same
+  maxSelect: "You can choose up to {n}.",
+};
+
+export function selectionMessage(q, key, n = null) {
+  const text = q?.messages?.[key] ?? DEFAULT_MESSAGES[key] ?? "";
+  return text.replace(/\{n\}/g, String(n));
+}
+
+export function selectionLimits(q) {
+  const max = q?.maxSelect ?? Infinity;
+  const min = q?.minSelect ?? (q?.required === false ? 0 : 1);
+  return { min: Math.min(min, max), max };
+}
+
+const listOf = (value) => (Array.isArray(value) ? value : []);
+const isExclusive = (q, id) => (q?.exclusive || []).includes(id);
+
+// Whether picking `id` would change the selection (false once full, unless it's picked or exclusive)
+export function canSelect(q, value, id) {
+  const list = listOf(value);
+  if (list.includes(id) || isExclusive(q, id)) return true;
+  return list.filter((x) => !isExclusive(q, x)).length < selectionLimits(q).max;
+}
+
+// Toggle `id` in a multi-select answer
+export function toggleSelection(q, value, id) {
+  const list = listOf(value);
+  if (list.includes(id)) return list.filter((x) => x !== id);
+  if (isExclusive(q, id)) return [id];
+  if (!canSelect(q, list, id)) return list;
+  return [...list.filter((x) => !isExclusive(q, x)), id];
+}
+
+// The stored answer after choosing `value`: toggled into the list for multi-select, else as given
+export function applyAnswer(q, previous, value) {
+  return q?.type === "multi" ? toggleSelection(q, previous, value) : value;
+}
+
+// Why this answer can't move on yet (the message to show), or null when it can
+export function selectionError(q, value) {
+  if (!q || q.type === "slider") return null;
+  if (q.type !== "multi") {
+    return q.required === false || (value != null && value !== "") ? null : selectionMessage(q, "required");
+  }
+  const count = listOf(value).length;
+  const { min, max } = selectionLimits(q);
+  if (count > max) return selectionMessage(q, "maxSelect", max);
+  if (count >= min) return null;
+  if (count === 0 && min === 1) return selectionMessage(q, "required");
+  return min === max && !q.messages?.minSelect ? selectionMessage(q, "exactSelect", min) : selectionMessage(q, "minSelect", min);
+}
+
+// A multi-select answer that has reached maxSelect (worth saying why the other tiles are dimmed)
+export function isSelectionFull(q, value) {
+  const { max } = selectionLimits(q);
+  return q?.type === "multi" && max < (q.answers || []).length && listOf(value).length >= max;
+}
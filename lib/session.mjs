@@ -0,0 +1,70 @@
+/**
+ * Online quizzes survive a reload: the step and answers are kept in sessionStorage (this tab only,
+ * gone when it closes) and offered back on the intro as "Continue where you left off?".
+ * - Saved progress is stamped with quizVersion(); changing the questions or the weights discards it
+ * - It belongs to one retailer context; another context starts fresh
+ * - Kiosks never create a store, so one customer can't be offered another's answers
+ * createSessionStore({ storage }) → { load(version, context), save(progress), clear() }
+ */
+
+import { browserStorage } from "./browserStorage.mjs";
+import { nextVisibleStep, pruneHiddenAnswers } from "./questions.mjs";
+import { fingerprint, weightsRevision } from "./resultLink.mjs";
+
+export const SESSION_KEY = "nourished-quiz-progress";
+export const SESSION_VERSION = 1;
+
+// What saved answers depend on: question ids, types and option ids, plus the weights revision
+export function quizVersion(questions = [], weights = null) {
+  if (!Array.isArray(questions) || !questions.length || !weights) return null;
+  const shape = questions.map((q) => [q.id, q.type, (q.answers || []).map((a) => a.id)]);
+  return `${fingerprint(shape)}.${weightsRevision(weights)}`;
+}
+
+export function createSessionStore({ storage = browserStorage("sessionStorage"), key = SESSION_KEY } = {}) {
+  const clear = () => {
+    try {
+      storage?.removeItem(key);
+    } catch {
+      // nothing to clean up
+    }
+  };
+
+  return {
+    // { step, answers } saved for this version and context, or null
+    load(version, context) {
+      if (!storage || !version) return null;
+      try {
+        const saved = JSON.parse(storage.getItem(key) || "null");
+        if (saved?.v !== SESSION_VERSION || saved.version !== version || saved.context !== context) return null;
+        if (!Number.isInteger(saved.step) || saved.step < 1 || !saved.answers || typeof saved.answers !== "object") return null;
+        return { step: saved.step, answers: saved.answers };
+      } catch {
+        return null;
+      }
+    },
+    save({ version, context, step, answers }) {
+      try {
+        storage?.setItem(key, JSON.stringify({ v: SESSION_VERSION, version, context, step, answers }));
+      } catch {
+        // quota or private mode: the quiz just won't resume
+      }
+    },
+    clear,
+  };
+}
+
+/**
+ * Saved progress → { step, answers } to resume at, or null when there's nothing left to answer.
+ * Unknown questions are dropped, and a step that is now hidden moves on to the next visible one.
+ */
+export function resumeProgress(saved, questions = []) {
+  if (!saved || !questions.length) return null;
+  const known = new Set(questions.map((q) => q.id));
+  const answers = pruneHiddenAnswers(
+    questions,
+    Object.fromEntries(Object.entries(saved.answers || {}).filter(([qid]) => known.has(qid)))
+  );
+  const step = nextVisibleStep(questions, answers, saved.step - 1);
+  return step >= 1 && step <= questions.length ? { step, answers } : null;
+}
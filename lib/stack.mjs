@@ -0,0 +1,78 @@
+/**
+ * Stack recommendation: the winning formula plus up to N complementary formulas.
+ * - Benefit areas come from PRODUCT_META[code].title ("Energy • Immunity • Cognitive Function")
+ * - A complement must add at least one new area and may share at most `maxSharedAreas`
+ *   with what the stack already covers, so near-duplicates (ECP after CPE) are skipped
+ * - Candidates are taken by tally (then PRODUCT_ORDER); hidden/vetoed products never join
+ * - Retailer profiles (lib/retailers.mjs) override STACK_DEFAULTS via their "stack" entry
+ */
+
+import { PRODUCT_META, PRODUCT_ORDER } from "./products.mjs";
+
+export const STACK_DEFAULTS = {
+  mode: "stack",           // "stack" | "single" (single = winner only)
+  maxComplements: 2,
+  maxSharedAreas: 1,
+  minRelativeScore: 0.5,   // a complement needs at least half the primary's tally
+};
+
+export function stackConfigFor(overrides = {}) {
+  return { ...STACK_DEFAULTS, ...(overrides || {}) };
+}
+
+export function benefitAreas(code, meta = PRODUCT_META) {
+  return String(meta?.[code]?.title || "")
+    .split("•")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function orderIndex(code) {
+  const i = PRODUCT_ORDER.indexOf(code);
+  return i === -1 ? Number.POSITIVE_INFINITY : i;
+}
+
+/**
+ * Build a stack from a scoreQuiz() result.
+ * Returns { primary, complements: [{ code, score, adds }], areas, skipped: [{ code, reason }] }.
+ */
+export function recommendStack(result = {}, config = {}, meta = PRODUCT_META) {
+  const { maxComplements, maxSharedAreas, minRelativeScore } = stackConfigFor(config);
+  const primary = result?.winner || null;
+  if (!primary) return { primary: null, complements: [], areas: [], skipped: [] };
+
+  const tallies = result.tallies || {};
+  const excluded = new Set(result.excluded || []);
+  const threshold = (tallies[primary] || 0) * (Number(minRelativeScore) || 0);
+
+  const covered = new Set(benefitAreas(primary, meta));
+  const complements = [];
+  const skipped = [];
+
+  const candidates = Object.entries(tallies)
+    .filter(([code, v]) => code !== primary && v > 0 && !excluded.has(code))
+    .sort(([a, va], [b, vb]) => vb - va || orderIndex(a) - orderIndex(b) || a.localeCompare(b));
+
+  for (const [code, score] of candidates) {
+    if (complements.length >= maxComplements) break;
+    if (score < threshold) {
+      skipped.push({ code, reason: "score too low" });
+      continue;
+    }
+    const areas = benefitAreas(code, meta);
+    const adds = areas.filter((a) => !covered.has(a));
+    const shared = areas.length - adds.length;
+    if (!adds.length) {
+      skipped.push({ code, reason: "adds no new benefit area" });
+      continue;
+    }
+    if (shared > maxSharedAreas) {
+      skipped.push({ code, reason: `shares ${shared} benefit area${shared === 1 ? "" : "s"} with the stack` });
+      continue;
+    }
+    adds.forEach((a) => covered.add(a));
+    complements.push({ code, score, adds });
+  }
+
+  return { primary, complements, areas: [...covered], skipped };
+}
@@ -0,0 +1,298 @@
+/**
+ * Cross-checks the quiz config: questions JSON, weights JSON, rules JSON, results content JSON,
+ * PRODUCT_META and a retailer profile's product URLs; validateDevices checks kiosk_devices.json. Used by `npm run validate` (and so by the build) and by
+ * the dev-only startup check in QuizClient.
+ * - errors: anything that silently scores zero or renders a broken result
+ * - warnings: suspicious but harmless (e.g. a product no answer can reach)
+ */
+
+import { ICON_SETS, WIDGETS, normalizeQuestions } from "./questions.mjs";
+import { PRODUCT_META, PRODUCT_ORDER } from "./products.mjs";
+import { DEFAULT_RETAILER, RETAILERS, isKnownRetailer, productUrlFor, retailerFor } from "./retailers.mjs";
+import { DEVICES_VERSION, MIN_IDLE_MS, MIN_WARNING_MS } from "./devices.mjs";
+import { loadRules } from "./rules.mjs";
+import { DEFAULT_MESSAGES } from "./selection.mjs";
+import { archivedWeightsUrl, weightsRevision } from "./resultLink.mjs";
+import {
+  isLegacyWeights,
+  migrateLegacyWeights,
+  optionScores,
+  questionMultiplier,
+  SLIDER_MAX,
+  SLIDER_MIN,
+  WEIGHTS_VERSION,
+} from "./weights.mjs";
+
+export function validateQuizConfig({
+  questions: rawQuestions = [],
+  weights = {},
+  content = {},
+  rules = [],
+  productMeta = PRODUCT_META,
+  retailer = retailerFor(DEFAULT_RETAILER),
+  productUrls = retailer.productUrls,
+  productOrder = PRODUCT_ORDER,
+  fileExists = null, // optional (publicPath) => boolean, e.g. fs-backed in the CLI
+} = {}) {
+  const errors = [];
+  const warnings = [];
+  const known = new Set(productOrder);
+  const reached = new Set();
+  const urlLabel = retailer.name ? `${retailer.name} product URLs` : "product URLs";
+
+  const questions = normalizeQuestions(rawQuestions);
+  const byId = new Map(questions.map((q) => [q.id, q]));
+
+  // ---- showIf / skipIf must point at earlier questions and real option ids
+  questions.forEach((q, i) => {
+    ["showIf", "skipIf"].forEach((key) => {
+      Object.entries(q[key] || {}).forEach(([qid, ids]) => {
+        const ref = byId.get(qid);
+        const at = questions.indexOf(ref);
+        if (!ref) errors.push(`questions: "${q.id}" ${key} refers to unknown question id "${qid}"`);
+        else if (at >= i) errors.push(`questions: "${q.id}" ${key} refers to "${qid}", which is not asked before it`);
+        else {
+          const valid = ref.type === "slider" ? [SLIDER_MIN, SLIDER_MAX] : ref.answers.map((a) => a.id);
+          ids.filter((id) => !valid.includes(id)).forEach((id) => {
+            errors.push(`questions: "${q.id}" ${key} → "${qid}" has unknown option id "${id}"`);
+          });
+        }
+      });
+    });
+  });
+
+  // ---- widgets and selection limits are declared in the questions JSON; a typo would quietly fall back
+  (Array.isArray(rawQuestions) ? rawQuestions : []).forEach((raw, i) => {
+    const q = questions[i];
+    const rawType = String(raw?.type || "").toLowerCase();
+    if (raw?.widget != null && !Object.prototype.hasOwnProperty.call(WIDGETS, String(raw.widget).toLowerCase())) {
+      errors.push(`questions: "${q.id}" has unknown widget "${raw.widget}" (one of ${Object.keys(WIDGETS).join(", ")})`);
+    } else if (raw?.widget != null && q.widget !== String(raw.widget).toLowerCase()) {
+      errors.push(`questions: "${q.id}" is a ${q.type} question and can't use the "${raw.widget}" widget`);
+    } else if (["single", "multi"].includes(rawType) && rawType !== q.type) {
+      errors.push(`questions: "${q.id}" is typed "${rawType}" but its ${q.widget} widget takes a ${q.type} answer`);
+    }
+    if (raw?.iconSet != null && !ICON_SETS.includes(raw.iconSet)) {
+      errors.push(`questions: "${q.id}" has unknown iconSet "${raw.iconSet}" (one of ${ICON_SETS.join(", ")})`);
+    }
+
+    Object.keys(raw?.messages || {}).filter((key) => !Object.prototype.hasOwnProperty.call(DEFAULT_MESSAGES, key)).forEach((key) => {
+      warnings.push(`questions: "${q.id}" has an unknown message "${key}" (one of ${Object.keys(DEFAULT_MESSAGES).join(", ")})`);
+    });
+    if (raw?.minSelect != null && q.minSelect == null) errors.push(`questions: "${q.id}" minSelect should be a whole number`);
+    if (raw?.maxSelect != null && q.maxSelect == null) errors.push(`questions: "${q.id}" maxSelect should be a whole number above 0`);
+    const declared = ["minSelect", "maxSelect", "exclusive"].filter((key) => raw?.[key] != null);
+    if (q.type !== "multi") {
+      declared.forEach((key) => warnings.push(`questions: "${q.id}" ${key} has no effect on the ${q.widget} widget`));
+      return;
+    }
+    if (q.minSelect != null && q.maxSelect != null && q.minSelect > q.maxSelect) {
+      errors.push(`questions: "${q.id}" minSelect (${q.minSelect}) is more than maxSelect (${q.maxSelect})`);
+    }
+    if (q.minSelect > q.answers.length) {
+      errors.push(`questions: "${q.id}" minSelect (${q.minSelect}) is more than its ${q.answers.length} options`);
+    }
+    const optionIds = q.answers.map((a) => a.id);
+    q.exclusive.filter((id) => !optionIds.includes(id)).forEach((id) => {
+      errors.push(`questions: "${q.id}" exclusive has unknown option id "${id}"`);
+    });
+  });
+
+  // ---- legacy weights: migrate, reporting anything that can't be mapped to an id
+  let model = weights || {};
+  if (isLegacyWeights(model)) {
+    const migrated = migrateLegacyWeights(model, questions);
+    migrated.unmatched.forEach((u) =>
+      errors.push(`weights: "${u.title}"${u.label ? ` → "${u.label}"` : ""}: ${u.reason}`)
+    );
+    if (Object.keys(model).length) warnings.push("weights: legacy title-keyed format; run `npm run migrate:weights`");
+    model = migrated.weights;
+  } else if (Number(model.version) !== WEIGHTS_VERSION) {
+    errors.push(`weights: unsupported version ${model.version} (expected ${WEIGHTS_VERSION})`);
+    model = { questions: {} };
+  }
+
+  // ---- weights → question ids / option ids / product codes
+  Object.entries(model.questions || {}).forEach(([qid, entry]) => {
+    const q = byId.get(qid);
+    if (!q) {
+      errors.push(`weights: question id "${qid}" does not match any question`);
+      return;
+    }
+
+    const slider = q.type === "slider";
+    const valid = slider ? [SLIDER_MIN, SLIDER_MAX] : q.answers.map((a) => a.id);
+
+    Object.entries(entry?.options || {}).forEach(([optId, codes]) => {
+      if (!valid.includes(optId)) {
+        const choices = slider ? `"${SLIDER_MIN}" / "${SLIDER_MAX}"` : "its option ids";
+        errors.push(`weights: "${qid}" → "${optId}" is not one of ${choices}`);
+      }
+      const isList = Array.isArray(codes);
+      const isMap = !isList && codes && typeof codes === "object";
+      if (!isList && !isMap) {
+        errors.push(`weights: "${qid}" → "${optId}" should be a list of product codes or a { code: score } map`);
+        return;
+      }
+      if (isMap) {
+        Object.entries(codes).forEach(([code, n]) => {
+          if (typeof n !== "number" || !Number.isFinite(n)) {
+            errors.push(`weights: "${qid}" → "${optId}" → "${code}" score should be a number`);
+          }
+        });
+      }
+      const multiplier = questionMultiplier(entry);
+      Object.entries(optionScores(codes)).forEach(([code, n]) => {
+        if (!known.has(code)) errors.push(`weights: "${qid}" → "${optId}" uses unknown product code "${code}"`);
+        else if (n * multiplier > 0) reached.add(code);
+      });
+    });
+
+    if (entry?.multiplier != null && (typeof entry.multiplier !== "number" || !Number.isFinite(entry.multiplier))) {
+      errors.push(`weights: "${qid}" multiplier should be a number`);
+    }
+  });
+
+  if (model.tieBreakQuestion && !model.questions?.[model.tieBreakQuestion]) {
+    errors.push(`weights: tieBreakQuestion "${model.tieBreakQuestion}" has no weights`);
+  }
+
+  // ---- rules → question ids / option ids / product codes
+  const seenRules = new Set();
+  loadRules(rules).forEach((rule) => {
+    if (seenRules.has(rule.id)) errors.push(`rules: duplicate rule id "${rule.id}"`);
+    seenRules.add(rule.id);
+
+    const conditions = Object.entries(rule.when);
+    if (!conditions.length) errors.push(`rules: "${rule.id}" has no "when" conditions`);
+    conditions.forEach(([qid, ids]) => {
+      const q = byId.get(qid);
+      if (!q) {
+        errors.push(`rules: "${rule.id}" refers to unknown question id "${qid}"`);
+        return;
+      }
+      const valid = q.type === "slider" ? [SLIDER_MIN, SLIDER_MAX] : q.answers.map((a) => a.id);
+      ids.filter((id) => !valid.includes(id)).forEach((id) => {
+        errors.push(`rules: "${rule.id}" → "${qid}" has unknown option id "${id}"`);
+      });
+    });
+
+    if (!rule.hide.length && !rule.veto.length) errors.push(`rules: "${rule.id}" neither hides nor vetoes anything`);
+    [...rule.hide, ...rule.veto].forEach((code) => {
+      if (!known.has(code)) errors.push(`rules: "${rule.id}" uses unknown product code "${code}"`);
+    });
+  });
+
+  // ---- stray product codes in content / meta / urls
+  const upperToCode = new Map(productOrder.map((c) => [c.toUpperCase(), c]));
+  Object.keys(content || {}).forEach((code) => {
+    if (!known.has(code)) errors.push(`results content: unknown product code "${code}"`);
+  });
+  Object.keys(productMeta || {}).forEach((code) => {
+    if (!known.has(code)) errors.push(`PRODUCT_META: unknown product code "${code}"`);
+  });
+  Object.keys(productUrls || {}).forEach((sku) => {
+    if (!upperToCode.has(sku)) errors.push(`${urlLabel}: unknown SKU "${sku}"`);
+  });
+
+  // ---- every product needs image, URL and copy
+  productOrder.forEach((code) => {
+    const meta = productMeta?.[code];
+    if (!meta) {
+      errors.push(`${code}: missing PRODUCT_META entry`);
+    } else {
+      if (!meta.blurb) errors.push(`${code}: PRODUCT_META has no blurb`);
+      if (!String(meta.title || "").includes("•")) warnings.push(`${code}: PRODUCT_META title lists no "•"-separated benefit areas (used to build stacks)`);
+      ["exploded", "pack"].forEach((kind) => {
+        const src = meta.images?.[kind];
+        if (!src) errors.push(`${code}: PRODUCT_META has no ${kind} image`);
+        else if (fileExists && !fileExists(src)) errors.push(`${code}: ${kind} image "${src}" not found in /public`);
+      });
+    }
+
+    const url = productUrlFor({ ...retailer, productUrls }, code);
+    if (!url) errors.push(`${code}: missing ${urlLabel} entry`);
+    else if (!/^https?:\/\//i.test(url)) errors.push(`${code}: ${urlLabel} link "${url}" isn't absolute, so it would open on the quiz's own host`);
+
+    const copy = content?.[code];
+    if (!copy) errors.push(`${code}: missing results content`);
+    else if (!copy.name || !copy.tagline) errors.push(`${code}: results content needs both name and tagline`);
+
+    if (!reached.has(code)) warnings.push(`${code}: no weighted answer can score this product`);
+  });
+
+  // ---- result links can only be re-scored with weights that were archived (lib/resultLink.mjs)
+  const revision = weightsRevision(weights);
+  if (fileExists && revision && !fileExists(archivedWeightsUrl(revision))) {
+    warnings.push(`weights: revision "${revision}" is not archived, so result links made with it can't be pinned to it (npm run archive:weights)`);
+  }
+
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+// ---- kiosk device profiles (public/kiosk_devices.json, see lib/devices.mjs)
+export function validateDevices(json = {}, { productOrder = PRODUCT_ORDER, retailers = RETAILERS, fileExists = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const known = new Set(productOrder);
+
+  if (json?.version != null && Number(json.version) !== DEVICES_VERSION) {
+    errors.push(`devices: unsupported version ${json.version} (expected ${DEVICES_VERSION})`);
+    return { ok: false, errors, warnings };
+  }
+
+  Object.entries(json?.devices || {}).forEach(([id, d]) => {
+    if (!/^[A-Za-z0-9_.:-]{1,80}$/.test(id)) errors.push(`devices: "${id}" is not a valid device id (letters, digits, _ . : -)`);
+    if (!d || typeof d !== "object") {
+      errors.push(`devices: "${id}" should be an object`);
+      return;
+    }
+    if (d.store != null && !/^[A-Za-z0-9_.:-]{1,80}$/.test(String(d.store))) errors.push(`devices: "${id}" store "${d.store}" is not a valid id`);
+    if (!d.store) warnings.push(`devices: "${id}" has no store, so its results can't be reported per store`);
+    if (d.context != null && !isKnownRetailer(d.context, retailers)) errors.push(`devices: "${id}" uses unknown context "${d.context}"`);
+    [
+      ["idleSeconds", MIN_IDLE_MS],
+      ["warningSeconds", MIN_WARNING_MS],
+      ["resultsIdleSeconds", MIN_IDLE_MS],
+    ].forEach(([key, min]) => {
+      if (d[key] == null) return;
+      if (typeof d[key] !== "number" || !Number.isFinite(d[key])) errors.push(`devices: "${id}" ${key} should be a number`);
+      else if (d[key] * 1000 < min) warnings.push(`devices: "${id}" ${key} is raised to the ${min / 1000}s minimum`);
+    });
+    if (d.stocked != null) {
+      if (!Array.isArray(d.stocked)) errors.push(`devices: "${id}" stocked should be a list of product codes`);
+      else {
+        d.stocked.filter((code) => !known.has(code)).forEach((code) => errors.push(`devices: "${id}" stocks unknown product code "${code}"`));
+        if (!d.stocked.some((code) => known.has(code))) errors.push(`devices: "${id}" stocks nothing the quiz can recommend`);
+      }
+    }
+    const loopProducts = d.attract?.loop?.products;
+    if (loopProducts != null && !Array.isArray(loopProducts)) errors.push(`devices: "${id}" attract.loop.products should be a list of product codes`);
+    (Array.isArray(loopProducts) ? loopProducts : []).forEach((code) => {
+      if (!known.has(code)) errors.push(`devices: "${id}" attract loop features unknown product code "${code}"`);
+      else if (Array.isArray(d.stocked) && !d.stocked.includes(code)) warnings.push(`devices: "${id}" attract loop features "${code}", which it doesn't stock (skipped)`);
+    });
+    Object.entries(d.handoff || {}).forEach(([key, value]) => {
+      if (!["qr", "email"].includes(key)) warnings.push(`devices: "${id}" handoff.${key} is not a known option (ignored)`);
+      else if (typeof value !== "boolean") errors.push(`devices: "${id}" handoff.${key} should be true or false`);
+    });
+    const image = d.attract?.image;
+    if (image && fileExists && !fileExists(image)) errors.push(`devices: "${id}" attract image "${image}" not found in /public`);
+  });
+
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+export function formatReport({ errors = [], warnings = [] } = {}) {
+  const lines = [];
+  if (errors.length) {
+    lines.push(`✖ ${errors.length} quiz config error${errors.length === 1 ? "" : "s"}:`);
+    errors.forEach((e) => lines.push(`  - ${e}`));
+  }
+  if (warnings.length) {
+    lines.push(`⚠ ${warnings.length} warning${warnings.length === 1 ? "" : "s"}:`);
+    warnings.forEach((w) => lines.push(`  - ${w}`));
+  }
+  if (!lines.length) lines.push("✔ quiz config OK");
+  return lines.join("\n");
+}
@@ -0,0 +1,121 @@
+/**
+ * Weights format + loader
+ * - v2 (current): keyed by stable ids, so rewording a question or option doesn't break scoring
+ *     {
+ *       "version": 2,
+ *       "tieBreakQuestion": "<question.id>",
+ *       "questions": { "<question.id>": { "options": { "<option.id>": ["Eic", ...] } } }
+ *     }
+ *   Slider questions use the option ids "min" and "max" for their two ends.
+ *   An option maps to either a list of codes (+1 each) or a score per code, e.g.
+ *     { "56_plus": { "Bmca": 1.5, "Hpes": -2 } }   (negative scores push a product away)
+ *   A question may set "multiplier" (default 1) to scale every score it adds.
+ * - legacy (v1, unversioned): question title → option label → [codes]. Still accepted and
+ *   migrated on load during the transition; `npm run migrate:weights` rewrites the file.
+ *   Slider maps are bucketed as the original quiz did: the first key is the low end ("min"), the last
+ *   the high end ("max"), whatever the labels say, so a one-key map fires at both ends.
+ */
+
+export const WEIGHTS_VERSION = 2;
+
+export const SLIDER_MIN = "min";
+export const SLIDER_MAX = "max";
+
+// v1 files had no tie-break declaration; the priorities question was found by title
+export const LEGACY_PRIORITIES_TITLE = "What are your top two wellness priorities at the moment?";
+
+const norm = (s) => String(s ?? "").trim().toLowerCase();
+
+// Normalise an option's mapping to { code: score }; lists count 1 per entry
+export function optionScores(value) {
+  const scores = {};
+  if (Array.isArray(value)) {
+    value.forEach((code) => {
+      if (code) scores[code] = (scores[code] || 0) + 1;
+    });
+  } else if (value && typeof value === "object") {
+    Object.entries(value).forEach(([code, n]) => {
+      const v = Number(n);
+      if (code && Number.isFinite(v)) scores[code] = v;
+    });
+  }
+  return scores;
+}
+
+// A question's multiplier, defaulting to 1 when absent or not a number
+export function questionMultiplier(entry) {
+  const m = Number(entry?.multiplier ?? 1);
+  return Number.isFinite(m) ? m : 1;
+}
+
+export function isLegacyWeights(json) {
+  return !!json && typeof json === "object" && json.version == null;
+}
+
+/**
+ * Convert a v1 (title/label keyed) weights object to v2 using the normalised questions.
+ * Returns { weights, unmatched } — unmatched lists keys that could not be mapped to an id.
+ */
+export function migrateLegacyWeights(legacy = {}, questions = []) {
+  const out = { version: WEIGHTS_VERSION, tieBreakQuestion: null, questions: {} };
+  const unmatched = [];
+
+  Object.entries(legacy || {}).forEach(([title, optionMap]) => {
+    // a long legacy title may since have been split into title + helperText
+    const q = (questions || []).find((x) => [x?.title, `${x?.title} ${x?.helperText}`].some((t) => norm(t) === norm(title)));
+    if (!q) {
+      unmatched.push({ title, reason: "no question with this title" });
+      return;
+    }
+    if (norm(title) === norm(LEGACY_PRIORITIES_TITLE)) out.tieBreakQuestion = q.id;
+
+    const options = {};
+    if (q.type === "slider") {
+      const labels = Object.keys(optionMap || {});
+      if (labels.length) {
+        options[SLIDER_MIN] = [...(optionMap[labels[0]] || [])];
+        options[SLIDER_MAX] = [...(optionMap[labels[labels.length - 1]] || [])];
+      }
+      labels.slice(1, -1).forEach((label) => unmatched.push({ title, label, reason: "not a slider end label" }));
+      out.questions[q.id] = { options };
+      return;
+    }
+    Object.entries(optionMap || {}).forEach(([label, codes]) => {
+      const hit = (q.answers || []).find((a) => a.label === label) || (q.answers || []).find((a) => a.id === label);
+      const optId = hit?.id ?? null;
+      if (optId == null) {
+        unmatched.push({ title, label, reason: "no option with this label" });
+        return;
+      }
+      options[optId] = [...(options[optId] || []), ...(codes || [])];
+    });
+    out.questions[q.id] = { options };
+  });
+
+  return { weights: out, unmatched };
+}
+
+/**
+ * Accept either format and return v2. Legacy input needs the questions to resolve ids.
+ */
+export function loadWeights(json, questions = []) {
+  if (!json || typeof json !== "object") return { version: WEIGHTS_VERSION, tieBreakQuestion: null, questions: {} };
+
+  if (isLegacyWeights(json)) {
+    const { weights, unmatched } = migrateLegacyWeights(json, questions);
+    if (Object.keys(json).length && (questions || []).length) {
+      console.warn("⚠️ Legacy title-keyed weights loaded; run `npm run migrate:weights` to convert.");
+      if (unmatched.length) console.warn("⚠️ Unmatched legacy weight keys:", unmatched);
+    }
+    return weights;
+  }
+
+  if (Number(json.version) !== WEIGHTS_VERSION) {
+    throw new Error(`Unsupported weights version ${json.version} (expected ${WEIGHTS_VERSION})`);
+  }
+  return {
+    version: WEIGHTS_VERSION,
+    tieBreakQuestion: json.tieBreakQuestion ?? null,
+    questions: json.questions || {},
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Nourished quiz — drop-in embed loader
+ *
+ *   <div data-nourished-quiz data-context="boots"></div>
+ *   <script src="https://QUIZ_HOST/nourished-quiz-embed.js" async></script>
+ *
+ * Data attributes on the placeholder:
+ *   data-context     retailer profile (?context=)
+ *   data-kiosk       "1" for in-store kiosks
+ *   data-redirect    "1" / "0" to force the auto-redirect to the winner on or off
+ *   data-min-height  iframe height in px before the quiz reports its own (default 600)
+ *   data-title       iframe title for screen readers
+ *
+ * - Creates the iframe and sizes it through the host SDK (public/nourished-quiz-sdk.js)
+ * - Buy / View / auto-redirect navigate *this* page (NAVIGATE messages), so the quiz never
+ *   needs window.top, which iframe sandboxing can block
+ * - Quiz events are re-dispatched on the placeholder as DOM events, e.g.
+ *     el.addEventListener("nourishedquiz:result", (e) => console.log(e.detail.winner));
+ *   and the SDK connection is available as el.nourishedQuiz
+ */
+(function () {
+  "use strict";
+
+  var script = document.currentScript;
+  if (!script || !script.src) return;
+  var QUIZ_ORIGIN = new URL(script.src, window.location.href).origin;
+  var SDK_SRC = QUIZ_ORIGIN + "/nourished-quiz-sdk.js";
+  var DEFAULT_MIN_HEIGHT = 600;
+
+  var isOn = function (v) {
+    return v === "1" || v === "true" || v === "";
+  };
+
+  function loadSdk(done) {
+    if (window.NourishedQuiz) return done();
+    var tag = document.querySelector("script[data-nourished-quiz-sdk]");
+    if (!tag) {
+      tag = document.createElement("script");
+      tag.src = SDK_SRC;
+      tag.setAttribute("data-nourished-quiz-sdk", "");
+      document.head.appendChild(tag);
+    }
+    tag.addEventListener("load", done);
+  }
+
+  function iframeSrc(data) {
+    var params = new URLSearchParams();
+    params.set("embed", "1"); // host page handles navigation
+    if (data.context) params.set("context", data.context);
+    if (data.kiosk != null && isOn(data.kiosk)) params.set("kiosk", "1");
+    if (data.redirect != null) params.set("redirect", isOn(data.redirect) ? "1" : "0");
+    return QUIZ_ORIGIN + "/?" + params.toString();
+  }
+
+  function mount(el) {
+    if (el.nourishedQuiz || el.getAttribute("data-nourished-quiz-mounted") != null) return;
+    el.setAttribute("data-nourished-quiz-mounted", "");
+
+    var data = el.dataset || {};
+    var minHeight = parseInt(data.minHeight, 10) || DEFAULT_MIN_HEIGHT;
+    var iframe = document.createElement("iframe");
+    iframe.src = iframeSrc(data);
+    iframe.title = data.title || "Nourished quiz";
+    iframe.style.width = "100%";
+    iframe.style.border = "0";
+    iframe.style.display = "block";
+    iframe.style.height = minHeight + "px";
+    el.appendChild(iframe);
+
+    var quiz = window.NourishedQuiz.connect(iframe, { origin: QUIZ_ORIGIN, minHeight: minHeight, navigate: true });
+    quiz.on("*", function (payload, type) {
+      el.dispatchEvent(new CustomEvent("nourishedquiz:" + type.toLowerCase(), { detail: payload, bubbles: true }));
+    });
+    el.nourishedQuiz = quiz;
+  }
+
+  function mountAll() {
+    loadSdk(function () {
+      Array.prototype.forEach.call(document.querySelectorAll("[data-nourished-quiz]"), mount);
+    });
+  }
+
+  if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", mountAll);
+  else mountAll();
+})();
@@ -0,0 +1,118 @@
+/**
+ * Nourished quiz — host page SDK (message protocol v1, see lib/embed.mjs)
+ *
+ *   <iframe id="quiz" src="https://QUIZ_HOST/?context=boots" style="width:100%;border:0"></iframe>
+ *   <script src="https://QUIZ_HOST/nourished-quiz-sdk.js"></script>
+ *   <script>
+ *     var quiz = NourishedQuiz.connect(document.getElementById("quiz"));
+ *     quiz.on("RESULT", function (p) { console.log(p.winner, p.stack); });
+ *     quiz.prefill({ gender_are_you: "female" });
+ *   </script>
+ *
+ * - Sizes the iframe from RESIZE messages (pass { autoResize: false } to opt out); the quiz only
+ *   sends them when its height changes, and sets payload.settled once result images have loaded
+ * - { navigate: true } follows NAVIGATE messages (Buy / View / auto-redirect) in this page
+ * - Events: QUIZ_READY, STEP_CHANGED, ANSWERED, RESULT, ERROR, RESIZE, NAVIGATE, or "*" for all
+ * - Commands: reset(), setContext(context), prefill(answers); sent once the quiz is ready
+ * - Only accepts messages from the iframe's own window and origin
+ */
+(function (global) {
+  "use strict";
+
+  var PROTOCOL = "nourished-quiz";
+  var VERSION = 1;
+
+  function originOf(src) {
+    try {
+      return new URL(src, global.location.href).origin;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function connect(iframe, options) {
+    options = options || {};
+    var quizOrigin = options.origin || originOf(iframe.src);
+    var minHeight = options.minHeight || 0;
+    var listeners = {};
+    var ready = null; // QUIZ_READY payload once seen
+    var queue = [];
+
+    function emit(type, payload) {
+      (listeners[type] || []).concat(listeners["*"] || []).forEach(function (cb) {
+        try {
+          cb(payload, type);
+        } catch (e) {
+          console.error("[NourishedQuiz]", e);
+        }
+      });
+    }
+
+    function post(type, payload) {
+      iframe.contentWindow.postMessage(
+        { source: PROTOCOL, version: VERSION, type: type, payload: payload || {} },
+        quizOrigin
+      );
+    }
+
+    function send(type, payload) {
+      if (!quizOrigin || !iframe.contentWindow) return;
+      if (ready) post(type, payload);
+      else queue.push([type, payload]);
+    }
+
+    function onMessage(event) {
+      if (event.source !== iframe.contentWindow || event.origin !== quizOrigin) return;
+      var data = event.data;
+      if (!data || data.source !== PROTOCOL || data.version !== VERSION) return;
+      var payload = data.payload || {};
+
+      if (data.type === "RESIZE" && options.autoResize !== false && payload.height > 0) {
+        iframe.style.height = Math.max(minHeight, Math.ceil(payload.height)) + "px";
+      }
+      if (data.type === "QUIZ_READY") {
+        ready = payload;
+        queue.splice(0).forEach(function (m) {
+          post(m[0], m[1]);
+        });
+      }
+      emit(data.type, payload);
+      // after listeners, so they can record the click before the page unloads
+      if (data.type === "NAVIGATE" && options.navigate && /^https?:\/\//i.test(String(payload.url || ""))) {
+        global.location.href = payload.url;
+      }
+    }
+
+    global.addEventListener("message", onMessage);
+
+    return {
+      on: function (type, cb) {
+        (listeners[type] = listeners[type] || []).push(cb);
+        if (type === "QUIZ_READY" && ready) cb(ready, type); // late subscribers still hear about it
+        return this;
+      },
+      off: function (type, cb) {
+        listeners[type] = (listeners[type] || []).filter(function (x) {
+          return x !== cb;
+        });
+        return this;
+      },
+      reset: function () {
+        send("RESET");
+      },
+      setContext: function (context) {
+        send("SET_CONTEXT", { context: context });
+      },
+      prefill: function (answers) {
+        send("PREFILL", { answers: answers || {} });
+      },
+      destroy: function () {
+        global.removeEventListener("message", onMessage);
+        listeners = {};
+        queue = [];
+      },
+    };
+  }
+
+  global.NourishedQuiz = { connect: connect, PROTOCOL: PROTOCOL, VERSION: VERSION };
+})(window);
@@ -0,0 +1,181 @@
+/**
+ * Nourished quiz — kiosk service worker (registered by QuizClient on ?kiosk=1 only, see lib/offline.mjs)
+ *
+ * - install: precaches the files listed by GET /api/precache (quiz JSON, device profiles, product
+ *   images, icons, logos)
+ * - Quiz JSON, images and icons are served from the cache and refreshed in the background, so a
+ *   kiosk keeps its full quiz when the store Wi-Fi drops
+ * - Next.js build files (/_next/static, content-hashed) are cache-first
+ * - Kiosk pages are network-first, falling back to the last copy when offline
+ * - Requests from non-kiosk pages, API calls and cross-origin requests are left alone
+ * - Message { type: "REFRESH", urls } re-downloads the precache list plus `urls` (same origin only);
+ *   kiosk pages send it on load and whenever they come back online
+ */
+(function (sw) {
+  "use strict";
+
+  var CACHE = "nourished-quiz-offline-v1";
+  var MANIFEST_URL = "/api/precache";
+
+  function sameOrigin(url) {
+    try {
+      return new URL(url, sw.location.href).origin === sw.location.origin;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function isKioskUrl(url) {
+    try {
+      return new URL(url).searchParams.get("kiosk") === "1";
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Fetch each URL fresh and store it; one missing file mustn't fail the rest
+  function store(urls) {
+    return caches.open(CACHE).then(function (cache) {
+      return Promise.all(
+        urls.filter(sameOrigin).map(function (url) {
+          return fetch(url, { cache: "no-cache" })
+            .then(function (res) {
+              if (res.ok) return cache.put(url, res);
+            })
+            .catch(function () {});
+        })
+      );
+    });
+  }
+
+  function precache(extra) {
+    return fetch(MANIFEST_URL, { cache: "no-store" })
+      .then(function (res) {
+        if (!res.ok) throw new Error("HTTP " + res.status);
+        return res.json();
+      })
+      .then(function (manifest) {
+        return store((manifest.urls || []).concat(extra || []));
+      })
+      .catch(function () {
+        return store(extra || []); // offline: keep what we have, store what we can
+      });
+  }
+
+  function cacheFirst(request) {
+    return caches.match(request).then(function (hit) {
+      return (
+        hit ||
+        fetch(request).then(function (res) {
+          if (res.ok) {
+            var copy = res.clone();
+            caches.open(CACHE).then(function (cache) {
+              cache.put(request, copy);
+            });
+          }
+          return res;
+        })
+      );
+    });
+  }
+
+  function staleWhileRevalidate(event, request) {
+    return caches.open(CACHE).then(function (cache) {
+      return cache.match(request).then(function (hit) {
+        var update = fetch(request).then(function (res) {
+          if (!res.ok) return res;
+          return cache.put(request, res.clone()).then(function () {
+            return res;
+          });
+        });
+        if (!hit) return update;
+        event.waitUntil(update.catch(function () {})); // refresh in the background
+        return hit;
+      });
+    });
+  }
+
+  function networkFirst(request) {
+    return fetch(request)
+      .then(function (res) {
+        if (res.ok) {
+          var copy = res.clone();
+          caches.open(CACHE).then(function (cache) {
+            cache.put(request, copy);
+          });
+        }
+        return res;
+      })
+      .catch(function () {
+        return caches
+          .match(request)
+          .then(function (hit) {
+            return hit || caches.match(request, { ignoreSearch: true }); // same page, other device params
+          })
+          .then(function (hit) {
+            return hit || Response.error();
+          });
+      });
+  }
+
+  function fromKioskClient(event) {
+    if (!event.clientId) return Promise.resolve(false);
+    return sw.clients.get(event.clientId).then(function (client) {
+      return !!client && isKioskUrl(client.url);
+    });
+  }
+
+  sw.addEventListener("install", function (event) {
+    event.waitUntil(
+      precache().then(function () {
+        return sw.skipWaiting();
+      })
+    );
+  });
+
+  sw.addEventListener("activate", function (event) {
+    event.waitUntil(
+      caches
+        .keys()
+        .then(function (keys) {
+          return Promise.all(
+            keys
+              .filter(function (key) {
+                return key.indexOf("nourished-quiz-offline-") === 0 && key !== CACHE;
+              })
+              .map(function (key) {
+                return caches.delete(key);
+              })
+          );
+        })
+        .then(function () {
+          return sw.clients.claim();
+        })
+    );
+  });
+
+  sw.addEventListener("message", function (event) {
+    var data = event.data || {};
+    if (data.type === "REFRESH") event.waitUntil(precache(Array.isArray(data.urls) ? data.urls : []));
+  });
+
+  sw.addEventListener("fetch", function (event) {
+    var request = event.request;
+    if (request.method !== "GET" || !sameOrigin(request.url)) return;
+    var path = new URL(request.url).pathname;
+    if (path.indexOf("/api/") === 0) return;
+
+    if (request.mode === "navigate") {
+      if (isKioskUrl(request.url)) event.respondWith(networkFirst(request));
+      return;
+    }
+
+    event.respondWith(
+      fromKioskClient(event).then(function (kiosk) {
+        if (!kiosk) return fetch(request);
+        if (path.indexOf("/_next/static/") === 0) return cacheFirst(request);
+        return staleWhileRevalidate(event, request);
+      })
+    );
+  });
+})(self);
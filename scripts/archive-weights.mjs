@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * Keep a copy of each retailer's current weights under /public/weights/<revision>.json, so result
+ * links (lib/resultLink.mjs) made with them can still be re-scored exactly after the weights change.
+ * Usage: npm run archive:weights   — commit the new file along with the weights change
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { RETAILERS, retailerFor } from "../lib/retailers.mjs";
+import { archivedWeightsUrl, weightsRevision } from "../lib/resultLink.mjs";
+
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "public");
+const publicFile = (url) => path.join(PUBLIC_DIR, url.replace(/^\//, ""));
+
+const files = [...new Set(Object.keys(RETAILERS).map((id) => retailerFor(id).files.weights))];
+for (const file of files) {
+  const text = readFileSync(publicFile(file), "utf8");
+  const revision = weightsRevision(JSON.parse(text));
+  const out = publicFile(archivedWeightsUrl(revision));
+  if (existsSync(out)) {
+    // a named "revision" must change with the weights, or pinned links would score with the wrong copy
+    if (JSON.stringify(JSON.parse(readFileSync(out, "utf8"))) !== JSON.stringify(JSON.parse(text))) {
+      console.error(`✖ ${file} changed but still says revision "${revision}": give it a new revision`);
+      process.exitCode = 1;
+      continue;
+    }
+    console.log(`✔ ${file} revision ${revision} is already archived`);
+    continue;
+  }
+  mkdirSync(path.dirname(out), { recursive: true });
+  writeFileSync(out, text);
+  console.log(`✔ archived ${file} revision ${revision} to ${path.relative(process.cwd(), out)}`);
+}
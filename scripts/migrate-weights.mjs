@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Convert legacy title-keyed weights to the v2 id-keyed format.
+ * Usage: npm run migrate:weights [-- --dry-run] [-- --out path/to/weights.json]
+ * Refuses to write if any legacy key can't be matched to a question/option id.
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { normalizeQuestions } from "../lib/questions.mjs";
+import { isLegacyWeights, migrateLegacyWeights } from "../lib/weights.mjs";
+
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "public");
+const WEIGHTS_FILE = path.join(PUBLIC_DIR, "boots_quiz_weights.json");
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const outIdx = args.indexOf("--out");
+const outFile = outIdx !== -1 ? path.resolve(args[outIdx + 1]) : WEIGHTS_FILE;
+
+const readJson = (file) => JSON.parse(readFileSync(file, "utf8"));
+
+const legacy = readJson(WEIGHTS_FILE);
+if (!isLegacyWeights(legacy)) {
+  console.log(`✔ ${path.relative(process.cwd(), WEIGHTS_FILE)} is already version ${legacy.version}`);
+  process.exit(0);
+}
+
+const questions = normalizeQuestions(readJson(path.join(PUBLIC_DIR, "boots_quiz_questions.json")));
+const { weights, unmatched } = migrateLegacyWeights(legacy, questions);
+
+if (unmatched.length) {
+  console.error(`✖ ${unmatched.length} legacy key${unmatched.length === 1 ? "" : "s"} could not be migrated:`);
+  unmatched.forEach((u) => console.error(`  - "${u.title}"${u.label ? ` → "${u.label}"` : ""}: ${u.reason}`));
+  process.exit(1);
+}
+
+// keep product lists on one line, like the hand-edited file
+const json =
+  JSON.stringify(weights, null, 2).replace(/\[\s+([^[\]{}]*?)\s+\]/g, (_, inner) => `[${inner.split(/,\s+/).join(", ")}]`) + "\n";
+if (dryRun) {
+  process.stdout.write(json);
+} else {
+  writeFileSync(outFile, json);
+  console.log(`✔ wrote version ${weights.version} weights to ${path.relative(process.cwd(), outFile)}`);
+}
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Validate the quiz config in /public against the product catalogue, once per retailer profile,
+ * plus the kiosk device profiles (kiosk_devices.json) when the file exists.
+ * Usage: npm run validate   (also runs before `npm run build`)
+ * Exits 1 with a readable report on any error.
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { RETAILERS, retailerFor } from "../lib/retailers.mjs";
+import { DEVICES_FILE } from "../lib/devices.mjs";
+import { formatReport, validateDevices, validateQuizConfig } from "../lib/validateConfig.mjs";
+
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "public");
+
+function readJson(file) {
+  const full = path.join(PUBLIC_DIR, file.replace(/^\//, ""));
+  try {
+    return JSON.parse(readFileSync(full, "utf8"));
+  } catch (e) {
+    console.error(`✖ could not read ${path.relative(process.cwd(), full)}: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+let ok = true;
+for (const id of Object.keys(RETAILERS)) {
+  const retailer = retailerFor(id);
+  const { files } = retailer;
+  const report = validateQuizConfig({
+    questions: readJson(files.questions),
+    weights: readJson(files.weights),
+    content: readJson(files.content),
+    rules: readJson(files.rules),
+    retailer,
+    fileExists: (src) => existsSync(path.join(PUBLIC_DIR, src.replace(/^\//, ""))),
+  });
+
+  const out = `[${id}] ${formatReport(report)}`;
+  if (report.ok) console.log(out);
+  else console.error(out);
+  ok = ok && report.ok;
+}
+if (existsSync(path.join(PUBLIC_DIR, DEVICES_FILE.replace(/^\//, "")))) {
+  const report = validateDevices(readJson(DEVICES_FILE), {
+    fileExists: (src) => existsSync(path.join(PUBLIC_DIR, src.replace(/^\//, ""))),
+  });
+  const out = `[devices] ${formatReport(report)}`;
+  if (report.ok) console.log(out);
+  else console.error(out);
+  ok = ok && report.ok;
+}
+
+process.exit(ok ? 0 : 1);
@@ -0,0 +1,215 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  EVENTS,
+  MAX_EVENTS_PER_REQUEST,
+  createAnalytics,
+  createOutbox,
+  createSink,
+  parseEventsBody,
+  sanitizeEvent,
+} from "../lib/analytics.mjs";
+import { OUTBOUND } from "../lib/embed.mjs";
+
+const SESSION = "0f8e4c2a-1111-4222-8333-944445555666";
+const base = { ts: 1700000000000, session: SESSION, context: "boots", kiosk: false, device: null, store: null };
+
+describe("sanitizeEvent", () => {
+  test("keeps known events and props", () => {
+    const e = sanitizeEvent({ ...base, event: "answer", props: { questionId: "gender_are_you", option: "female" } });
+    assert.deepEqual(e, { ...base, event: "answer", props: { questionId: "gender_are_you", option: "female" } });
+  });
+
+  test("accepts slider numbers and multi-select lists as answers", () => {
+    assert.equal(sanitizeEvent({ ...base, event: "answer", props: { option: 4 } }).props.option, 4);
+    assert.deepEqual(sanitizeEvent({ ...base, event: "answer", props: { option: ["energy", "skin"] } }).props.option, ["energy", "skin"]);
+  });
+
+  test("keeps the result's stack and applied rule ids", () => {
+    const props = { product: "Eic", stack: ["Eic", "Rnp"], decidedBy: "fallback", rulesApplied: ["male-no-female-hormonal"] };
+    assert.deepEqual(sanitizeEvent({ ...base, event: "result", props }).props, props);
+  });
+
+  test("drops unknown props and anything that isn't an id or number", () => {
+    const e = sanitizeEvent({
+      ...base,
+      event: "answer",
+      props: { questionId: "q", option: "jane@example.com", email: "x", userAgent: "Mozilla/5.0", ip: "10.0.0.1" },
+    });
+    assert.deepEqual(e.props, { questionId: "q" });
+  });
+
+  test("rejects unknown events, bad sessions and missing timestamps", () => {
+    assert.equal(sanitizeEvent({ ...base, event: "purchase" }), null);
+    assert.equal(sanitizeEvent({ ...base, event: "back", session: "x" }), null);
+    assert.equal(sanitizeEvent({ ...base, event: "back", ts: "today" }), null);
+    assert.equal(sanitizeEvent(null), null);
+  });
+
+  test("normalises context and kiosk", () => {
+    const e = sanitizeEvent({ ...base, event: "quiz_start", context: "<script>", kiosk: "yes" });
+    assert.equal(e.context, null);
+    assert.equal(e.kiosk, false);
+  });
+});
+
+describe("createAnalytics", () => {
+  test("stamps events and starts a new session on quiz_start", () => {
+    const seen = [];
+    let n = 0;
+    const a = createAnalytics({
+      sink: (e) => seen.push(e),
+      context: "direct",
+      kiosk: true,
+      device: "till-3",
+      store: "store-0042",
+      now: () => 42,
+      sessionId: () => `session-${++n}-aaaa`,
+    });
+    a.track(EVENTS.QUIZ_START);
+    a.track(EVENTS.QUESTION_VIEW, { questionId: "age_how_old_are_you", index: 1, total: 9 });
+    a.track(EVENTS.QUIZ_START);
+    assert.deepEqual(seen.map((e) => e.session), ["session-2-aaaa", "session-2-aaaa", "session-3-aaaa"]);
+    assert.deepEqual(seen[1], {
+      event: "question_view",
+      ts: 42,
+      session: "session-2-aaaa",
+      context: "direct",
+      kiosk: true,
+      device: "till-3",
+      store: "store-0042",
+      props: { questionId: "age_how_old_are_you", index: 1, total: 9 },
+    });
+  });
+
+  test("unknown events never reach the sink", () => {
+    const seen = [];
+    const a = createAnalytics({ sink: (e) => seen.push(e) });
+    assert.equal(a.track("page_scroll"), null);
+    assert.equal(seen.length, 0);
+  });
+});
+
+describe("createSink", () => {
+  test("parent sink forwards events over the host bridge", () => {
+    const sent = [];
+    const sink = createSink(["parent", "bogus"], { send: (type, payload) => sent.push([type, payload.event]) });
+    sink({ event: "result" });
+    assert.deepEqual(sent, [[OUTBOUND.ANALYTICS, "result"]]);
+  });
+
+  test("combines comma lists and arrays, and a failing sink doesn't stop the rest", () => {
+    const sent = [];
+    const sink = createSink(["parent,console", "parent"], {
+      send: (type) => {
+        sent.push(type);
+        throw new Error("boom");
+      },
+    });
+    const info = console.info;
+    const logged = [];
+    console.info = (...args) => logged.push(args);
+    try {
+      sink({ event: "back", props: {} });
+    } finally {
+      console.info = info;
+    }
+    assert.equal(sent.length, 1);
+    assert.equal(logged.length, 1);
+  });
+
+  test("http sink posts JSON to /api/events", () => {
+    const calls = [];
+    const fetch = globalThis.fetch;
+    globalThis.fetch = (url, init) => (calls.push([url, init.method, JSON.parse(init.body).event]), Promise.resolve());
+    try {
+      createSink("http")({ event: "quiz_start" });
+    } finally {
+      globalThis.fetch = fetch;
+    }
+    assert.deepEqual(calls, [["/api/events", "POST", "quiz_start"]]);
+  });
+});
+
+describe("createOutbox", () => {
+  const memoryStorage = () => {
+    const data = {};
+    return { getItem: (k) => data[k] ?? null, setItem: (k, v) => (data[k] = String(v)) };
+  };
+  const event = (n) => ({ ...base, event: "back", ts: n, props: {} });
+
+  test("keeps events while offline and sends them in order once back", async () => {
+    const storage = memoryStorage();
+    const posted = [];
+    let online = false;
+    const fetchImpl = async (url, init) => {
+      if (!online) throw new TypeError("Failed to fetch");
+      posted.push(JSON.parse(init.body).map((e) => e.ts));
+      return { status: 200 };
+    };
+    const outbox = createOutbox({ storage, fetchImpl });
+    outbox.push(event(1));
+    outbox.push(event(2));
+    await outbox.flush();
+    assert.equal(outbox.size(), 2);
+
+    // a reload keeps the queue
+    online = true;
+    const reloaded = createOutbox({ storage, fetchImpl });
+    await reloaded.flush();
+    assert.deepEqual(posted, [[1, 2]]);
+    assert.equal(reloaded.size(), 0);
+  });
+
+  test("batches large queues, retries server errors and drops rejected batches", async () => {
+    const sizes = [];
+    let status = 503;
+    const outbox = createOutbox({
+      storage: memoryStorage(),
+      fetchImpl: async (url, init) => (sizes.push(JSON.parse(init.body).length), { status }),
+    });
+    Array.from({ length: MAX_EVENTS_PER_REQUEST + 5 }, (_, i) => event(i)).forEach((e) => outbox.push(e));
+    await outbox.flush();
+    assert.equal(outbox.size(), MAX_EVENTS_PER_REQUEST + 5);
+
+    status = 200;
+    sizes.length = 0;
+    await outbox.flush();
+    assert.deepEqual(sizes, [MAX_EVENTS_PER_REQUEST, 5]);
+
+    status = 400;
+    outbox.push(event(99));
+    await outbox.flush();
+    assert.equal(outbox.size(), 0);
+  });
+
+  test("caps the queue and works without storage", async () => {
+    const outbox = createOutbox({ storage: null, max: 3, fetchImpl: async () => Promise.reject(new Error("offline")) });
+    [1, 2, 3, 4].forEach((n) => outbox.push(event(n)));
+    await outbox.flush();
+    assert.equal(outbox.size(), 3);
+  });
+
+  test("the http sink uses the outbox when given one", () => {
+    const pushed = [];
+    createSink("http", { outbox: { push: (e) => pushed.push(e.event) } })({ event: "result" });
+    assert.deepEqual(pushed, ["result"]);
+  });
+});
+
+describe("parseEventsBody", () => {
+  test("accepts one event or a list, counting rejects", () => {
+    const ok = { ...base, event: "back", props: {} };
+    assert.equal(parseEventsBody(JSON.stringify(ok)).events.length, 1);
+    const r = parseEventsBody(JSON.stringify([ok, { event: "nope" }]));
+    assert.equal(r.events.length, 1);
+    assert.equal(r.rejected, 1);
+  });
+
+  test("refuses bad JSON and oversized batches", () => {
+    assert.equal(parseEventsBody("{").error, "invalid JSON");
+    const many = Array.from({ length: MAX_EVENTS_PER_REQUEST + 1 }, () => ({ ...base, event: "back" }));
+    assert.equal(parseEventsBody(JSON.stringify(many)).error, "too many events");
+  });
+});
@@ -0,0 +1,60 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { ATTRACT_LOOP_DEFAULTS, attractLoopConfig, attractPrompt, buildAttractSlides } from "../lib/attract.mjs";
+import { DEVICE_DEFAULTS } from "../lib/devices.mjs";
+import { PRODUCT_ORDER } from "../lib/products.mjs";
+
+const content = JSON.parse(readFileSync(new URL("../public/boots_results_content.json", import.meta.url), "utf8"));
+
+describe("buildAttractSlides", () => {
+  test("cycles the full range with the intro after every few products", () => {
+    const slides = buildAttractSlides({ attract: DEVICE_DEFAULTS.attract, content });
+    const kinds = slides.map((s) => (s.kind === "intro" ? "intro" : s.code));
+    assert.deepEqual(kinds.slice(0, 8), ["intro", "Eic", "Epi", "Meca", "intro", "Ecp", "Cpe", "Hcp"]);
+    assert.equal(slides.filter((s) => s.kind === "product").length, PRODUCT_ORDER.length);
+  });
+
+  test("product slides use the shipped imagery, taglines and benefit areas", () => {
+    const eic = buildAttractSlides({ content }).find((s) => s.code === "Eic");
+    assert.equal(eic.pack, "/products/Eic-1.png");
+    assert.equal(eic.exploded, "/products/Eic-3.jpg");
+    assert.equal(eic.tagline, content.Eic.tagline);
+    assert.deepEqual(eic.benefits, ["Energy", "Immunity", "Cognitive Function"]);
+    assert.equal(eic.seconds, ATTRACT_LOOP_DEFAULTS.productSeconds);
+  });
+
+  test("only features what the shelf stocks, in the configured order", () => {
+    const slides = buildAttractSlides({
+      attract: { title: "Hi", loop: { products: ["Mjb", "Eic", "Zed", "Rnp"], introEvery: 0, productSeconds: 7 } },
+      stocked: ["Eic", "Mjb"],
+      content,
+    });
+    assert.deepEqual(slides.map((s) => s.code ?? s.kind), ["intro", "Mjb", "Eic"]);
+    assert.equal(slides[0].title, "Hi");
+    assert.equal(slides[1].seconds, 7);
+  });
+
+  test("falls back to the code when there is no content yet", () => {
+    const [, first] = buildAttractSlides({ content: {} });
+    assert.equal(first.name, "EIC");
+    assert.equal(first.tagline, "");
+  });
+});
+
+describe("attractLoopConfig", () => {
+  test("keeps slides readable and ignores bad values", () => {
+    const c = attractLoopConfig({ introSeconds: 0.5, productSeconds: "x", introEvery: -1, prompts: [] });
+    assert.equal(c.introSeconds, 2);
+    assert.equal(c.productSeconds, ATTRACT_LOOP_DEFAULTS.productSeconds);
+    assert.equal(c.introEvery, ATTRACT_LOOP_DEFAULTS.introEvery);
+    assert.deepEqual(c.prompts, ATTRACT_LOOP_DEFAULTS.prompts);
+  });
+
+  test("prompts rotate with the slides", () => {
+    assert.equal(attractPrompt(["a", "b"], 0), "a");
+    assert.equal(attractPrompt(["a", "b"], 3), "b");
+    assert.equal(attractPrompt([], 0), ATTRACT_LOOP_DEFAULTS.prompts[0]);
+  });
+});
@@ -0,0 +1,24 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { browserStorage } from "../lib/browserStorage.mjs";
+
+describe("browserStorage", () => {
+  test("returns the storage, null when there is none, and null when access throws", (t) => {
+    const store = { getItem: () => null };
+    t.after(() => {
+      delete globalThis.testStorage;
+      delete globalThis.blockedStorage;
+    });
+    globalThis.testStorage = store;
+    Object.defineProperty(globalThis, "blockedStorage", {
+      configurable: true,
+      get() {
+        throw new Error("SecurityError"); // what a sandboxed frame does
+      },
+    });
+    assert.equal(browserStorage("testStorage"), store);
+    assert.equal(browserStorage("missingStorage"), null);
+    assert.equal(browserStorage("blockedStorage"), null);
+  });
+});
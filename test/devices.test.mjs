@@ -0,0 +1,77 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { DEVICE_DEFAULTS, MIN_IDLE_MS, MIN_WARNING_MS, availableProducts, deviceFor, loadDevices } from "../lib/devices.mjs";
+import { PRODUCT_ORDER } from "../lib/products.mjs";
+
+const shipped = loadDevices(JSON.parse(readFileSync(new URL("../public/kiosk_devices.json", import.meta.url), "utf8")));
+
+const devices = loadDevices({
+  version: 1,
+  devices: {
+    "oxford-st-1": {
+      store: "boots-1234",
+      context: "boots",
+      idleSeconds: 45,
+      warningSeconds: 20,
+      resultsIdleSeconds: 120,
+      attract: { title: "Your formula in 2 minutes" },
+      stocked: ["Mjb", "Eic", "Zed"],
+    },
+  },
+});
+
+describe("deviceFor", () => {
+  test("resolves a known device over the defaults", () => {
+    const d = deviceFor("oxford-st-1", devices);
+    assert.equal(d.known, true);
+    assert.equal(d.store, "boots-1234");
+    assert.equal(d.context, "boots");
+    assert.equal(d.idleMs, 45000);
+    assert.equal(d.warningMs, 20000);
+    assert.equal(d.resultsIdleMs, 120000);
+    assert.deepEqual(d.handoff, { qr: true, email: false });
+    assert.equal(d.attract.title, "Your formula in 2 minutes");
+    assert.equal(d.attract.body, DEVICE_DEFAULTS.attract.body);
+  });
+
+  test("URL params override the file", () => {
+    const d = deviceFor("oxford-st-1", devices, { store: "boots-9999", idleSeconds: "60" });
+    assert.equal(d.store, "boots-9999");
+    assert.equal(d.idleMs, 60000);
+  });
+
+  test("idle timeouts have a floor", () => {
+    assert.equal(deviceFor("oxford-st-1", devices, { idleSeconds: "1" }).idleMs, MIN_IDLE_MS);
+    assert.equal(deviceFor("oxford-st-1", devices, { idleSeconds: "soon" }).idleMs, 45000);
+    const short = deviceFor("k", { k: { warningSeconds: 1, resultsIdleSeconds: 1 } });
+    assert.equal(short.warningMs, MIN_WARNING_MS);
+    assert.equal(short.resultsIdleMs, MIN_IDLE_MS);
+  });
+
+  test("unknown devices keep their id but get the defaults", () => {
+    const d = deviceFor("till-7", devices);
+    assert.deepEqual(d, { ...DEVICE_DEFAULTS, id: "till-7", known: false });
+    assert.equal(deviceFor("<script>", devices).id, null);
+    assert.equal(deviceFor(null, devices).idleMs, DEVICE_DEFAULTS.idleMs);
+  });
+
+  test("rejects unsupported versions", () => {
+    assert.throws(() => loadDevices({ version: 2, devices: {} }), /Unsupported kiosk devices version 2/);
+  });
+});
+
+describe("availableProducts", () => {
+  test("lists stocked codes in product order, ignoring unknown ones", () => {
+    assert.deepEqual(availableProducts(deviceFor("oxford-st-1", devices)), ["Eic", "Mjb"]);
+  });
+
+  test("a device without a stock list sells everything", () => {
+    assert.equal(availableProducts(deviceFor("till-7", devices)), null);
+  });
+
+  test("the example device stocks the full range", () => {
+    assert.deepEqual(availableProducts(deviceFor("example-kiosk", shipped)), PRODUCT_ORDER);
+  });
+});
@@ -0,0 +1,280 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+
+import {
+  INBOUND,
+  OUTBOUND,
+  PROTOCOL,
+  PROTOCOL_VERSION,
+  allowedOriginsFor,
+  createHeightReporter,
+  createMessage,
+  isOriginAllowed,
+  parseInbound,
+  resolveParentOrigin,
+} from "../lib/embed.mjs";
+import { retailerFor } from "../lib/retailers.mjs";
+
+describe("messages", () => {
+  test("are tagged with protocol and version", () => {
+    assert.deepEqual(createMessage(OUTBOUND.RESULT, { winner: "Eic" }), {
+      source: PROTOCOL,
+      version: PROTOCOL_VERSION,
+      type: "RESULT",
+      payload: { winner: "Eic" },
+    });
+  });
+
+  test("inbound accepts only our protocol, version and inbound types", () => {
+    assert.deepEqual(parseInbound(createMessage(INBOUND.PREFILL, { answers: { a: "b" } })), {
+      type: "PREFILL",
+      payload: { answers: { a: "b" } },
+    });
+    assert.deepEqual(parseInbound({ source: PROTOCOL, version: 1, type: "RESET" }), { type: "RESET", payload: {} });
+    assert.equal(parseInbound({ ...createMessage(INBOUND.RESET), version: 2 }), null);
+    assert.equal(parseInbound(createMessage(OUTBOUND.RESULT)), null);
+    assert.equal(parseInbound({ type: "RESET" }), null);
+    assert.equal(parseInbound("RESET"), null);
+  });
+});
+
+describe("isOriginAllowed", () => {
+  const list = ["https://boots.com", "https://*.boots.com", "http://localhost:*"];
+
+  test("matches exact origins and subdomain wildcards", () => {
+    assert.ok(isOriginAllowed("https://boots.com", list));
+    assert.ok(isOriginAllowed("https://www.boots.com", list));
+    assert.ok(isOriginAllowed("https://uat.shop.boots.com", list));
+    assert.ok(isOriginAllowed("http://localhost:3000", list));
+  });
+
+  test("rejects lookalikes, other schemes and opaque origins", () => {
+    assert.ok(!isOriginAllowed("https://evilboots.com", list));
+    assert.ok(!isOriginAllowed("https://boots.com.evil.io", list));
+    assert.ok(!isOriginAllowed("http://www.boots.com", list));
+    assert.ok(!isOriginAllowed("null", ["*"]));
+    assert.ok(!isOriginAllowed("https://www.boots.com", []));
+  });
+
+  test('"*" allows any real origin', () => {
+    assert.ok(isOriginAllowed("https://anything.example", ["*"]));
+  });
+});
+
+describe("allowedOriginsFor", () => {
+  test("combines the retailer list, extra origins, self and dev hosts", () => {
+    const list = allowedOriginsFor(retailerFor("boots"), {
+      extra: " https://staging.example , ",
+      selfOrigin: "https://quiz.example",
+      dev: true,
+    });
+    assert.ok(list.includes("https://*.boots.com"));
+    assert.ok(list.includes("https://staging.example"));
+    assert.ok(list.includes("https://quiz.example"));
+    assert.ok(list.includes("http://localhost:*"));
+  });
+
+  test("no Boots origins for other retailers, no localhost in production", () => {
+    const list = allowedOriginsFor(retailerFor("direct"), { selfOrigin: "https://quiz.example" });
+    assert.deepEqual(list, ["https://quiz.example"]);
+  });
+});
+
+describe("resolveParentOrigin", () => {
+  test("prefers ancestorOrigins, falls back to the referrer", () => {
+    assert.equal(resolveParentOrigin({ ancestorOrigins: ["https://www.boots.com"], referrer: "https://x.example/" }), "https://www.boots.com");
+    assert.equal(resolveParentOrigin({ referrer: "https://www.boots.com/quiz?x=1" }), "https://www.boots.com");
+    assert.equal(resolveParentOrigin({ referrer: "" }), null);
+  });
+});
+
+describe("createHeightReporter", () => {
+  // Manual clock: timers only fire when the test says so
+  function setup() {
+    const reports = [];
+    const timers = new Map();
+    let id = 0;
+    const r = createHeightReporter((height, settled) => reports.push([height, settled]), {
+      delay: 100,
+      setTimer: (fn) => (timers.set(++id, fn), id),
+      clearTimer: (t) => timers.delete(t),
+    });
+    const tick = () => [...timers.entries()].forEach(([t, fn]) => (timers.delete(t), fn()));
+    return { r, reports, tick, timers };
+  }
+
+  test("debounces bursts into one report of the latest height", () => {
+    const { r, reports, tick, timers } = setup();
+    r.measure(500);
+    r.measure(640.2);
+    r.measure(700);
+    assert.equal(timers.size, 1);
+    tick();
+    assert.deepEqual(reports, [[700, false]]);
+  });
+
+  test("skips unchanged heights and non-positive readings", () => {
+    const { r, reports, tick } = setup();
+    r.measure(700);
+    tick();
+    r.measure(700);
+    tick();
+    r.measure(0);
+    tick();
+    r.measure(720);
+    tick();
+    assert.deepEqual(reports, [[700, false], [720, false]]);
+  });
+
+  test("settle reports at once, even if unchanged, and cancels the pending report", () => {
+    const { r, reports, tick, timers } = setup();
+    r.measure(700);
+    tick();
+    r.measure(710);
+    r.settle(700);
+    assert.equal(timers.size, 0);
+    assert.deepEqual(reports, [[700, false], [700, true]]);
+    r.measure(700);
+    tick();
+    assert.equal(reports.length, 2);
+  });
+
+  test("dispose drops a pending report", () => {
+    const { r, reports, timers } = setup();
+    r.measure(700);
+    r.dispose();
+    assert.equal(timers.size, 0);
+    assert.deepEqual(reports, []);
+  });
+});
+
+describe("host SDK", () => {
+  // Minimal browser stand-in: one window, one iframe whose contentWindow records posts
+  function loadSdk() {
+    const handlers = [];
+    const window = {
+      location: { href: "https://www.boots.com/quiz" },
+      addEventListener: (type, fn) => type === "message" && handlers.push(fn),
+      removeEventListener: (type, fn) => handlers.splice(handlers.indexOf(fn), 1),
+    };
+    const src = readFileSync(new URL("../public/nourished-quiz-sdk.js", import.meta.url), "utf8");
+    vm.runInNewContext(src, { window, URL, console });
+    const posted = [];
+    const contentWindow = { postMessage: (data, origin) => posted.push({ data, origin }) };
+    const iframe = { src: "https://quiz.example/?context=boots", style: {}, contentWindow };
+    const deliver = (data, { origin = "https://quiz.example", source = contentWindow } = {}) =>
+      [...handlers].forEach((fn) => fn({ data, origin, source }));
+    return { NourishedQuiz: window.NourishedQuiz, iframe, posted, deliver, handlers };
+  }
+
+  test("sizes the iframe and emits events from the quiz only", () => {
+    const { NourishedQuiz, iframe, deliver } = loadSdk();
+    const quiz = NourishedQuiz.connect(iframe);
+    const seen = [];
+    quiz.on("RESULT", (p) => seen.push(p.winner));
+
+    deliver(createMessage(OUTBOUND.RESIZE, { height: 812.4 }));
+    assert.equal(iframe.style.height, "813px");
+
+    deliver(createMessage(OUTBOUND.RESULT, { winner: "Eic" }));
+    deliver(createMessage(OUTBOUND.RESULT, { winner: "Spe" }), { origin: "https://evil.example" });
+    deliver(createMessage(OUTBOUND.RESULT, { winner: "Gsi" }), { source: {} });
+    deliver({ ...createMessage(OUTBOUND.RESULT, { winner: "Mjb" }), version: 2 });
+    assert.deepEqual(seen, ["Eic"]);
+  });
+
+  test("queues commands until the quiz is ready, then posts to the quiz origin", () => {
+    const { NourishedQuiz, iframe, posted, deliver } = loadSdk();
+    const quiz = NourishedQuiz.connect(iframe);
+    quiz.prefill({ gender_are_you: "female" });
+    assert.equal(posted.length, 0);
+
+    deliver(createMessage(OUTBOUND.READY, { context: "boots" }));
+    quiz.reset();
+    assert.deepEqual(
+      posted.map((p) => [parseInbound(p.data)?.type, p.origin]),
+      [["PREFILL", "https://quiz.example"], ["RESET", "https://quiz.example"]]
+    );
+    assert.equal(JSON.stringify(parseInbound(posted[0].data).payload), JSON.stringify({ answers: { gender_are_you: "female" } })); // object from the vm realm
+  });
+
+  test("late QUIZ_READY subscribers are called straight away; destroy stops listening", () => {
+    const { NourishedQuiz, iframe, deliver, handlers } = loadSdk();
+    const quiz = NourishedQuiz.connect(iframe);
+    deliver(createMessage(OUTBOUND.READY, { context: "boots" }));
+    let ready = null;
+    quiz.on("QUIZ_READY", (p) => (ready = p.context));
+    assert.equal(ready, "boots");
+    quiz.destroy();
+    assert.equal(handlers.length, 0);
+  });
+});
+
+describe("embed loader", () => {
+  // Fake DOM with one placeholder; the SDK is loaded for real into the same sandbox
+  function loadEmbed(dataset) {
+    const sdk = readFileSync(new URL("../public/nourished-quiz-sdk.js", import.meta.url), "utf8");
+    const loader = readFileSync(new URL("../public/nourished-quiz-embed.js", import.meta.url), "utf8");
+    const handlers = [];
+    const dispatched = [];
+    const makeEl = (tag) => ({
+      tagName: tag,
+      style: {},
+      attrs: {},
+      children: [],
+      setAttribute(k, v) { this.attrs[k] = v; },
+      getAttribute(k) { return k in this.attrs ? this.attrs[k] : null; },
+      appendChild(c) { this.children.push(c); },
+      addEventListener() {},
+      dispatchEvent(e) { dispatched.push(e); },
+    });
+    const placeholder = { ...makeEl("div"), dataset };
+    const window = {
+      location: { href: "https://www.boots.com/quiz" },
+      addEventListener: (type, fn) => type === "message" && handlers.push(fn),
+      removeEventListener() {},
+    };
+    const document = {
+      readyState: "complete",
+      currentScript: { src: "https://quiz.example/nourished-quiz-embed.js" },
+      head: makeEl("head"),
+      querySelector: () => null,
+      querySelectorAll: () => [placeholder],
+      createElement: (tag) => {
+        const el = makeEl(tag);
+        if (tag === "iframe") el.contentWindow = { postMessage() {} };
+        return el;
+      },
+      addEventListener() {},
+    };
+    class CustomEvent {
+      constructor(type, init) { this.type = type; this.detail = init.detail; }
+    }
+    const ctx = vm.createContext({ window, document, URL, URLSearchParams, CustomEvent, console });
+    vm.runInContext(sdk, ctx);
+    vm.runInContext(loader, ctx);
+    const iframe = placeholder.children[0];
+    const deliver = (data) => handlers.forEach((fn) => fn({ data, origin: "https://quiz.example", source: iframe.contentWindow }));
+    return { window, placeholder, iframe, deliver, dispatched };
+  }
+
+  test("creates the iframe from data attributes", () => {
+    const { iframe, placeholder } = loadEmbed({ nourishedQuiz: "", context: "direct", kiosk: "1", redirect: "0", minHeight: "700" });
+    assert.equal(iframe.tagName, "iframe");
+    assert.equal(iframe.src, "https://quiz.example/?embed=1&context=direct&kiosk=1&redirect=0");
+    assert.equal(iframe.style.height, "700px");
+    assert.ok(placeholder.nourishedQuiz);
+  });
+
+  test("navigates the host page and re-dispatches events on the placeholder", () => {
+    const { window, deliver, dispatched } = loadEmbed({ nourishedQuiz: "" });
+    deliver(createMessage(OUTBOUND.RESULT, { winner: "Eic" }));
+    deliver(createMessage(OUTBOUND.NAVIGATE, { url: "https://www.boots.com/eic", reason: "buy" }));
+    deliver(createMessage(OUTBOUND.NAVIGATE, { url: "javascript:alert(1)", reason: "buy" }));
+    assert.equal(window.location.href, "https://www.boots.com/eic");
+    assert.deepEqual(dispatched.map((e) => e.type), ["nourishedquiz:result", "nourishedquiz:navigate", "nourishedquiz:navigate"]);
+    assert.equal(dispatched[0].detail.winner, "Eic");
+  });
+});
@@ -0,0 +1,100 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { explainResult, explainTieBreak, productName } from "../lib/explain.mjs";
+import { normalizeQuestions } from "../lib/questions.mjs";
+import { scoreQuiz } from "../lib/scoring.mjs";
+
+const readJson = (file) => JSON.parse(readFileSync(new URL(`../public/${file}`, import.meta.url), "utf8"));
+
+const questions = normalizeQuestions(readJson("boots_quiz_questions.json"));
+const weights = readJson("boots_quiz_weights.json");
+const rules = readJson("boots_quiz_rules.json");
+
+const PRIORITIES = "health_which_of_the_below_are_your_top_two_prior";
+
+describe("explainResult", () => {
+  test("lists the answers that scored the winner, biggest first", () => {
+    const qs = [
+      { id: "age", type: "single", answers: [{ id: "old", label: "56+" }] },
+      { id: "goal", type: "single", answers: [{ id: "bones", label: "Bone health" }] },
+      { id: "tired", type: "slider", minLabel: "Exhausted", maxLabel: "Full of beans", answers: [] },
+    ];
+    const w = {
+      version: 2,
+      questions: {
+        age: { options: { old: { Bmca: 1, Hpes: -2 } } },
+        goal: { multiplier: 2, options: { bones: ["Bmca"] } },
+        tired: { options: { min: ["Bmca", "Rnp"] } },
+      },
+    };
+    const r = scoreQuiz({ questions: qs, weights: w, answers: { age: "old", goal: "bones", tired: 1 } });
+    const { code, reasons, tieBreak } = explainResult(r, qs);
+    assert.equal(code, "Bmca");
+    assert.deepEqual(
+      reasons.map(({ answer, points }) => [answer, points]),
+      [["Bone health", 2], ["56+", 1], ["Exhausted", 1]]
+    );
+    assert.equal(tieBreak, null);
+  });
+
+  test("can explain another product, e.g. a stack complement", () => {
+    const answers = { age_how_old_are_you: "56_plus", [PRIORITIES]: ["skin", "heart"] };
+    const r = scoreQuiz({ questions, weights, answers, rules });
+    const other = Object.keys(r.tallies).find((c) => c !== r.winner);
+    const e = explainResult(r, questions, { code: other });
+    assert.equal(e.code, other);
+    assert.ok(e.reasons.length > 0);
+    assert.equal(e.tieBreak, null);
+  });
+
+  test("leaves out hidden products and pruned answers", () => {
+    const answers = { gender_are_you: "male", diet_do_you_follow_a_specific_diet: "no", diet_which_diet: "vegan", [PRIORITIES]: ["menopause"] };
+    const r = scoreQuiz({ questions, weights, answers, rules });
+    assert.ok(!r.contributions.some((c) => ["Hcp", "Hpes"].includes(c.code)));
+    assert.ok(!r.contributions.some((c) => c.question === "diet_which_diet"));
+  });
+
+  test("no winner, nothing to explain", () => {
+    assert.deepEqual(explainResult({ winner: null }, questions), { code: null, reasons: [], tieBreak: null });
+  });
+});
+
+describe("explainTieBreak", () => {
+  test("names the priority that settled a tie", () => {
+    const path = [
+      { stage: "score", score: 2, candidates: ["Eic", "Spe"] },
+      { stage: "priority", question: PRIORITIES, option: "skin", candidates: ["Spe"] },
+    ];
+    const t = explainTieBreak({ winner: "Spe", decidedBy: "priority", path }, questions);
+    assert.equal(t.decidedBy, "priority");
+    assert.deepEqual(t.rivals, ["Eic"]);
+    assert.match(t.text, /^SPE scored the same as EIC; your top priority, “.+”, decided it\.$/);
+  });
+
+  test("says when the fixed product order decided", () => {
+    const path = [
+      { stage: "score", score: 1, candidates: ["Mjb", "Eic", "Gsi"] },
+      { stage: "order", candidates: ["Eic", "Mjb", "Gsi"] },
+    ];
+    const t = explainTieBreak({ winner: "Eic", decidedBy: "order", path }, questions);
+    assert.equal(t.text, "EIC scored the same as MJB and GSI; when results tie we recommend in a fixed product order.");
+  });
+
+  test("says when rules left nothing the answers scored", () => {
+    const r = scoreQuiz({ questions, weights, rules, answers: { gender_are_you: "male", [PRIORITIES]: ["menopause", "menstrual"] } });
+    assert.equal(explainTieBreak(r, questions).text, "The formulas your answers pointed to can’t be recommended here, so we suggest EIC.");
+  });
+
+  test("nothing to say when the score decided", () => {
+    assert.equal(explainTieBreak({ winner: "Eic", decidedBy: "score", path: [] }, questions), null);
+  });
+});
+
+describe("productName", () => {
+  test("upper-cases the display name", () => {
+    assert.equal(productName("Hpes"), "HPES");
+    assert.equal(productName("Zed"), "ZED");
+  });
+});
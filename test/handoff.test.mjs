@@ -0,0 +1,172 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { decodeHandoff, encodeHandoff, handoffEmail, handoffProducts, handoffUrl, isEmailAddress } from "../lib/handoff.mjs";
+import { checkEmailHandoff, parseKioskKeys } from "../lib/handoffGuard.mjs";
+import { createMailer } from "../lib/mailer.mjs";
+import { RETAILERS } from "../lib/retailers.mjs";
+
+const content = {
+  Eic: { name: "EIC — Immunity", tagline: "Daily immune support." },
+  Mjb: { name: "MJB — Joints & Performance", tagline: "Joint comfort." },
+};
+
+describe("encodeHandoff / decodeHandoff", () => {
+  test("round-trips a stack as retailer id and lower-case codes", () => {
+    const token = encodeHandoff({ context: "boots", codes: ["Eic", "Mjb", "Rnp"] });
+    assert.equal(token, "1.boots.eic.mjb.rnp");
+    assert.deepEqual(decodeHandoff(token), { context: "boots", winner: "Eic", complements: ["Mjb", "Rnp"] });
+  });
+
+  test("unknown contexts fall back to the default retailer; unknown complements are dropped", () => {
+    assert.equal(encodeHandoff({ context: "nowhere", codes: ["Hpes", "Zed"] }), "1.boots.hpes");
+    assert.equal(encodeHandoff({ context: "boots", codes: ["Zed", "Eic"] }), null); // the winner must be real
+    assert.equal(encodeHandoff({ context: "boots", codes: [] }), null);
+  });
+
+  test("rejects malformed, foreign and tampered tokens", () => {
+    ["", "1.boots", "2.boots.eic", "1.nowhere.eic", "1.boots.zed", "1.boots.eic.eic", "1.boots.eic.mjb.rnp.cpe.epi.ecp.hcp", null].forEach(
+      (token) => assert.equal(decodeHandoff(token), null, String(token))
+    );
+    assert.deepEqual(decodeHandoff("1.direct.EIC"), { context: "direct", winner: "Eic", complements: [] });
+  });
+
+  test("handoffUrl joins the public origin and the token", () => {
+    assert.equal(handoffUrl("1.boots.eic", "https://quiz.example.com/"), "https://quiz.example.com/result/1.boots.eic");
+  });
+});
+
+describe("handoffProducts", () => {
+  test("lists the products with the retailer's links", () => {
+    const { retailer, products } = handoffProducts(decodeHandoff("1.boots.eic.mjb"), { content });
+    assert.equal(retailer.id, "boots");
+    assert.deepEqual(products[0], {
+      code: "Eic",
+      name: "EIC — Immunity",
+      tagline: "Daily immune support.",
+      url: "https://www.boots.com/nourish3d-eic-nutrient-stacks-30-gummies-10378548",
+    });
+    assert.equal(products[1].code, "Mjb");
+  });
+
+  test("resolves relative product links against the origin", () => {
+    const retailers = { ...RETAILERS, direct: { ...RETAILERS.direct, productUrlTemplate: "/shop/{code}" } };
+    const { products } = handoffProducts(decodeHandoff("1.direct.eic"), { origin: "https://nourished.example", retailers });
+    assert.equal(products[0].url, "https://nourished.example/shop/eic");
+    assert.equal(products[0].name, "EIC");
+  });
+});
+
+describe("handoffEmail", () => {
+  test("has the formula, its links and the result link, escaped for HTML", () => {
+    const url = "https://quiz.example.com/result/1.boots.eic.mjb";
+    const mail = handoffEmail(decodeHandoff("1.boots.eic.mjb"), { url, content });
+    assert.equal(mail.subject, "Your Nourished formula: EIC — Immunity");
+    assert.match(mail.text, /Buy EIC at Boots: https:\/\/www\.boots\.com\/nourish3d-eic/);
+    assert.match(mail.text, /To complete your stack:\n- MJB — Joints & Performance: https:/);
+    assert.ok(mail.text.endsWith(`See your full result again: ${url}`));
+    assert.match(mail.html, /MJB — Joints &amp; Performance/);
+    assert.match(mail.html, new RegExp(`<a href="${url}">See your full result again</a>`));
+  });
+});
+
+describe("isEmailAddress", () => {
+  test("accepts ordinary addresses and rejects the rest", () => {
+    assert.ok(isEmailAddress("sam.jones+quiz@example.co.uk"));
+    ["", "sam", "sam@", "sam@example", "sam @example.com", "a@b.c", "<sam@example.com>", 42].forEach((v) =>
+      assert.equal(isEmailAddress(v), false, String(v))
+    );
+  });
+});
+
+describe("createMailer", () => {
+  const message = { to: "sam@example.com", subject: "Hi", text: "Hello", html: "<p>Hello</p>" };
+
+  test("is off unless a transport is configured (the stub in development)", () => {
+    assert.equal(createMailer({}), null);
+    assert.equal(createMailer({ MAIL_TRANSPORT: "none", NODE_ENV: "development" }), null);
+    assert.equal(createMailer({ NODE_ENV: "development" }).transport, "stub");
+    assert.throws(() => createMailer({ MAIL_TRANSPORT: "pigeon" }), /Unknown MAIL_TRANSPORT "pigeon"/);
+  });
+
+  test("the stub appends messages to MAIL_FILE, with the recipient masked", async () => {
+    const file = path.join(mkdtempSync(path.join(os.tmpdir(), "quiz-mail-")), "mail.ndjson");
+    const mailer = createMailer({ MAIL_TRANSPORT: "stub", MAIL_FILE: file, MAIL_FROM: "Quiz <q@example.com>" });
+    await mailer.send(message);
+    await mailer.send({ ...message, subject: "Again" });
+    const saved = readFileSync(file, "utf8");
+    const lines = saved.trim().split("\n").map((l) => JSON.parse(l));
+    assert.equal(lines.length, 2);
+    assert.equal(lines[0].from, "Quiz <q@example.com>");
+    assert.equal(lines[0].to, "s…@example.com");
+    assert.equal(lines[1].subject, "Again");
+    assert.ok(!saved.includes("sam@example.com"));
+  });
+
+  test("every transport but the stub needs MAIL_FROM", () => {
+    assert.equal(createMailer({ MAIL_TRANSPORT: "stub" }).transport, "stub");
+    assert.throws(() => createMailer({ MAIL_TRANSPORT: "http", MAIL_HTTP_URL: "https://relay.example/send" }), /needs MAIL_FROM/);
+    assert.throws(() => createMailer({ MAIL_TRANSPORT: "http", MAIL_HTTP_URL: "https://relay.example/send", MAIL_FROM: " " }), /needs MAIL_FROM/);
+  });
+
+  test("the http transport posts JSON with a bearer token and fails on errors", async () => {
+    const calls = [];
+    let status = 202;
+    const fetchImpl = async (url, init) => {
+      calls.push({ url, init });
+      return { ok: status < 300, status };
+    };
+    const env = { MAIL_TRANSPORT: "http", MAIL_HTTP_URL: "https://relay.example/send", MAIL_HTTP_TOKEN: "t0k", MAIL_FROM: "Quiz <q@example.com>" };
+    const mailer = createMailer(env, { fetchImpl });
+    await mailer.send(message);
+    assert.equal(calls[0].url, "https://relay.example/send");
+    assert.equal(calls[0].init.headers.authorization, "Bearer t0k");
+    assert.deepEqual(JSON.parse(calls[0].init.body), { from: "Quiz <q@example.com>", ...message });
+
+    status = 500;
+    await assert.rejects(mailer.send(message), /HTTP 500/);
+    assert.throws(() => createMailer({ MAIL_TRANSPORT: "http", MAIL_FROM: "q@example.com" }), /needs MAIL_HTTP_URL/);
+  });
+
+  test("accepts extra transports", async () => {
+    const sent = [];
+    const env = { MAIL_TRANSPORT: "memory", MAIL_FROM: "q@example.com" };
+    const mailer = createMailer(env, { transports: { memory: () => async (m) => sent.push(m) } });
+    await mailer.send(message);
+    assert.equal(sent[0].to, "sam@example.com");
+  });
+});
+
+describe("checkEmailHandoff", () => {
+  const devices = {
+    "till-1": { handoff: { email: true } },
+    "till-2": { handoff: { qr: true } },
+  };
+  const keys = parseKioskKeys(" till-1:s3cret-one , till-2:s3cret-two, broken, :nokey");
+
+  test("parseKioskKeys reads device:key pairs", () => {
+    assert.deepEqual([...keys], [["till-1", "s3cret-one"], ["till-2", "s3cret-two"]]);
+    assert.equal(parseKioskKeys(undefined).size, 0);
+  });
+
+  test("lets a device with email on and the right key send", () => {
+    assert.deepEqual(checkEmailHandoff({ deviceId: " till-1", key: "s3cret-one", devices, keys }), { ok: true, deviceId: "till-1" });
+  });
+
+  test("refuses unknown devices, devices without email and wrong or missing keys", () => {
+    const check = (deviceId, key, k = keys) => {
+      const r = checkEmailHandoff({ deviceId, key, devices, keys: k });
+      return r.ok ? "ok" : r.status;
+    };
+    assert.equal(check("somewhere", "s3cret-one"), 403);
+    assert.equal(check("till-2", "s3cret-two"), 403); // its profile doesn't offer email
+    assert.equal(check(undefined, undefined), 403);
+    assert.equal(check("till-1", "s3cret-two"), 401);
+    assert.equal(check("till-1", undefined), 401);
+    assert.equal(check("till-1", "", new Map()), 401);
+    assert.equal(check("till-1", "s3cret-one", new Map()), 401); // no KIOSK_KEYS: nobody sends
+  });
+});
@@ -0,0 +1,67 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { historyState, resolveHistoryStep, stepFromState, stepHash } from "../lib/history.mjs";
+import { normalizeQuestions } from "../lib/questions.mjs";
+
+const questions = normalizeQuestions(
+  JSON.parse(readFileSync(new URL("../public/boots_quiz_questions.json", import.meta.url), "utf8"))
+);
+const stepOf = (id) => questions.findIndex((q) => q.id === id) + 1;
+const DIET = stepOf("diet_do_you_follow_a_specific_diet");
+const WHICH_DIET = stepOf("diet_which_diet"); // shown only after "yes"
+
+// everything before the diet question answered
+const answered = Object.fromEntries(
+  questions.slice(0, DIET - 1).map((q) => [q.id, q.type === "slider" ? 3 : q.answers[0].id])
+);
+
+describe("history entries", () => {
+  test("stepHash names questions and results", () => {
+    assert.equal(stepHash(0, 9), "");
+    assert.equal(stepHash(3, 9), "#step-3");
+    assert.equal(stepHash(10, 9), "#results");
+  });
+
+  test("historyState keeps the router's state; stepFromState reads only our entries", () => {
+    const state = historyState({ __NA: true, tree: [] }, 4, 2);
+    assert.deepEqual(state, { __NA: true, tree: [], quizStep: 4, quizDepth: 2 });
+    assert.deepEqual(stepFromState(state), { step: 4, depth: 2 });
+    assert.deepEqual(stepFromState(historyState(null, 0)), { step: 0, depth: 0 });
+    [null, {}, { __NA: true }, { quizStep: -1 }, { quizStep: "3" }].forEach((s) => assert.equal(stepFromState(s), null));
+  });
+});
+
+describe("resolveHistoryStep", () => {
+  test("Back and Forward land on the entry's step", () => {
+    const answers = { ...answered, diet_do_you_follow_a_specific_diet: "yes", diet_which_diet: "vegan" };
+    assert.equal(resolveHistoryStep({ questions, answers, from: WHICH_DIET, to: DIET }), DIET);
+    assert.equal(resolveHistoryStep({ questions, answers, from: DIET, to: WHICH_DIET }), WHICH_DIET);
+    assert.equal(resolveHistoryStep({ questions, answers, from: 1, to: 0 }), 0);
+  });
+
+  test("skips a question hidden by the diet answer in the direction of travel", () => {
+    const answers = { ...answered, diet_do_you_follow_a_specific_diet: "no" };
+    // went Back to the diet question, changed the answer to "no", then pressed Forward
+    assert.equal(resolveHistoryStep({ questions, answers, from: DIET, to: WHICH_DIET }), WHICH_DIET + 1);
+    // Back from the question after it
+    assert.equal(resolveHistoryStep({ questions, answers, from: WHICH_DIET + 1, to: WHICH_DIET }), DIET);
+  });
+
+  test("Forward stops at the first question that still needs an answer", () => {
+    assert.equal(resolveHistoryStep({ questions, answers: answered, from: DIET, to: DIET + 3 }), DIET);
+    assert.equal(resolveHistoryStep({ questions, answers: {}, from: 0, to: questions.length + 1 }), 1);
+    const strict = resolveHistoryStep({ questions, answers: answered, from: 0, to: DIET - 1, isComplete: (q) => q.id !== questions[1].id });
+    assert.equal(strict, 2);
+  });
+
+  test("results are reachable again once everything is answered", () => {
+    const value = (q) => (q.type === "slider" ? 3 : q.type === "multi" ? q.answers.slice(0, 2).map((a) => a.id) : q.answers[0].id);
+    const all = Object.fromEntries(questions.map((q) => [q.id, value(q)]));
+    const answers = { ...all, diet_do_you_follow_a_specific_diet: "no" };
+    delete answers.diet_which_diet;
+    assert.equal(resolveHistoryStep({ questions, answers, from: questions.length, to: questions.length + 1 }), questions.length + 1);
+    assert.equal(resolveHistoryStep({ questions, answers, from: 3, to: 99 }), questions.length + 1);
+  });
+});
@@ -0,0 +1,93 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { createIdleTimer } from "../lib/idle.mjs";
+
+// A manual clock: advance(ms) fires every timer that falls due, in order
+function fakeClock() {
+  let now = 0;
+  let seq = 0;
+  const timers = new Map();
+  return {
+    setTimer: (fn, ms) => {
+      const id = ++seq;
+      timers.set(id, { fn, at: now + ms });
+      return id;
+    },
+    clearTimer: (id) => timers.delete(id),
+    advance(ms) {
+      const end = now + ms;
+      for (;;) {
+        const due = [...timers].filter(([, t]) => t.at <= end).sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+        timers.delete(due[0]);
+        now = due[1].at;
+        due[1].fn();
+      }
+      now = end;
+    },
+    pending: () => timers.size,
+  };
+}
+
+function setup() {
+  const clock = fakeClock();
+  const calls = [];
+  const idle = createIdleTimer({
+    onCountdown: (n) => calls.push(n),
+    onReset: () => calls.push("reset"),
+    setTimer: clock.setTimer,
+    clearTimer: clock.clearTimer,
+  });
+  return { clock, calls, idle };
+}
+
+describe("createIdleTimer", () => {
+  test("warns after the quiet period, counts down each second, then resets", () => {
+    const { clock, calls, idle } = setup();
+    idle.bump(30000, 3000);
+    clock.advance(29999);
+    assert.deepEqual(calls, []);
+    clock.advance(1);
+    assert.deepEqual(calls, [3]);
+    clock.advance(3000);
+    assert.deepEqual(calls, [3, 2, 1, "reset"]);
+    assert.equal(clock.pending(), 0);
+  });
+
+  test("a bump during the countdown cancels it and starts the quiet period again", () => {
+    const { clock, calls, idle } = setup();
+    idle.bump(10000, 5000);
+    clock.advance(11000);
+    assert.deepEqual(calls, [5, 4]);
+    idle.bump(10000, 5000);
+    clock.advance(9999);
+    assert.deepEqual(calls, [5, 4]);
+    clock.advance(1);
+    assert.deepEqual(calls, [5, 4, 5]);
+  });
+
+  test("resets straight away when there is no warning", () => {
+    const { clock, calls, idle } = setup();
+    idle.bump(10000);
+    clock.advance(10000);
+    assert.deepEqual(calls, ["reset"]);
+  });
+
+  test("rounds a part-second warning up", () => {
+    const { clock, calls, idle } = setup();
+    idle.bump(1000, 1500);
+    clock.advance(1000);
+    assert.deepEqual(calls, [2]);
+  });
+
+  test("stop() cancels everything", () => {
+    const { clock, calls, idle } = setup();
+    idle.bump(1000, 5000);
+    clock.advance(1500);
+    idle.stop();
+    clock.advance(60000);
+    assert.deepEqual(calls, [5]);
+    assert.equal(clock.pending(), 0);
+  });
+});
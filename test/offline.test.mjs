@@ -0,0 +1,146 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+
+import { DEVICES_FILE } from "../lib/devices.mjs";
+import { PRODUCT_META } from "../lib/products.mjs";
+import { precacheUrls } from "../lib/offline.mjs";
+
+describe("precacheUrls", () => {
+  const urls = precacheUrls({
+    devices: { a: { attract: { image: "/attract/a.jpg" } } },
+    publicFiles: ["/icons/energy.svg"],
+  });
+
+  test("covers the quiz JSON, device profiles, product images and icons", () => {
+    ["/boots_quiz_questions.json", "/boots_quiz_weights.json", "/boots_quiz_rules.json", "/boots_results_content.json"].forEach(
+      (u) => assert.ok(urls.includes(u), u)
+    );
+    assert.ok(urls.includes(DEVICES_FILE));
+    assert.ok(urls.includes(`/${PRODUCT_META.Eic.images.pack}`));
+    assert.ok(urls.includes("/icons/energy.svg"));
+    assert.ok(urls.includes("/attract/a.jpg"));
+    assert.ok(urls.includes("/formula-code-bg.png"));
+  });
+
+  test("lists each file once and skips other origins", () => {
+    assert.equal(new Set(urls).size, urls.length);
+    const withCdn = precacheUrls({ publicFiles: ["https://cdn.example.com/x.png", "//cdn.example.com/y.png"] });
+    assert.ok(!withCdn.some((u) => u.includes("cdn.example.com")));
+  });
+});
+
+describe("service worker", () => {
+  const ORIGIN = "https://quiz.example.com";
+
+  // Just enough of the Cache / Clients / fetch APIs to run public/nourished-quiz-sw.js
+  function loadWorker({ clients = {} } = {}) {
+    const store = new Map(); // cache name → Map(url → body)
+    const server = new Map([[`${ORIGIN}/api/precache`, JSON.stringify({ urls: ["/boots_quiz_questions.json", "https://cdn.example.com/x.png"] })]]);
+    const net = { online: true, requests: [] };
+    const listeners = {};
+    const abs = (req) => new URL(typeof req === "string" ? req : req.url, ORIGIN).href;
+    const res = (body, status = 200) => ({ ok: status < 400, status, body, json: async () => JSON.parse(body), clone: () => res(body, status) });
+
+    const cacheFor = (name) => {
+      if (!store.has(name)) store.set(name, new Map());
+      const entries = store.get(name);
+      return {
+        put: async (req, r) => void entries.set(abs(req), r.body),
+        match: async (req, opts = {}) => {
+          const key = abs(req);
+          if (entries.has(key)) return res(entries.get(key));
+          if (opts.ignoreSearch) {
+            const bare = key.split("?")[0];
+            const hit = [...entries.keys()].find((k) => k.split("?")[0] === bare);
+            if (hit) return res(entries.get(hit));
+          }
+          return undefined;
+        },
+      };
+    };
+    const caches = {
+      open: async (name) => cacheFor(name),
+      keys: async () => [...store.keys()],
+      delete: async (name) => store.delete(name),
+      match: async (req, opts) => {
+        for (const name of store.keys()) {
+          const hit = await cacheFor(name).match(req, opts);
+          if (hit) return hit;
+        }
+        return undefined;
+      },
+    };
+    const fetch = async (req) => {
+      const url = abs(req);
+      net.requests.push(url);
+      if (!net.online) throw new TypeError("Failed to fetch");
+      return server.has(url) ? res(server.get(url)) : res("not found", 404);
+    };
+    const self = {
+      location: { href: `${ORIGIN}/nourished-quiz-sw.js`, origin: ORIGIN },
+      addEventListener: (type, fn) => (listeners[type] = fn),
+      skipWaiting: async () => {},
+      clients: { claim: async () => {}, get: async (id) => (clients[id] ? { url: clients[id] } : undefined) },
+    };
+    const Response = { error: () => res("network error", 0) };
+    const src = readFileSync(new URL("../public/nourished-quiz-sw.js", import.meta.url), "utf8");
+    vm.runInNewContext(src, { self, caches, fetch, URL, Response, Promise });
+
+    // Dispatch an event and wait for everything it asked to wait for
+    async function dispatch(type, init = {}) {
+      const waits = [];
+      let response;
+      listeners[type]({ ...init, waitUntil: (p) => waits.push(p), respondWith: (p) => (response = p) });
+      const out = await response;
+      await Promise.all(waits);
+      return out;
+    }
+    const request = (url, extra = {}) => ({ url: abs(url), method: "GET", mode: "cors", ...extra });
+
+    return { server, net, store, dispatch, request };
+  }
+
+  test("precaches the manifest on install, same-origin files only", async () => {
+    const w = loadWorker();
+    w.server.set(`${ORIGIN}/boots_quiz_questions.json`, "[1]");
+    await w.dispatch("install");
+    const [entries] = [...w.store.values()];
+    assert.deepEqual([...entries.keys()], [`${ORIGIN}/boots_quiz_questions.json`]);
+  });
+
+  test("kiosk pages get cached quiz JSON offline, and it refreshes in the background online", async () => {
+    const w = loadWorker({ clients: { k: `${ORIGIN}/?kiosk=1&device=a` } });
+    w.server.set(`${ORIGIN}/boots_quiz_questions.json`, "v1");
+    await w.dispatch("install");
+
+    w.server.set(`${ORIGIN}/boots_quiz_questions.json`, "v2");
+    const first = await w.dispatch("fetch", { request: w.request("/boots_quiz_questions.json"), clientId: "k" });
+    assert.equal(first.body, "v1"); // served from cache…
+    w.net.online = false;
+    const second = await w.dispatch("fetch", { request: w.request("/boots_quiz_questions.json"), clientId: "k" });
+    assert.equal(second.body, "v2"); // …which the first request refreshed
+  });
+
+  test("kiosk pages fall back to their last copy offline", async () => {
+    const w = loadWorker();
+    w.server.set(`${ORIGIN}/?kiosk=1&device=a`, "<html>");
+    const nav = (url) => w.dispatch("fetch", { request: w.request(url, { mode: "navigate" }) });
+    assert.equal((await nav("/?kiosk=1&device=a")).body, "<html>");
+    w.net.online = false;
+    assert.equal((await nav("/?kiosk=1&device=a")).body, "<html>");
+    assert.equal((await nav("/?kiosk=1&device=b")).body, "<html>");
+  });
+
+  test("leaves online pages, API calls and other origins alone", async () => {
+    const w = loadWorker({ clients: { o: `${ORIGIN}/?context=boots` } });
+    assert.equal(await w.dispatch("fetch", { request: w.request("/?context=boots", { mode: "navigate" }) }), undefined);
+    assert.equal(await w.dispatch("fetch", { request: w.request("/api/events", { method: "POST" }) }), undefined);
+    assert.equal(await w.dispatch("fetch", { request: w.request("https://cdn.example.com/x.png") }), undefined);
+
+    w.server.set(`${ORIGIN}/boots_quiz_questions.json`, "[]");
+    await w.dispatch("fetch", { request: w.request("/boots_quiz_questions.json"), clientId: "o" });
+    assert.equal(w.store.size, 0); // fetched, never cached
+  });
+});
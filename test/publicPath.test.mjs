@@ -0,0 +1,19 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { isExternal, publicPath } from "../lib/publicPath.mjs";
+
+describe("publicPath", () => {
+  test("roots /public paths however the config wrote them", () => {
+    assert.equal(publicPath("products/Eic-1.png"), "/products/Eic-1.png");
+    assert.equal(publicPath("/products/Eic-1.png"), "/products/Eic-1.png");
+    assert.equal(publicPath(""), null);
+    assert.equal(publicPath(undefined), null);
+  });
+
+  test("leaves absolute URLs alone", () => {
+    assert.equal(publicPath("https://cdn.example/eic.png"), "https://cdn.example/eic.png");
+    assert.equal(publicPath("//cdn.example/eic.png"), "//cdn.example/eic.png");
+    assert.equal(isExternal("/products/Eic-1.png"), false);
+  });
+});
@@ -0,0 +1,191 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { MAX_VERSION, encodeQr, errorCorrection, formatBits, qrSvgPath, versionBits } from "../lib/qr.mjs";
+
+// ---- a minimal reader, written from the spec rather than from the encoder, to round-trip codes
+
+function gfMul(x, y) {
+  let z = 0;
+  for (let i = 0; i < 8; i++) {
+    if ((y >>> i) & 1) z ^= x << i;
+  }
+  for (let i = 15; i >= 8; i--) if ((z >>> i) & 1) z ^= 0x11d << (i - 8);
+  return z;
+}
+
+// A codeword block is valid when the message polynomial vanishes at α^0 … α^(ec-1)
+function syndromesZero(block, ec) {
+  let alpha = 1;
+  for (let i = 0; i < ec; i++) {
+    const value = block.reduce((acc, c) => gfMul(acc, alpha) ^ c, 0);
+    if (value !== 0) return false;
+    alpha = gfMul(alpha, 2);
+  }
+  return true;
+}
+
+// Function-pattern areas for a version, built independently of the encoder
+function functionAreas(version) {
+  const size = version * 4 + 17;
+  const fn = Array.from({ length: size }, () => new Array(size).fill(false));
+  const mark = (x0, y0, w, h) => {
+    for (let y = y0; y < y0 + h; y++) for (let x = x0; x < x0 + w; x++) if (x >= 0 && y >= 0 && x < size && y < size) fn[y][x] = true;
+  };
+  mark(0, 0, 9, 9);
+  mark(size - 8, 0, 8, 9);
+  mark(0, size - 8, 9, 8);
+  mark(6, 0, 1, size);
+  mark(0, 6, size, 1);
+  const align = { 1: [], 2: [6, 18], 3: [6, 22], 4: [6, 26], 5: [6, 30], 6: [6, 34], 7: [6, 22, 38], 8: [6, 24, 42], 9: [6, 26, 46], 10: [6, 28, 50] }[version];
+  const last = align[align.length - 1];
+  align.forEach((cy) =>
+    align.forEach((cx) => {
+      if ((cx === 6 && cy === 6) || (cx === 6 && cy === last) || (cx === last && cy === 6)) return; // finder corners
+      mark(cx - 2, cy - 2, 5, 5);
+    })
+  );
+  if (version >= 7) {
+    mark(size - 11, 0, 3, 6);
+    mark(0, size - 11, 6, 3);
+  }
+  return fn;
+}
+
+function readFormat(modules) {
+  let bits = 0;
+  for (let i = 0; i <= 5; i++) bits |= (modules[i][8] ? 1 : 0) << i;
+  bits |= (modules[7][8] ? 1 : 0) << 6;
+  bits |= (modules[8][8] ? 1 : 0) << 7;
+  bits |= (modules[8][7] ? 1 : 0) << 8;
+  for (let i = 9; i < 15; i++) bits |= (modules[8][14 - i] ? 1 : 0) << i;
+  return bits;
+}
+
+const MASK_TESTS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// Block layout for the versions the tests use: [ec, ...data codewords per block]
+const LAYOUT = {
+  "1M": [10, 16],
+  "2M": [16, 28],
+  "3M": [26, 44],
+  "4M": [18, 32, 32],
+  "5Q": [18, 15, 15, 16, 16],
+  "6M": [16, 27, 27, 27, 27],
+  "7M": [18, 31, 31, 31, 31],
+};
+
+function decode(qr) {
+  const { modules, version, size } = qr;
+  const format = readFormat(modules);
+  const mask = [0, 1, 2, 3, 4, 5, 6, 7].find((m) => formatBits(qr.level, m) === format);
+  assert.notEqual(mask, undefined, "format bits match the level and one mask");
+
+  const fn = functionAreas(version);
+  const bits = [];
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let v = 0; v < size; v++) {
+      const y = upward ? size - 1 - v : v;
+      for (const x of [right, right - 1]) {
+        if (!fn[y][x]) bits.push(modules[y][x] !== MASK_TESTS[mask](x, y) ? 1 : 0);
+      }
+    }
+  }
+  const codewords = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((a, b) => (a << 1) | b, 0));
+
+  const [ec, ...sizes] = LAYOUT[`${version}${qr.level}`];
+  const blocks = sizes.map(() => []);
+  let at = 0;
+  for (let i = 0; i < Math.max(...sizes); i++) sizes.forEach((n, b) => i < n && blocks[b].push(codewords[at++]));
+  const data = blocks.flat();
+  for (let i = 0; i < ec; i++) blocks.forEach((b) => b.push(codewords[at++]));
+  blocks.forEach((b) => assert.ok(syndromesZero(b, ec), "every block passes its error-correction check"));
+
+  // byte mode header, then the bytes
+  const stream = data.flatMap((c) => [7, 6, 5, 4, 3, 2, 1, 0].map((i) => (c >>> i) & 1));
+  const read = (n) => stream.splice(0, n).reduce((a, b) => (a << 1) | b, 0);
+  assert.equal(read(4), 0b0100);
+  const length = read(version < 10 ? 8 : 16);
+  return new TextDecoder().decode(Uint8Array.from({ length }, () => read(8)));
+}
+
+describe("errorCorrection", () => {
+  test("matches the published HELLO WORLD 1-M example", () => {
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    assert.deepEqual(errorCorrection(data, 10), [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  });
+});
+
+describe("format and version bits", () => {
+  test("match the spec tables", () => {
+    assert.equal(formatBits("M", 0), 0b101010000010010);
+    assert.equal(formatBits("L", 0), 0b111011111000100);
+    assert.equal(formatBits("L", 1), 0b111001011110011);
+    assert.equal(formatBits("Q", 0), 0b011010101011111);
+    assert.equal(formatBits("H", 0), 0b001011010001001);
+    assert.equal(versionBits(7), 0b000111110010010100);
+  });
+});
+
+describe("encodeQr", () => {
+  test("picks the smallest version that fits", () => {
+    assert.equal(encodeQr("HELLO").version, 1);
+    assert.equal(encodeQr("HELLO").size, 21);
+    assert.equal(encodeQr("x".repeat(15)).version, 2); // 1-M holds 14 bytes
+    assert.equal(encodeQr("x".repeat(14)).version, 1);
+  });
+
+  test("draws finders, timing lines and the dark module", () => {
+    const { modules, size } = encodeQr("https://example.com/result/1.boots.eic");
+    const finderRow = [true, true, true, true, true, true, true, false];
+    assert.deepEqual(modules[0].slice(0, 8), finderRow);
+    assert.deepEqual(modules[0].slice(size - 8).reverse(), finderRow);
+    assert.deepEqual(modules[size - 1].slice(0, 8), finderRow);
+    for (let i = 8; i < size - 8; i++) assert.equal(modules[6][i], i % 2 === 0);
+    assert.equal(modules[size - 8][8], true);
+  });
+
+  for (const [text, level] of [
+    ["HELLO WORLD", "M"],
+    ["https://quiz.nourished.com/result/1.boots.eic.mjb.rnp", "M"],
+    ["Crème brûlée ✓ — UTF-8", "M"],
+    ["x".repeat(60), "Q"],
+    ["y".repeat(110), "M"], // version 7: carries version information
+    ["https://quiz.nourished.com/result/1.direct.hpes.eic.mjb.rnp?utm_source=kiosk&utm_medium=qr&utm_campaign=x", "M"],
+  ]) {
+    test(`round-trips ${JSON.stringify(text.slice(0, 24))}… at level ${level} with every mask`, () => {
+      for (let mask = 0; mask < 8; mask++) {
+        const qr = encodeQr(text, { level, mask });
+        assert.ok(LAYOUT[`${qr.version}${level}`], `test layout covers version ${qr.version}`);
+        assert.equal(decode(qr), text);
+      }
+      assert.equal(decode(encodeQr(text, { level })), text);
+    });
+  }
+
+  test("throws when the text can't fit", () => {
+    assert.throws(() => encodeQr("x".repeat(500)), RangeError);
+    assert.throws(() => encodeQr("x", { level: "Z" }), RangeError);
+    assert.equal(MAX_VERSION, 10);
+  });
+});
+
+describe("qrSvgPath", () => {
+  test("draws one square per dark module inside the quiet zone", () => {
+    const qr = { modules: [[true, false], [false, true]] };
+    assert.equal(qrSvgPath(qr), "M4 4h1v1h-1zM5 5h1v1h-1z");
+    assert.equal(qrSvgPath(qr, 0), "M0 0h1v1h-1zM1 1h1v1h-1z");
+  });
+});
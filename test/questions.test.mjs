@@ -0,0 +1,154 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import {
+  nextVisibleStep,
+  normalizeQuestions,
+  prevVisibleStep,
+  progressForStep,
+  pruneHiddenAnswers,
+  visibleQuestions,
+} from "../lib/questions.mjs";
+import { scoreQuiz } from "../lib/scoring.mjs";
+
+const readJson = (file) => JSON.parse(readFileSync(new URL(`../public/${file}`, import.meta.url), "utf8"));
+
+const questions = normalizeQuestions(readJson("boots_quiz_questions.json"));
+const weights = readJson("boots_quiz_weights.json");
+
+const SPECIFIC = "diet_do_you_follow_a_specific_diet";
+const WHICH = "diet_which_diet";
+const stepOf = (qid) => questions.findIndex((q) => q.id === qid) + 1;
+
+describe("normalizeQuestions", () => {
+  test("keeps ids, labels and sublabels from object options", () => {
+    const [q] = normalizeQuestions([{ id: "x", options: [{ id: "a", label: "A", sublabel: "e.g. aa" }] }]);
+    assert.deepEqual(q.answers, [{ id: "a", label: "A", sublabel: "e.g. aa" }]);
+  });
+
+  test("splits string options into label and sublabel", () => {
+    const [q] = normalizeQuestions([{ id: "x", options: "Classes (yoga); Other" }]);
+    assert.deepEqual(q.answers, [
+      { id: "Classes (yoga)", label: "Classes", sublabel: "e.g. yoga" },
+      { id: "Other", label: "Other", sublabel: null },
+    ]);
+  });
+
+  test("infers sliders from min/max labels", () => {
+    const [q] = normalizeQuestions([{ id: "x", minLabel: "Low", maxLabel: "High" }]);
+    assert.equal(q.type, "slider");
+    assert.equal(q.required, false);
+  });
+
+  test("declares widgets, defaulting from the question type", () => {
+    const byId = Object.fromEntries(questions.map((q) => [q.id, q]));
+    assert.equal(byId.age_how_old_are_you.widget, "icon-tiles");
+    assert.equal(byId.gender_are_you.iconSet, "gender");
+    assert.equal(byId.feeling_activity_levels.widget, "slider");
+    assert.deepEqual(
+      [byId.exercise_when_you_exercise_what_do_you_do.widget, byId.exercise_when_you_exercise_what_do_you_do.maxSelect],
+      ["multi-tiles", 2]
+    );
+    assert.equal(byId.health_which_of_the_below_are_your_top_two_prior.widget, "ranked-priority");
+    const processed = byId.diet_how_often_do_you_consume_processed_food_in_;
+    assert.equal(processed.widget, "icon-tiles");
+    assert.equal(processed.title, "How often do you eat processed foods in a typical day?");
+    assert.match(processed.helperText, /^For example: ready meals/);
+
+    const [multi, chips, unknown, slider] = normalizeQuestions([
+      { id: "a", type: "multi", options: ["X", "Y"] },
+      { id: "b", type: "multi", widget: "Chips", maxSelect: "3", iconSet: "none", options: ["X"] },
+      { id: "c", widget: "carousel", maxSelect: 0, iconSet: "emoji", helperText: "  ", options: ["X"] },
+      { id: "d", widget: "slider", minLabel: "Never", maxLabel: "Always" },
+    ]);
+    assert.deepEqual([multi.widget, multi.maxSelect, multi.iconSet], ["multi-tiles", null, "answers"]);
+    assert.deepEqual([chips.widget, chips.maxSelect, chips.iconSet], ["chips", 3, "none"]);
+    assert.deepEqual([unknown.widget, unknown.maxSelect, unknown.iconSet, unknown.helperText], ["icon-tiles", null, "answers", null]);
+    assert.deepEqual([slider.type, slider.widget], ["slider", "slider"]);
+  });
+
+  test("reads selection limits, exclusive options and messages", () => {
+    const [ranked, typedMulti] = normalizeQuestions([
+      {
+        id: "a",
+        type: "multi",
+        widget: "ranked-priority",
+        minSelect: "2",
+        maxSelect: 2,
+        exclusive: "none",
+        messages: { minSelect: "Pick two.", maxSelect: 3 },
+        options: ["X", "Y", "None"],
+      },
+      { id: "b", type: "multi", widget: "icon-tiles", minSelect: -1, options: ["X"] },
+    ]);
+    assert.deepEqual([ranked.type, ranked.minSelect, ranked.maxSelect, ranked.exclusive], ["multi", 2, 2, ["none"]]);
+    assert.deepEqual(ranked.messages, { minSelect: "Pick two." });
+    // the widget decides the answer shape, whatever the raw type says
+    assert.deepEqual([typedMulti.type, typedMulti.minSelect, typedMulti.exclusive, typedMulti.messages], ["single", null, [], {}]);
+  });
+
+  test("normalises showIf/skipIf values to lists", () => {
+    const [q] = normalizeQuestions([{ id: "x", showIf: { a: "yes" }, skipIf: { b: ["1", 2] } }]);
+    assert.deepEqual(q.showIf, { a: ["yes"] });
+    assert.deepEqual(q.skipIf, { b: ["1", "2"] });
+  });
+});
+
+describe("showIf: which diet", () => {
+  test("is hidden until the respondent says they follow a diet", () => {
+    assert.ok(!visibleQuestions(questions, {}).some((q) => q.id === WHICH));
+    assert.ok(!visibleQuestions(questions, { [SPECIFIC]: "no" }).some((q) => q.id === WHICH));
+    assert.ok(visibleQuestions(questions, { [SPECIFIC]: "yes" }).some((q) => q.id === WHICH));
+  });
+
+  test("Next skips it and Back mirrors the skip", () => {
+    const answers = { [SPECIFIC]: "no" };
+    const after = nextVisibleStep(questions, answers, stepOf(SPECIFIC));
+    assert.equal(after, stepOf(WHICH) + 1);
+    assert.equal(prevVisibleStep(questions, answers, after), stepOf(SPECIFIC));
+  });
+
+  test("Next lands on it when answered yes", () => {
+    assert.equal(nextVisibleStep(questions, { [SPECIFIC]: "yes" }, stepOf(SPECIFIC)), stepOf(WHICH));
+  });
+
+  test("progress counts only visible questions", () => {
+    const no = progressForStep(questions, { [SPECIFIC]: "no" }, stepOf(WHICH) + 1);
+    const yes = progressForStep(questions, { [SPECIFIC]: "yes" }, stepOf(WHICH) + 1);
+    assert.equal(no.total, questions.length - 1);
+    assert.equal(yes.total, questions.length);
+    assert.equal(no.index, yes.index - 1);
+  });
+
+  test("switching to no drops the diet answer and its score", () => {
+    const answers = { [SPECIFIC]: "no", [WHICH]: "vegan" };
+    assert.deepEqual(pruneHiddenAnswers(questions, answers), { [SPECIFIC]: "no" });
+    assert.deepEqual(scoreQuiz({ questions, weights, answers }).tallies, {});
+    assert.deepEqual(scoreQuiz({ questions, weights, answers: { ...answers, [SPECIFIC]: "yes" } }).tallies, { Eic: 1 });
+  });
+});
+
+describe("navigation", () => {
+  const qs = normalizeQuestions([
+    { id: "a", options: ["yes", "no"] },
+    { id: "b", options: ["x"], skipIf: { a: "no" } },
+    { id: "c", options: ["x"], showIf: { b: "x" } },
+    { id: "d", options: ["x"] },
+  ]);
+
+  test("chained conditions: hiding b also hides c", () => {
+    const answers = { a: "no", b: "x", c: "x" };
+    assert.deepEqual(visibleQuestions(qs, answers).map((q) => q.id), ["a", "d"]);
+    assert.deepEqual(pruneHiddenAnswers(qs, answers), { a: "no" });
+  });
+
+  test("runs off the end into results and back from results", () => {
+    assert.equal(nextVisibleStep(qs, {}, 0), 1);
+    assert.equal(nextVisibleStep(qs, { a: "no" }, 1), 4);
+    assert.equal(nextVisibleStep(qs, {}, 4), 5);
+    assert.equal(prevVisibleStep(qs, {}, 5), 4);
+    assert.equal(prevVisibleStep(qs, { a: "no" }, 4), 1);
+    assert.equal(prevVisibleStep(qs, {}, 1), 0);
+  });
+});
@@ -0,0 +1,160 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, appendFileSync, readFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { appendEvents, eventsFile, readEvents } from "../lib/eventStore.mjs";
+import { buildReport, filterEvents } from "../lib/report.mjs";
+
+const questions = [
+  { id: "goal", title: "Goal?", type: "single", answers: [{ id: "energy", label: "Energy" }, { id: "sleep", label: "Sleep" }] },
+  { id: "tired", title: "Tired?", type: "slider", answers: [], minLabel: "Exhausted", maxLabel: "Rarely" },
+  { id: "diet", title: "Diet?", type: "single", answers: [{ id: "vegan", label: "Vegan" }] },
+];
+
+let ts = 0;
+const ev = (session, event, props = {}, extra = {}) => ({
+  event,
+  ts: ++ts,
+  session: `session-${session}`,
+  context: "boots",
+  kiosk: false,
+  device: null,
+  store: null,
+  props,
+  ...extra,
+});
+
+const events = [
+  // a: finishes, changes their goal on the way
+  ev("a", "quiz_start"),
+  ev("a", "question_view", { questionId: "goal" }),
+  ev("a", "answer", { questionId: "goal", option: "sleep" }),
+  ev("a", "answer", { questionId: "goal", option: "energy" }),
+  ev("a", "question_view", { questionId: "tired" }),
+  ev("a", "answer", { questionId: "tired", option: 1 }),
+  ev("a", "question_view", { questionId: "diet" }),
+  ev("a", "answer", { questionId: "diet", option: "vegan" }),
+  ev("a", "result", { product: "Eic", stack: ["Eic", "Rnp"], decidedBy: "score" }),
+  // b: leaves at the slider, on a kiosk
+  ev("b", "quiz_start", {}, { kiosk: true, device: "till-1", store: "store-7" }),
+  ev("b", "question_view", { questionId: "goal" }, { kiosk: true }),
+  ev("b", "answer", { questionId: "goal", option: "sleep" }, { kiosk: true }),
+  ev("b", "question_view", { questionId: "tired" }, { kiosk: true }),
+  ev("b", "abandon_idle", { step: 2, questionId: "tired", phase: "question" }, { kiosk: true }),
+  // c: goes back to the first question and leaves there, on another retailer
+  ev("c", "quiz_start", {}, { context: "direct" }),
+  ev("c", "question_view", { questionId: "goal" }, { context: "direct" }),
+  ev("c", "answer", { questionId: "goal", option: "retired_option" }, { context: "direct" }),
+  ev("c", "question_view", { questionId: "tired" }, { context: "direct" }),
+  ev("c", "back", { fromQuestionId: "tired", toQuestionId: "goal" }, { context: "direct" }),
+  ev("c", "question_view", { questionId: "goal" }, { context: "direct" }),
+];
+
+describe("buildReport", () => {
+  test("counts starts, completions and drop-off per session", () => {
+    const r = buildReport(events, { questions });
+    assert.equal(r.starts, 3);
+    assert.equal(r.completions, 1);
+    assert.equal(r.completionRate, 1 / 3);
+    assert.equal(r.abandonedIdle, 1);
+    assert.deepEqual(r.contexts, ["boots", "direct"]);
+
+    const [goal, tired, diet] = r.questions;
+    assert.deepEqual([goal.views, goal.dropOffs], [3, 1]); // c viewed it twice, counted once
+    assert.deepEqual([tired.views, tired.dropOffs, tired.dropOffRate], [3, 1, 1 / 3]);
+    assert.deepEqual([diet.views, diet.dropOffs], [1, 0]);
+  });
+
+  test("uses each session's final answer and buckets sliders like scoring", () => {
+    const [goal, tired] = buildReport(events, { questions }).questions;
+    assert.deepEqual(
+      goal.options.map((o) => [o.id, o.count]),
+      [["energy", 1], ["sleep", 1], ["retired_option", 1]]
+    );
+    assert.equal(goal.options[2].unknown, true);
+    assert.deepEqual(tired.options.map((o) => [o.label, o.count]), [["Exhausted", 1], ["In between", 0], ["Rarely", 0]]);
+  });
+
+  test("counts a multi-select session's final list, deselects included", () => {
+    const multi = [
+      { id: "exercise", title: "Exercise?", type: "multi", answers: ["running", "weights", "yoga"].map((id) => ({ id, label: id })) },
+    ];
+    const picks = (session, ...lists) => [
+      ev(session, "quiz_start"),
+      ev(session, "question_view", { questionId: "exercise" }),
+      ...lists.map((option) => ev(session, "answer", { questionId: "exercise", option })),
+    ];
+    const [exercise] = buildReport(
+      [
+        // picks running, then weights, then deselects running
+        ...picks("m1", ["running"], ["running", "weights"], ["weights"]),
+        ...picks("m2", ["yoga"], ["yoga", "running"]),
+        ...picks("m3", ["yoga"], []), // cleared again: not answered
+      ],
+      { questions: multi }
+    ).questions;
+    assert.equal(exercise.answered, 2);
+    assert.deepEqual(
+      exercise.options.map((o) => [o.id, o.count, o.share]),
+      [["running", 1, 0.5], ["weights", 1, 0.5], ["yoga", 1, 0.5]]
+    );
+  });
+
+  test("reports recommendation and stack share per product", () => {
+    const { products } = buildReport(events, { questions });
+    const eic = products.find((p) => p.code === "Eic");
+    const rnp = products.find((p) => p.code === "Rnp");
+    assert.deepEqual([eic.recommended, eic.share, eic.inStack], [1, 1, 1]);
+    assert.deepEqual([rnp.recommended, rnp.inStack, rnp.stackShare], [0, 1, 1]);
+    assert.equal(products.find((p) => p.code === "Gsi").recommended, 0);
+  });
+
+  test("filters by kiosk and context", () => {
+    assert.equal(buildReport(events, { questions, kiosk: true }).starts, 1);
+    assert.equal(buildReport(events, { questions, store: "store-7" }).starts, 1);
+    assert.deepEqual(buildReport(events, { questions }).stores, ["store-7"]);
+    assert.equal(buildReport(events, { questions, kiosk: false, context: "boots" }).completionRate, 1);
+    assert.equal(filterEvents(events, { context: "direct" }).length, 6);
+    // the context list always covers everything stored, so the filter can switch back
+    assert.deepEqual(buildReport(events, { questions, context: "direct" }).contexts, ["boots", "direct"]);
+  });
+});
+
+describe("event store", () => {
+  test("lives under the project's data directory unless EVENTS_FILE says otherwise", () => {
+    assert.equal(eventsFile({}, "/srv/quiz"), path.resolve("/srv/quiz", "data", "events.ndjson"));
+    assert.equal(eventsFile({ EVENTS_FILE: "/var/lib/quiz/events.ndjson" }, "/srv/quiz"), "/var/lib/quiz/events.ndjson");
+    assert.equal(eventsFile({ EVENTS_FILE: "store/events.ndjson" }, "/srv/quiz"), path.resolve("/srv/quiz/store/events.ndjson"));
+  });
+
+  test("appends NDJSON and reads back only valid events", async () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), "quiz-events-"));
+    const file = path.join(dir, "events.ndjson");
+    try {
+      assert.deepEqual(await readEvents(file), { events: [], skipped: 0 });
+      await appendEvents(events.slice(0, 3), file);
+      appendFileSync(file, "not json\n{\"event\":\"purchase\"}\n");
+      const { events: back, skipped } = await readEvents(file);
+      assert.deepEqual(back, events.slice(0, 3));
+      assert.equal(skipped, 2);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("rotates the file once it reaches maxBytes, keeping one older file", async () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), "quiz-events-"));
+    const file = path.join(dir, "events.ndjson");
+    try {
+      const maxBytes = JSON.stringify(events[0]).length; // every batch fills it
+      await Promise.all([0, 1, 2].map((i) => appendEvents([events[i]], file, { maxBytes })));
+      assert.equal(readFileSync(file, "utf8").trim().split("\n").length, 1);
+      assert.equal(readFileSync(`${file}.1`, "utf8").trim().split("\n").length, 1); // the first batch is gone
+      assert.deepEqual((await readEvents(file)).events, events.slice(1, 3)); // oldest first
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,59 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { clientAddress, createRateLimiter, readBodyText } from "../lib/requestGuard.mjs";
+
+const post = (body, headers = {}) => new Request("https://quiz.example/api/events", { method: "POST", body, headers });
+
+describe("readBodyText", () => {
+  test("returns the body up to the limit", async () => {
+    assert.equal(await readBodyText(post('{"a":1}'), 7), '{"a":1}');
+    assert.equal(await readBodyText(post("héllo"), 6), "héllo"); // counted in bytes
+    assert.equal(await readBodyText(new Request("https://quiz.example/", { method: "POST" }), 10), "");
+  });
+
+  test("refuses a large declared length before reading, and stops a stream at the limit", async () => {
+    let pulled = 0;
+    const stream = () =>
+      new ReadableStream(
+        {
+          pull(controller) {
+            pulled++;
+            controller.enqueue(new Uint8Array(4));
+          },
+        },
+        { highWaterMark: 0 } // nothing is pulled until the body is read
+      );
+    const declared = new Request("https://quiz.example/", { method: "POST", body: stream(), duplex: "half", headers: { "content-length": "99" } });
+    assert.equal(await readBodyText(declared, 10), null);
+    assert.equal(pulled, 0);
+
+    const endless = new Request("https://quiz.example/", { method: "POST", body: stream(), duplex: "half" });
+    assert.equal(await readBodyText(endless, 10), null);
+    assert.equal(pulled, 3); // 12 bytes: over the limit, and no further
+    assert.equal(await readBodyText(post("héllo"), 5), null);
+  });
+});
+
+describe("clientAddress", () => {
+  test("takes the first forwarded hop, then x-real-ip", () => {
+    assert.equal(clientAddress(new Headers({ "x-forwarded-for": "203.0.113.7, 10.0.0.1" })), "203.0.113.7");
+    assert.equal(clientAddress(new Headers({ "x-real-ip": " 198.51.100.2 " })), "198.51.100.2");
+    assert.equal(clientAddress(new Headers()), "unknown");
+  });
+});
+
+describe("createRateLimiter", () => {
+  test("allows `limit` per window per id, then says when to retry", () => {
+    let t = 0;
+    const limiter = createRateLimiter({ limit: 2, windowMs: 1000, now: () => t });
+    assert.equal(limiter.take("till-1").ok, true);
+    t = 400;
+    assert.equal(limiter.take("till-1").ok, true);
+    assert.deepEqual(limiter.take("till-1"), { ok: false, retryAfterMs: 600 });
+    assert.equal(limiter.take("till-2").ok, true); // counted per id
+    t = 1000; // the first request has left the window
+    assert.equal(limiter.take("till-1").ok, true);
+    assert.equal(limiter.take("till-1").ok, false);
+  });
+});
@@ -0,0 +1,109 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { normalizeQuestions } from "../lib/questions.mjs";
+import {
+  archivedWeightsUrl,
+  decodeResultLink,
+  encodeResultLink,
+  escapeId,
+  questionKeys,
+  unescapeId,
+  weightsRevision,
+} from "../lib/resultLink.mjs";
+
+const readJson = (file) => JSON.parse(readFileSync(new URL(`../public/${file}`, import.meta.url), "utf8"));
+const questions = normalizeQuestions(readJson("boots_quiz_questions.json"));
+
+const answers = {
+  age_how_old_are_you: "56_plus",
+  gender_are_you: "female",
+  diet_do_you_follow_a_specific_diet: "no",
+  exercise_when_you_exercise_what_do_you_do: ["running", "weights"],
+  feeling_tiredness: 1,
+  feeling_sleep: 5,
+  health_which_of_the_below_are_your_top_two_prior: ["energy", "immunity"],
+};
+
+describe("encodeResultLink / decodeResultLink", () => {
+  test("round-trips single, multi and slider answers", () => {
+    const token = encodeResultLink({ context: "boots", revision: "8qzmtm", answers, questions });
+    assert.match(token, /^1~boots~8qzmtm~/);
+    assert.match(token, /^[A-Za-z0-9_~.!-]+$/); // no URL escaping needed
+    assert.ok(token.length < 120, token);
+    assert.deepEqual(decodeResultLink(token, questions), { context: "boots", revision: "8qzmtm", answers, skipped: 0 });
+  });
+
+  test("survives reordered questions", () => {
+    const token = encodeResultLink({ context: "boots", revision: "r", answers, questions });
+    assert.deepEqual(decodeResultLink(token, [...questions].reverse()).answers, answers);
+  });
+
+  test("leaves out answers whose question or option has gone", () => {
+    const token = encodeResultLink({ context: "boots", revision: "r", answers, questions });
+    const changed = questions
+      .filter((q) => q.id !== "gender_are_you")
+      .map((q) => (q.id === "age_how_old_are_you" ? { ...q, answers: q.answers.filter((a) => a.id !== "56_plus") } : q));
+    const link = decodeResultLink(token, changed);
+    assert.equal(link.skipped, 2);
+    assert.equal(link.answers.gender_are_you, undefined);
+    assert.equal(link.answers.age_how_old_are_you, undefined);
+    assert.deepEqual(link.answers.exercise_when_you_exercise_what_do_you_do, ["running", "weights"]);
+  });
+
+  test("rejects slider values out of range and tokens from other versions", () => {
+    const keys = questionKeys(questions);
+    const link = decodeResultLink(`1~boots~r~${keys.feeling_sleep}-9~${keys.feeling_tiredness}-2`, questions);
+    assert.deepEqual(link.answers, { feeling_tiredness: 2 });
+    assert.equal(link.skipped, 1);
+    assert.equal(decodeResultLink("2~boots~r", questions), null);
+    assert.equal(decodeResultLink("1~bo!zzts~r", questions), null);
+    assert.equal(decodeResultLink("", questions), null);
+    assert.equal(decodeResultLink(null, questions), null);
+  });
+
+  test("reads the context without any questions", () => {
+    const token = encodeResultLink({ context: "direct", revision: "r", answers, questions });
+    assert.equal(decodeResultLink(token).context, "direct");
+  });
+
+  test("ids with any characters round-trip", () => {
+    const qs = [{ id: "q-1", type: "single", answers: [{ id: "Yes, often ~ 5.5" }, { id: "naïve" }] }];
+    const token = encodeResultLink({ context: "x", revision: "r", answers: { "q-1": "Yes, often ~ 5.5" }, questions: qs });
+    assert.deepEqual(decodeResultLink(token, qs).answers, { "q-1": "Yes, often ~ 5.5" });
+    assert.equal(unescapeId(escapeId("naïve → ✓")), "naïve → ✓");
+    assert.equal(unescapeId("bad!"), null);
+  });
+
+  test("questions whose keys collide fall back to their full ids", () => {
+    const qs = [
+      { id: "q9298", type: "single", answers: [{ id: "a" }] },
+      { id: "q11156", type: "single", answers: [{ id: "b" }] },
+      { id: "other", type: "single", answers: [{ id: "c" }] },
+    ];
+    const keys = questionKeys(qs);
+    assert.deepEqual([keys.q9298, keys.q11156], ["q9298", "q11156"]);
+    assert.equal(keys.other.length, 4);
+    const all = { q9298: "a", q11156: "b", other: "c" };
+    assert.deepEqual(decodeResultLink(encodeResultLink({ context: "x", revision: "r", answers: all, questions: qs }), qs).answers, all);
+  });
+});
+
+describe("weightsRevision", () => {
+  test("fingerprints the parsed weights, or uses their own revision", () => {
+    const weights = { ...readJson("boots_quiz_weights.json"), revision: undefined };
+    const rev = weightsRevision(weights);
+    assert.match(rev, /^[0-9a-z]{6}$/);
+    assert.equal(weightsRevision(JSON.parse(JSON.stringify(weights, null, 4))), rev);
+    assert.notEqual(weightsRevision({ ...weights, tieBreakQuestion: null }), rev);
+    assert.equal(weightsRevision({ ...weights, revision: "2026_spring" }), "2026_spring");
+    assert.equal(weightsRevision(null), null);
+  });
+
+  test("the shipped weights are archived, so links made with them can be pinned", () => {
+    const weights = readJson("boots_quiz_weights.json");
+    const archived = readJson(archivedWeightsUrl(weightsRevision(weights)).replace(/^\//, ""));
+    assert.deepEqual(archived, weights);
+  });
+});
@@ -0,0 +1,68 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { BOOTS_URLS } from "../lib/products.mjs";
+import {
+  DEFAULT_RETAILER,
+  RETAILERS,
+  isKnownRetailer,
+  productUrlFor,
+  retailerCopy,
+  retailerFor,
+} from "../lib/retailers.mjs";
+
+describe("retailerFor", () => {
+  test("missing and unknown contexts fall back to the default retailer", () => {
+    assert.equal(retailerFor().id, DEFAULT_RETAILER);
+    assert.equal(retailerFor("nowhere").id, DEFAULT_RETAILER);
+    assert.equal(retailerFor("DIRECT").id, "direct");
+    assert.equal(isKnownRetailer("nowhere"), false);
+    assert.equal(isKnownRetailer("boots"), true);
+  });
+
+  test("profiles are merged over neutral defaults, not over another retailer", () => {
+    const direct = retailerFor("direct");
+    assert.equal(direct.productUrls, null);
+    assert.equal(direct.copy.shelf, null);
+    assert.equal(direct.copy.view, "View product");
+    assert.equal(direct.files.questions, "/boots_quiz_questions.json");
+  });
+
+  test("a new partner is just config", () => {
+    const retailers = {
+      ...RETAILERS,
+      acme: {
+        name: "Acme",
+        files: { content: "/acme_results_content.json" },
+        productUrlTemplate: "https://acme.example/p/{sku}",
+        theme: { accent: "#000" },
+        cta: { autoRedirect: true },
+      },
+    };
+    const acme = retailerFor("acme", retailers);
+    assert.equal(acme.files.content, "/acme_results_content.json");
+    assert.equal(acme.files.weights, "/boots_quiz_weights.json");
+    assert.equal(acme.theme.accent, "#000");
+    assert.equal(acme.theme.accentText, "#153247");
+    assert.equal(acme.cta.autoRedirect, true);
+    assert.equal(productUrlFor(acme, "Eic"), "https://acme.example/p/EIC");
+  });
+});
+
+describe("product links", () => {
+  test("Boots uses BOOTS_URLS; a template fills in {code} and {sku}", () => {
+    assert.equal(productUrlFor(retailerFor("boots"), "Eic"), BOOTS_URLS.EIC);
+    assert.equal(productUrlFor(retailerFor("boots"), "Zed"), null);
+    assert.equal(productUrlFor(retailerFor("direct"), "Hpes"), null); // no confirmed shop URL yet
+    assert.equal(productUrlFor({ productUrlTemplate: "https://shop.example/p/{code}?sku={sku}" }, "Hpes"), "https://shop.example/p/hpes?sku=HPES");
+  });
+});
+
+describe("retailerCopy", () => {
+  test("fills placeholders and skips missing copy", () => {
+    assert.equal(retailerCopy(retailerFor("boots"), "buy", { name: "EIC" }), "Buy EIC at Boots");
+    assert.equal(retailerCopy(retailerFor("boots"), "view", {}), "View at Boots");
+    assert.equal(retailerCopy(retailerFor("direct"), "shelf", { name: "EIC" }), null);
+    assert.equal(retailerCopy(retailerFor("direct"), "buy", {}), "Shop {name}");
+  });
+});
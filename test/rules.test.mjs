@@ -0,0 +1,106 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { normalizeQuestions } from "../lib/questions.mjs";
+import { evaluateRules, loadRules } from "../lib/rules.mjs";
+import { scoreQuiz } from "../lib/scoring.mjs";
+
+const readJson = (file) => JSON.parse(readFileSync(new URL(`../public/${file}`, import.meta.url), "utf8"));
+
+const questions = normalizeQuestions(readJson("boots_quiz_questions.json"));
+const weights = readJson("boots_quiz_weights.json");
+const rules = readJson("boots_quiz_rules.json");
+
+const PRIORITIES = "health_which_of_the_below_are_your_top_two_prior";
+
+describe("shipped rules", () => {
+  test("male respondents never get HCP or HPES, and still get a result", () => {
+    const answers = { gender_are_you: "male", [PRIORITIES]: ["menopause", "menstrual"] };
+    const r = scoreQuiz({ questions, weights, answers, rules });
+    assert.deepEqual(r.tallies, {});
+    assert.deepEqual(r.excluded.sort(), ["Hcp", "Hpes"]);
+    assert.deepEqual(r.rulesApplied.map((x) => x.id), ["male-no-female-hormonal"]);
+    // nothing they scored is left, so the first product in PRODUCT_ORDER stands in
+    assert.equal(r.winner, "Eic");
+    assert.equal(r.decidedBy, "fallback");
+    assert.deepEqual(r.path, [{ stage: "fallback", candidates: ["Eic"] }]);
+  });
+
+  test("the fallback skips excluded and unavailable products, and needs some scored answer", () => {
+    const answers = { gender_are_you: "male", [PRIORITIES]: ["menopause", "menstrual"] };
+    assert.equal(scoreQuiz({ questions, weights, answers, rules, available: ["Hcp", "Epi", "Gsi"] }).winner, "Epi");
+    assert.equal(scoreQuiz({ questions, weights, answers, rules, available: ["Hcp"] }).winner, null);
+    assert.equal(scoreQuiz({ questions, weights, answers: {}, rules }).winner, null);
+  });
+
+  test("next-best product wins once a hormonal formula is hidden", () => {
+    const answers = { gender_are_you: "male", age_how_old_are_you: "56_plus", [PRIORITIES]: ["menopause", "heart"] };
+    assert.equal(scoreQuiz({ questions, weights, answers, rules }).winner, "Bmca");
+  });
+
+  test("female respondents are unaffected", () => {
+    const answers = { gender_are_you: "female", [PRIORITIES]: ["menopause", "energy"] };
+    const r = scoreQuiz({ questions, weights, answers, rules });
+    assert.equal(r.winner, "Hcp");
+    assert.deepEqual(r.rulesApplied, []);
+  });
+});
+
+describe("evaluateRules", () => {
+  const diet = [
+    {
+      id: "vegan",
+      when: { diet_do_you_follow_a_specific_diet: "yes", diet_which_diet: ["vegan", "vegetarian"] },
+      veto: ["Eic"],
+      reason: "contains animal-derived ingredients",
+    },
+    { id: "tired", when: { feeling_tiredness: ["min"] }, hide: ["Rnp"] },
+  ];
+
+  test("every condition must match", () => {
+    assert.deepEqual(evaluateRules(diet, { diet_which_diet: "vegan" }, questions).applied, []);
+    const r = evaluateRules(diet, { diet_do_you_follow_a_specific_diet: "yes", diet_which_diet: "vegan" }, questions);
+    assert.deepEqual(r.vetoed, ["Eic"]);
+    assert.deepEqual(r.hidden, []);
+  });
+
+  test("slider answers match min/max", () => {
+    assert.deepEqual(evaluateRules(diet, { feeling_tiredness: 2 }, questions).hidden, ["Rnp"]);
+    assert.deepEqual(evaluateRules(diet, { feeling_tiredness: 3 }, questions).hidden, []);
+  });
+
+  test("a vegan or vegetarian answer hides a product from the tallies and the result", () => {
+    const animalDerived = [{ id: "diet-animal-derived", when: { diet_which_diet: ["vegan", "vegetarian"] }, hide: ["Eic"] }];
+    const base = { diet_do_you_follow_a_specific_diet: "yes", [PRIORITIES]: ["immunity", "energy"] };
+    ["vegan", "vegetarian"].forEach((diet) => {
+      const r = scoreQuiz({ questions, weights, answers: { ...base, diet_which_diet: diet }, rules: animalDerived });
+      assert.equal(r.tallies.Eic, undefined, diet);
+      assert.equal(r.winner, "Ecp", diet);
+      assert.deepEqual(r.excluded, ["Eic"], diet);
+    });
+    const other = scoreQuiz({ questions, weights, answers: { ...base, diet_which_diet: "gluten_free" }, rules: animalDerived });
+    assert.equal(other.winner, "Eic");
+  });
+
+  test("vetoed products keep their tally but cannot win", () => {
+    const answers = { diet_do_you_follow_a_specific_diet: "yes", diet_which_diet: "vegan", [PRIORITIES]: ["immunity", "energy"] };
+    const r = scoreQuiz({ questions, weights, answers, rules: diet });
+    assert.equal(r.tallies.Eic, 2);
+    assert.equal(r.winner, "Ecp");
+    assert.deepEqual(r.excluded, ["Eic"]);
+  });
+
+  test("rules with no conditions never match", () => {
+    assert.deepEqual(evaluateRules([{ id: "all", hide: ["Eic"] }], { gender_are_you: "male" }, questions).applied, []);
+  });
+});
+
+describe("loadRules", () => {
+  test("accepts a bare array and fills defaults", () => {
+    assert.deepEqual(loadRules([{ when: { q: "a" }, veto: "Eic" }]), [
+      { id: "rule_1", when: { q: ["a"] }, hide: [], veto: ["Eic"], reason: "" },
+    ]);
+    assert.deepEqual(loadRules(null), []);
+  });
+});
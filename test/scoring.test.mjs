@@ -0,0 +1,277 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { normalizeQuestions } from "../lib/questions.mjs";
+import {
+  mapSliderNumberToOption,
+  pickWinner,
+  resolveOptionIds,
+  resolveWinner,
+  scoreAnswers,
+  scoreQuiz,
+  traceAnswers,
+} from "../lib/scoring.mjs";
+
+const readJson = (file) => JSON.parse(readFileSync(new URL(`../public/${file}`, import.meta.url), "utf8"));
+
+const questions = normalizeQuestions(readJson("boots_quiz_questions.json"));
+const weights = readJson("boots_quiz_weights.json");
+
+const PRIORITIES = "health_which_of_the_below_are_your_top_two_prior";
+
+// Answer a single weighted option the way the UI would store it
+function answerFor(question, optId) {
+  if (question.type === "slider") return optId === "min" ? 1 : 5;
+  return optId;
+}
+
+describe("weights coverage", () => {
+  for (const [qid, { options }] of Object.entries(weights.questions)) {
+    const question = questions.find((q) => q.id === qid);
+
+    test(`question exists: ${qid}`, () => {
+      assert.ok(question, `no question with id "${qid}"`);
+    });
+    if (!question) continue;
+
+    for (const [optId, codes] of Object.entries(options)) {
+      test(`${qid} → ${optId}`, () => {
+        if (question.type !== "slider") assert.ok(question.answers.some((a) => a.id === optId), `no option "${optId}"`);
+        const tallies = scoreAnswers({ [qid]: answerFor(question, optId) }, weights, questions);
+        const expected = {};
+        codes.forEach((code) => (expected[code] = (expected[code] || 0) + 1));
+        assert.deepEqual(tallies, expected);
+      });
+    }
+  }
+});
+
+describe("recommendation routes", () => {
+  // Known answer profiles and where they land. If a weights change moves one of these,
+  // update the expectation deliberately in the same PR.
+  const ROUTES = [
+    {
+      name: "older, heart health first",
+      answers: { age_how_old_are_you: "56_plus", [PRIORITIES]: ["heart", "bone_joint"] },
+      winner: "Bmca",
+      decidedBy: "score",
+    },
+    {
+      name: "exhausted, wants energy",
+      answers: { feeling_tiredness: 1, [PRIORITIES]: ["energy", "immunity"] },
+      winner: "Ecp",
+      decidedBy: "score",
+    },
+    {
+      name: "runner, very active",
+      answers: {
+        exercise_when_you_exercise_what_do_you_do: ["running", "crossfit"],
+        feeling_activity_levels: 5,
+        [PRIORITIES]: ["performance", "heart"],
+      },
+      winner: "Mjb",
+      decidedBy: "score",
+    },
+    {
+      name: "inactive with energy dips",
+      answers: {
+        feeling_activity_levels: 1,
+        diet_during_the_day_do_you_get_hungry_or_have_en: "yes",
+        [PRIORITIES]: ["weight", "energy"],
+      },
+      winner: "Meca",
+      decidedBy: "score",
+    },
+    {
+      name: "poor sleep and screens, focus first",
+      answers: { feeling_sleep: 1, feeling_screen_time: 5, [PRIORITIES]: ["focus_memory", "rest"] },
+      winner: "Cpe",
+      decidedBy: "priority",
+    },
+    {
+      name: "gut first, skin second",
+      answers: { [PRIORITIES]: ["gut", "skin"] },
+      winner: "Gsi",
+      decidedBy: "priority",
+    },
+    {
+      name: "tie with no priority falls back to product order",
+      answers: { feeling_sleep: 1, feeling_screen_time: 5 },
+      winner: "Cpe",
+      decidedBy: "order",
+    },
+    {
+      name: "no weighted answers",
+      answers: { gender_are_you: "female" },
+      winner: null,
+      decidedBy: null,
+    },
+  ];
+
+  for (const route of ROUTES) {
+    test(route.name, () => {
+      const result = scoreQuiz({ questions, weights, answers: route.answers });
+      assert.equal(result.winner, route.winner);
+      assert.equal(result.decidedBy, route.decidedBy);
+    });
+  }
+});
+
+describe("scoreAnswers", () => {
+  test("ignores answers keyed by title", () => {
+    assert.deepEqual(scoreAnswers({ "How old are you?": "56_plus" }, weights, questions), {});
+  });
+
+  test("tolerates option labels in place of ids", () => {
+    assert.deepEqual(scoreAnswers({ age_how_old_are_you: "56+" }, weights, questions), { Bmca: 1 });
+  });
+
+  test("scores multi-select option ids", () => {
+    const tallies = scoreAnswers({ exercise_when_you_exercise_what_do_you_do: ["running", "none"] }, weights, questions);
+    assert.deepEqual(tallies, { Mjb: 1, Meca: 1 });
+  });
+
+  test("slider midpoint contributes nothing", () => {
+    assert.deepEqual(scoreAnswers({ feeling_activity_levels: 3 }, weights, questions), {});
+  });
+
+  test("slider weights from a one-key legacy map fire at both ends, as in the original quiz", () => {
+    assert.deepEqual(scoreAnswers({ feeling_tiredness: 1 }, weights, questions), { Ecp: 1 });
+    assert.deepEqual(scoreAnswers({ feeling_tiredness: 5 }, weights, questions), { Ecp: 1 });
+  });
+
+  test("unknown answers score nothing", () => {
+    assert.deepEqual(scoreAnswers({ age_how_old_are_you: "Under 18" }, weights, questions), {});
+  });
+});
+
+describe("numeric weights", () => {
+  const qs = [
+    { id: "age", type: "single", answers: [{ id: "old", label: "56+" }, { id: "young", label: "18-25" }] },
+    { id: "goal", type: "single", answers: [{ id: "energy", label: "Energy" }, { id: "skin", label: "Skin" }] },
+    { id: "tired", type: "slider", answers: [] },
+  ];
+  const w = {
+    version: 2,
+    tieBreakQuestion: "goal",
+    questions: {
+      age: { options: { old: { Bmca: 1.5, Hpes: -2 }, young: ["Eic", "Eic"] } },
+      goal: { multiplier: 3, options: { energy: { Ecp: 1 }, skin: { Spe: 0.5, Ecp: -0.5 } } },
+      tired: { options: { min: { Ecp: 0.1 }, max: { Ecp: 0.2 } } },
+    },
+  };
+
+  test("adds per-product scores, including fractions and negatives", () => {
+    assert.deepEqual(scoreAnswers({ age: "old" }, w, qs), { Bmca: 1.5, Hpes: -2 });
+  });
+
+  test("lists still count 1 per entry", () => {
+    assert.deepEqual(scoreAnswers({ age: "young" }, w, qs), { Eic: 2 });
+  });
+
+  test("question multiplier scales every score it adds", () => {
+    assert.deepEqual(scoreAnswers({ goal: "skin" }, w, qs), { Spe: 1.5, Ecp: -1.5 });
+  });
+
+  test("a priority can outweigh a lifestyle signal", () => {
+    const r = scoreQuiz({ questions: qs, weights: w, answers: { age: "old", goal: "energy" } });
+    assert.deepEqual(r.tallies, { Bmca: 1.5, Hpes: -2, Ecp: 3 });
+    assert.equal(r.winner, "Ecp");
+  });
+
+  test("float noise doesn't split a tie", () => {
+    const t = scoreAnswers(
+      { a: "x", b: "x" },
+      { version: 2, questions: { a: { options: { x: { P: 0.1 } } }, b: { options: { x: { P: 0.2, Q: 0.3 } } } } },
+      []
+    );
+    assert.equal(t.P, t.Q);
+  });
+
+  test("trace records each answer's points per product, after the multiplier", () => {
+    assert.deepEqual(traceAnswers({ age: "old", goal: "skin" }, w, qs), [
+      { question: "age", option: "old", code: "Bmca", points: 1.5 },
+      { question: "age", option: "old", code: "Hpes", points: -2 },
+      { question: "goal", option: "skin", code: "Spe", points: 1.5 },
+      { question: "goal", option: "skin", code: "Ecp", points: -1.5 },
+    ]);
+  });
+
+  test("scoreQuiz contributions sum to its tallies", () => {
+    const r = scoreQuiz({ questions: qs, weights: w, answers: { age: "young", goal: "energy", tired: 1 } });
+    const sums = {};
+    r.contributions.forEach(({ code, points }) => (sums[code] = Math.round(((sums[code] || 0) + points) * 1e6) / 1e6));
+    assert.deepEqual(sums, r.tallies);
+  });
+
+  test("only available products can be recommended; the rest stay in the tallies", () => {
+    const r = scoreQuiz({ questions: qs, weights: w, answers: { age: "old", goal: "energy" }, available: ["Bmca", "Eic"] });
+    assert.equal(r.winner, "Bmca");
+    assert.equal(r.tallies.Ecp, 3);
+    assert.ok(r.excluded.includes("Ecp"));
+    assert.ok(r.unavailable.includes("Ecp") && !r.unavailable.includes("Bmca"));
+    assert.deepEqual(scoreQuiz({ questions: qs, weights: w, answers: { age: "old" } }).unavailable, []);
+  });
+
+  test("all-negative tallies have no winner", () => {
+    assert.equal(pickWinner({ Hpes: -2, Ecp: -1 }), null);
+  });
+
+  test("tie-break only prefers products the priority scores positively", () => {
+    const r = resolveWinner({ Spe: 2, Ecp: 2 }, { goal: "skin" }, w, qs);
+    assert.equal(r.winner, "Spe");
+    assert.equal(r.decidedBy, "priority");
+  });
+});
+
+describe("mapSliderNumberToOption", () => {
+  test("buckets 1..2 to min, 4..5 to max and 3 to nothing", () => {
+    assert.equal(mapSliderNumberToOption(1), "min");
+    assert.equal(mapSliderNumberToOption("2"), "min");
+    assert.equal(mapSliderNumberToOption(3), null);
+    assert.equal(mapSliderNumberToOption(5), "max");
+  });
+
+  test("rejects non-numbers", () => {
+    assert.equal(mapSliderNumberToOption("abc"), null);
+  });
+});
+
+describe("resolveOptionIds", () => {
+  const question = { id: "q", answers: [{ id: "a", label: "Apple" }, { id: "b", label: "Banana" }] };
+
+  test("normalises single, multi, label and slider answers", () => {
+    assert.deepEqual(resolveOptionIds("a", question, { a: ["X"] }), ["a"]);
+    assert.deepEqual(resolveOptionIds(["a", "Banana"], question, {}), ["a", "b"]);
+    assert.deepEqual(resolveOptionIds(4, question, {}), ["max"]);
+    assert.deepEqual(resolveOptionIds(null, question, {}), []);
+  });
+});
+
+describe("resolveWinner", () => {
+  test("no positive tallies means no winner", () => {
+    assert.deepEqual(resolveWinner({ Eic: 0 }), { winner: null, decidedBy: null, path: [] });
+    assert.equal(pickWinner({}), null);
+  });
+
+  test("highest score wins outright", () => {
+    const r = resolveWinner({ Eic: 1, Mjb: 3 });
+    assert.equal(r.winner, "Mjb");
+    assert.equal(r.decidedBy, "score");
+  });
+
+  test("first priority narrows a tie", () => {
+    const r = resolveWinner({ Eic: 2, Spe: 2 }, { [PRIORITIES]: ["skin", "immunity"] }, weights, questions);
+    assert.equal(r.winner, "Spe");
+    assert.equal(r.decidedBy, "priority");
+    assert.deepEqual(r.path.map((p) => p.stage), ["score", "priority"]);
+  });
+
+  test("product order breaks remaining ties, unknown codes last", () => {
+    const r = resolveWinner({ Zzz: 1, Mjb: 1, Eic: 1 });
+    assert.equal(r.winner, "Eic");
+    assert.equal(r.decidedBy, "order");
+    assert.deepEqual(r.path.at(-1).candidates, ["Eic", "Mjb", "Zzz"]);
+  });
+});
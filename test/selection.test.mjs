@@ -0,0 +1,95 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { normalizeQuestions } from "../lib/questions.mjs";
+import {
+  applyAnswer,
+  canSelect,
+  isSelectionFull,
+  selectionError,
+  selectionLimits,
+  selectionMessage,
+  toggleSelection,
+} from "../lib/selection.mjs";
+
+const questions = normalizeQuestions(
+  JSON.parse(readFileSync(new URL("../public/boots_quiz_questions.json", import.meta.url), "utf8"))
+);
+const byId = Object.fromEntries(questions.map((q) => [q.id, q]));
+const exercise = byId.exercise_when_you_exercise_what_do_you_do;
+const priorities = byId.health_which_of_the_below_are_your_top_two_prior;
+const processed = byId.diet_how_often_do_you_consume_processed_food_in_;
+
+describe("shipped questions", () => {
+  test("declare their limits in the JSON", () => {
+    assert.deepEqual(selectionLimits(exercise), { min: 1, max: 2 });
+    assert.deepEqual(exercise.exclusive, ["none"]);
+    assert.deepEqual(selectionLimits(priorities), { min: 2, max: 2 });
+    assert.equal(processed.type, "single"); // it was typed "multi" but always answered with one option
+  });
+});
+
+describe("toggleSelection", () => {
+  test("adds and removes, stopping at maxSelect", () => {
+    let v = toggleSelection(exercise, undefined, "running");
+    v = toggleSelection(exercise, v, "weights");
+    assert.deepEqual(v, ["running", "weights"]);
+    assert.deepEqual(toggleSelection(exercise, v, "boxing"), ["running", "weights"]);
+    assert.deepEqual(toggleSelection(exercise, v, "running"), ["weights"]);
+  });
+
+  test("an exclusive option replaces the others, and picking another drops it", () => {
+    assert.deepEqual(toggleSelection(exercise, ["running", "weights"], "none"), ["none"]);
+    assert.deepEqual(toggleSelection(exercise, ["none"], "walking"), ["walking"]);
+    assert.deepEqual(toggleSelection(exercise, ["none"], "none"), []);
+  });
+
+  test("keeps the order picked for ranked priorities", () => {
+    const v = ["immunity", "energy"].reduce((acc, id) => toggleSelection(priorities, acc, id), []);
+    assert.deepEqual(v, ["immunity", "energy"]);
+  });
+
+  test("applyAnswer toggles multi-select and stores the rest as given", () => {
+    assert.deepEqual(applyAnswer(exercise, ["running"], "walking"), ["running", "walking"]);
+    assert.equal(applyAnswer(processed, "rarely", "3_4_daily"), "3_4_daily");
+    assert.equal(applyAnswer(byId.feeling_sleep, 2, 5), 5);
+  });
+});
+
+describe("canSelect / isSelectionFull", () => {
+  test("dims the remaining tiles once full, but never the exclusive ones", () => {
+    const full = ["running", "weights"];
+    assert.equal(canSelect(exercise, full, "boxing"), false);
+    assert.equal(canSelect(exercise, full, "running"), true);
+    assert.equal(canSelect(exercise, full, "none"), true);
+    assert.equal(canSelect(exercise, ["none"], "boxing"), true);
+    assert.equal(isSelectionFull(exercise, full), true);
+    assert.equal(isSelectionFull(exercise, ["none"]), false);
+  });
+});
+
+describe("selectionError", () => {
+  test("explains what is missing", () => {
+    assert.equal(selectionError(processed, undefined), "Choose an answer to continue.");
+    assert.equal(selectionError(processed, "rarely"), null);
+    assert.equal(selectionError(exercise, []), "Choose an answer to continue.");
+    assert.equal(selectionError(exercise, ["none"]), null);
+    assert.equal(selectionError(priorities, ["energy"]), "Choose your top two priorities to continue.");
+    assert.equal(selectionError(priorities, ["energy", "rest"]), null);
+    assert.equal(selectionError(byId.feeling_sleep, undefined), null);
+  });
+
+  test("falls back to the default wording, with the limit filled in", () => {
+    const [atLeast, exactly, optional] = normalizeQuestions([
+      { id: "a", type: "multi", minSelect: 2, options: ["A", "B", "C"] },
+      { id: "b", type: "multi", minSelect: 3, maxSelect: 3, options: ["A", "B", "C"] },
+      { id: "c", type: "multi", minSelect: 0, maxSelect: 1, messages: { maxSelect: "Just the one, please." }, options: ["A", "B"] },
+    ]);
+    assert.equal(selectionError(atLeast, ["A"]), "Choose at least 2 to continue.");
+    assert.equal(selectionError(exactly, ["A"]), "Choose 3 to continue.");
+    assert.equal(selectionError(optional, []), null);
+    assert.equal(selectionError(optional, ["A", "B"]), "Just the one, please."); // e.g. prefilled by the host
+    assert.equal(selectionMessage(exercise, "maxSelect", 2), "You can choose up to 2.");
+  });
+});
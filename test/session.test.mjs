@@ -0,0 +1,97 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { normalizeQuestions } from "../lib/questions.mjs";
+import { SESSION_KEY, createSessionStore, quizVersion, resumeProgress } from "../lib/session.mjs";
+
+const readJson = (file) => JSON.parse(readFileSync(new URL(`../public/${file}`, import.meta.url), "utf8"));
+const questions = normalizeQuestions(readJson("boots_quiz_questions.json"));
+const weights = readJson("boots_quiz_weights.json");
+
+const memoryStorage = () => {
+  const data = {};
+  return {
+    data,
+    getItem: (k) => data[k] ?? null,
+    setItem: (k, v) => (data[k] = String(v)),
+    removeItem: (k) => delete data[k],
+  };
+};
+
+describe("quizVersion", () => {
+  test("changes with the questions' ids and options or the weights, not their wording", () => {
+    const version = quizVersion(questions, weights);
+    assert.match(version, /^[0-9a-z]{6}\.baseline$/); // the shipped weights name their revision
+    assert.equal(quizVersion(questions.map((q) => ({ ...q, title: `${q.title}!` })), weights), version);
+    assert.notEqual(quizVersion(questions.slice(1), weights), version);
+    const fewerOptions = questions.map((q, i) => (i === 0 ? { ...q, answers: q.answers.slice(1) } : q));
+    assert.notEqual(quizVersion(fewerOptions, weights), version);
+    assert.notEqual(quizVersion(questions, { ...weights, revision: "next" }), version);
+    assert.equal(quizVersion([], weights), null);
+    assert.equal(quizVersion(questions, null), null); // weights not loaded yet
+  });
+});
+
+describe("createSessionStore", () => {
+  const progress = { version: "abc.def", context: "boots", step: 3, answers: { age_how_old_are_you: "56_plus" } };
+
+  test("saves and loads progress for the same version and context", () => {
+    const storage = memoryStorage();
+    createSessionStore({ storage }).save(progress);
+    const store = createSessionStore({ storage }); // after a reload
+    assert.deepEqual(store.load("abc.def", "boots"), { step: 3, answers: progress.answers });
+    assert.equal(store.load("abc.xyz", "boots"), null);
+    assert.equal(store.load("abc.def", "direct"), null);
+    store.clear();
+    assert.equal(storage.data[SESSION_KEY], undefined);
+    assert.equal(store.load("abc.def", "boots"), null);
+  });
+
+  test("ignores damaged entries and storage that refuses", () => {
+    const storage = memoryStorage();
+    const store = createSessionStore({ storage });
+    [
+      "{nope",
+      JSON.stringify({ ...progress, v: 99 }),
+      JSON.stringify({ v: 1, ...progress, step: 0 }),
+      JSON.stringify({ v: 1, ...progress, answers: "x" }),
+    ].forEach((raw) => {
+      storage.setItem(SESSION_KEY, raw);
+      assert.equal(store.load("abc.def", "boots"), null, raw);
+    });
+
+    const full = createSessionStore({
+      storage: { getItem: () => null, setItem: () => { throw new Error("QuotaExceededError"); }, removeItem: () => {} },
+    });
+    assert.doesNotThrow(() => full.save(progress));
+    const none = createSessionStore({ storage: null });
+    none.save(progress);
+    assert.equal(none.load("abc.def", "boots"), null);
+  });
+});
+
+describe("resumeProgress", () => {
+  const qs = normalizeQuestions([
+    { id: "diet", type: "single", answers: [{ id: "vegan" }, { id: "none" }] },
+    { id: "b12", type: "single", answers: [{ id: "yes" }], showIf: { diet: "vegan" } },
+    { id: "sleep", type: "slider", minLabel: "Poor", maxLabel: "Great" },
+  ]);
+
+  test("resumes at the saved step with the saved answers", () => {
+    assert.deepEqual(resumeProgress({ step: 2, answers: { diet: "vegan" } }, qs), { step: 2, answers: { diet: "vegan" } });
+  });
+
+  test("moves past a step that is now hidden and drops unknown or hidden answers", () => {
+    assert.deepEqual(resumeProgress({ step: 2, answers: { diet: "none", b12: "yes", gone: "x" } }, qs), {
+      step: 3,
+      answers: { diet: "none" },
+    });
+  });
+
+  test("has nothing to resume past the last question", () => {
+    assert.equal(resumeProgress({ step: 4, answers: { diet: "none" } }, qs), null);
+    assert.equal(resumeProgress(null, qs), null);
+    assert.equal(resumeProgress({ step: 1, answers: {} }, []), null);
+  });
+});
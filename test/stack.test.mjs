@@ -0,0 +1,75 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { normalizeQuestions } from "../lib/questions.mjs";
+import { scoreQuiz } from "../lib/scoring.mjs";
+import { STACK_DEFAULTS, benefitAreas, recommendStack, stackConfigFor } from "../lib/stack.mjs";
+
+const readJson = (file) => JSON.parse(readFileSync(new URL(`../public/${file}`, import.meta.url), "utf8"));
+
+const questions = normalizeQuestions(readJson("boots_quiz_questions.json"));
+const weights = readJson("boots_quiz_weights.json");
+const rules = readJson("boots_quiz_rules.json");
+
+const PRIORITIES = "health_which_of_the_below_are_your_top_two_prior";
+
+describe("benefitAreas", () => {
+  test("splits the PRODUCT_META title", () => {
+    assert.deepEqual(benefitAreas("Eic"), ["Energy", "Immunity", "Cognitive Function"]);
+    assert.deepEqual(benefitAreas("Nope"), []);
+  });
+});
+
+describe("recommendStack", () => {
+  test("no winner, no stack", () => {
+    assert.deepEqual(recommendStack({ winner: null, tallies: {} }), { primary: null, complements: [], areas: [], skipped: [] });
+  });
+
+  test("skips near-duplicates of the primary", () => {
+    // CPE and ECP cover the same three areas; EPI shares two with ECP
+    const stack = recommendStack({ winner: "Ecp", tallies: { Ecp: 3, Cpe: 3, Epi: 2, Gsi: 2 } });
+    assert.deepEqual(stack.complements.map((c) => c.code), ["Gsi"]);
+    assert.deepEqual(stack.complements[0].adds, ["Gut Health", "Skin Health", "Immunity"]);
+    assert.deepEqual(stack.skipped, [
+      { code: "Cpe", reason: "adds no new benefit area" },
+      { code: "Epi", reason: "shares 2 benefit areas with the stack" },
+    ]);
+  });
+
+  test("counts areas added by earlier complements as covered", () => {
+    const stack = recommendStack({ winner: "Mjb", tallies: { Mjb: 4, Gsi: 3, Epi: 3 } }, { maxSharedAreas: 0 });
+    // EPI and GSI tie, EPI comes first in PRODUCT_ORDER; then GSI's Immunity is already covered
+    assert.deepEqual(stack.complements.map((c) => c.code), ["Epi"]);
+    assert.deepEqual(stack.skipped, [{ code: "Gsi", reason: "shares 1 benefit area with the stack" }]);
+  });
+
+  test("caps complements and drops weak scores", () => {
+    const tallies = { Mjb: 4, Gsi: 3, Rnp: 3, Meca: 1 };
+    assert.deepEqual(recommendStack({ winner: "Mjb", tallies }).complements.map((c) => c.code), ["Rnp", "Gsi"]);
+    assert.deepEqual(recommendStack({ winner: "Mjb", tallies }, { maxComplements: 1 }).complements.map((c) => c.code), ["Rnp"]);
+    const all = recommendStack({ winner: "Mjb", tallies }, { maxComplements: 5 });
+    assert.deepEqual(all.skipped, [{ code: "Meca", reason: "score too low" }]);
+  });
+
+  test("never adds hidden or vetoed products", () => {
+    const stack = recommendStack({ winner: "Mjb", tallies: { Mjb: 4, Gsi: 3, Rnp: 3 }, excluded: ["Gsi"] });
+    assert.deepEqual(stack.complements.map((c) => c.code), ["Rnp"]);
+  });
+
+  test("works from a real scoreQuiz result", () => {
+    const answers = { gender_are_you: "male", age_how_old_are_you: "56_plus", [PRIORITIES]: ["menopause", "heart"] };
+    const stack = recommendStack(scoreQuiz({ questions, weights, answers, rules }));
+    assert.equal(stack.primary, "Bmca");
+    assert.ok(!stack.complements.some((c) => ["Hcp", "Hpes"].includes(c.code)));
+  });
+});
+
+describe("stackConfigFor", () => {
+  test("overrides individual defaults", () => {
+    const cfg = stackConfigFor({ mode: "single" });
+    assert.equal(cfg.mode, "single");
+    assert.equal(cfg.maxComplements, STACK_DEFAULTS.maxComplements);
+    assert.deepEqual(stackConfigFor(), STACK_DEFAULTS);
+  });
+});
@@ -0,0 +1,238 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readFileSync } from "node:fs";
+
+import { retailerFor } from "../lib/retailers.mjs";
+import { formatReport, validateDevices, validateQuizConfig } from "../lib/validateConfig.mjs";
+
+const publicUrl = (file) => new URL(`../public/${file}`, import.meta.url);
+const readJson = (file) => JSON.parse(readFileSync(publicUrl(file), "utf8"));
+
+const shipped = {
+  questions: readJson("boots_quiz_questions.json"),
+  weights: readJson("boots_quiz_weights.json"),
+  content: readJson("boots_results_content.json"),
+  rules: readJson("boots_quiz_rules.json"),
+};
+
+describe("validateQuizConfig", () => {
+  test("shipped config is clean", () => {
+    const report = validateQuizConfig({ ...shipped, fileExists: (src) => existsSync(publicUrl(src.replace(/^\//, ""))) });
+    assert.deepEqual(report.errors, []);
+    assert.equal(report.ok, true);
+  });
+
+  test("flags unknown widgets, icon sets and selection limits", () => {
+    const questions = structuredClone(shipped.questions);
+    const at = (id) => questions.find((q) => q.id === id);
+    at("gender_are_you").iconSet = "emoji";
+    at("exercise_when_you_exercise_what_do_you_do").widget = "carousel";
+    at("feeling_sleep").widget = "chips";
+    at("health_which_of_the_below_are_your_top_two_prior").maxSelect = "two";
+    at("age_how_old_are_you").maxSelect = 1;
+    const { errors, warnings } = validateQuizConfig({ ...shipped, questions });
+    assert.ok(errors.includes('questions: "gender_are_you" has unknown iconSet "emoji" (one of answers, gender, none)'));
+    assert.ok(errors.some((e) => e.startsWith('questions: "exercise_when_you_exercise_what_do_you_do" has unknown widget "carousel"')));
+    assert.ok(errors.includes('questions: "feeling_sleep" is a slider question and can\'t use the "chips" widget'));
+    assert.ok(errors.includes('questions: "health_which_of_the_below_are_your_top_two_prior" maxSelect should be a whole number above 0'));
+    assert.ok(warnings.includes('questions: "age_how_old_are_you" maxSelect has no effect on the icon-tiles widget'));
+  });
+
+  test("checks selection limits, exclusive options and messages", () => {
+    const questions = structuredClone(shipped.questions);
+    const at = (id) => questions.find((q) => q.id === id);
+    Object.assign(at("exercise_when_you_exercise_what_do_you_do"), { minSelect: 3, exclusive: ["nothing"] });
+    Object.assign(at("health_which_of_the_below_are_your_top_two_prior"), { minSelect: 20, maxSelect: 30, messages: { tooFew: "x" } });
+    Object.assign(at("diet_how_often_do_you_consume_processed_food_in_"), { type: "multi", widget: "icon-tiles" });
+    at("feeling_sleep").exclusive = ["min"];
+    const { errors, warnings } = validateQuizConfig({ ...shipped, questions });
+    assert.ok(errors.includes('questions: "exercise_when_you_exercise_what_do_you_do" minSelect (3) is more than maxSelect (2)'));
+    assert.ok(errors.includes('questions: "exercise_when_you_exercise_what_do_you_do" exclusive has unknown option id "nothing"'));
+    assert.ok(errors.includes('questions: "health_which_of_the_below_are_your_top_two_prior" minSelect (20) is more than its 16 options'));
+    assert.ok(
+      errors.includes('questions: "diet_how_often_do_you_consume_processed_food_in_" is typed "multi" but its icon-tiles widget takes a single answer')
+    );
+    assert.ok(warnings.some((w) => w.startsWith('questions: "health_which_of_the_below_are_your_top_two_prior" has an unknown message "tooFew"')));
+    assert.ok(warnings.includes('questions: "feeling_sleep" exclusive has no effect on the slider widget'));
+  });
+
+  test("warns when the current weights revision isn't archived", () => {
+    const weights = { ...structuredClone(shipped.weights), revision: "unarchived_1" };
+    const { warnings } = validateQuizConfig({ ...shipped, weights, fileExists: (src) => src !== "/weights/unarchived_1.json" });
+    assert.ok(warnings.some((w) => w.startsWith('weights: revision "unarchived_1" is not archived')));
+  });
+
+  test("flags weight keys that match no question or option", () => {
+    const weights = structuredClone(shipped.weights);
+    weights.questions.exercise_when_you_exercise_what_do_you_do.options.Boxing = ["Mjb"];
+    weights.questions.do_you_like_cheese = { options: { yes: ["Eic"] } };
+    const { ok, errors } = validateQuizConfig({ ...shipped, weights });
+    assert.equal(ok, false);
+    assert.ok(errors.some((e) => e.includes('"Boxing" is not one of its option ids')));
+    assert.ok(errors.some((e) => e.includes('question id "do_you_like_cheese" does not match any question')));
+  });
+
+  test("flags slider weights that are not min or max", () => {
+    const weights = structuredClone(shipped.weights);
+    weights.questions.feeling_sleep = { options: { Poorly: ["Rnp"] } };
+    const { errors } = validateQuizConfig({ ...shipped, weights });
+    assert.ok(errors.includes('weights: "feeling_sleep" → "Poorly" is not one of "min" / "max"'));
+  });
+
+  test("flags a tie-break question without weights", () => {
+    const weights = { ...structuredClone(shipped.weights), tieBreakQuestion: "gender_are_you" };
+    const { errors } = validateQuizConfig({ ...shipped, weights });
+    assert.ok(errors.includes('weights: tieBreakQuestion "gender_are_you" has no weights'));
+  });
+
+  test("accepts score maps and multipliers, flags non-numbers", () => {
+    const weights = structuredClone(shipped.weights);
+    weights.questions.age_how_old_are_you = { multiplier: 0.5, options: { "56_plus": { Bmca: 2, Hpes: -1 } } };
+    assert.deepEqual(validateQuizConfig({ ...shipped, weights }).errors, []);
+
+    weights.questions.age_how_old_are_you = { multiplier: "2", options: { "56_plus": { Bmca: "lots" }, "18_25": "Eic" } };
+    const { errors } = validateQuizConfig({ ...shipped, weights });
+    assert.ok(errors.includes('weights: "age_how_old_are_you" → "56_plus" → "Bmca" score should be a number'));
+    assert.ok(errors.includes('weights: "age_how_old_are_you" → "18_25" should be a list of product codes or a { code: score } map'));
+    assert.ok(errors.includes('weights: "age_how_old_are_you" multiplier should be a number'));
+  });
+
+  test("flags rules that refer to unknown questions, options or products", () => {
+    const rules = [
+      { id: "a", when: { gender_are_you: ["man"] }, hide: ["Hcp"] },
+      { id: "a", when: { shoe_size: ["9"] }, veto: ["Hcb"] },
+      { id: "b", when: {} },
+    ];
+    const { errors } = validateQuizConfig({ ...shipped, rules });
+    assert.ok(errors.includes('rules: "a" → "gender_are_you" has unknown option id "man"'));
+    assert.ok(errors.includes('rules: duplicate rule id "a"'));
+    assert.ok(errors.includes('rules: "a" refers to unknown question id "shoe_size"'));
+    assert.ok(errors.includes('rules: "a" uses unknown product code "Hcb"'));
+    assert.ok(errors.includes('rules: "b" has no "when" conditions'));
+    assert.ok(errors.includes('rules: "b" neither hides nor vetoes anything'));
+  });
+
+  test("flags showIf/skipIf that refer to unknown or later questions", () => {
+    const questions = structuredClone(shipped.questions);
+    questions[0].showIf = { diet_which_diet: ["vegan"] };
+    questions[3].showIf = { diet_do_you_follow_a_specific_diet: ["maybe"] };
+    questions[4].skipIf = { star_sign: ["leo"] };
+    const { errors } = validateQuizConfig({ ...shipped, questions });
+    assert.ok(errors.includes('questions: "age_how_old_are_you" showIf refers to "diet_which_diet", which is not asked before it'));
+    assert.ok(errors.includes('questions: "diet_which_diet" showIf → "diet_do_you_follow_a_specific_diet" has unknown option id "maybe"'));
+    assert.ok(errors.includes('questions: "diet_during_the_day_do_you_get_hungry_or_have_en" skipIf refers to unknown question id "star_sign"'));
+  });
+
+  test("flags unsupported weights versions", () => {
+    const { errors } = validateQuizConfig({ ...shipped, weights: { version: 9, questions: {} } });
+    assert.ok(errors.includes("weights: unsupported version 9 (expected 2)"));
+  });
+
+  test("accepts legacy weights with a warning and reports unmigratable keys", () => {
+    const legacy = JSON.parse(readFileSync(new URL("./fixtures/legacy_weights.json", import.meta.url), "utf8"));
+    const clean = validateQuizConfig({ ...shipped, weights: legacy });
+    assert.deepEqual(clean.errors, []);
+    assert.ok(clean.warnings.some((w) => w.includes("legacy title-keyed format")));
+
+    legacy["What kind of exercise do you usually do?"].Boxing = ["Mjb"];
+    const { errors } = validateQuizConfig({ ...shipped, weights: legacy });
+    assert.ok(errors.includes('weights: "What kind of exercise do you usually do?" → "Boxing": no option with this label'));
+  });
+
+  test("flags unknown product codes in weights and content", () => {
+    const weights = structuredClone(shipped.weights);
+    weights.questions.age_how_old_are_you.options["56_plus"] = ["Bmcb"];
+    const content = structuredClone(shipped.content);
+    content.hcb = content.Hcp;
+    delete content.Hcp;
+    const { errors } = validateQuizConfig({ ...shipped, weights, content });
+    assert.ok(errors.includes('weights: "age_how_old_are_you" → "56_plus" uses unknown product code "Bmcb"'));
+    assert.ok(errors.includes('results content: unknown product code "hcb"'));
+    assert.ok(errors.includes("Hcp: missing results content"));
+  });
+
+  test("flags products with no image, URL or copy", () => {
+    const { errors } = validateQuizConfig({
+      ...shipped,
+      productOrder: ["Eic", "Zed"],
+      productMeta: { Eic: { blurb: "x", images: { pack: "products/Eic-1.png" } } },
+      productUrls: { EIC: "https://example.com" },
+      content: { Eic: { name: "EIC" } },
+      fileExists: () => false,
+    });
+    assert.ok(errors.includes("Eic: PRODUCT_META has no exploded image"));
+    assert.ok(errors.includes('Eic: pack image "products/Eic-1.png" not found in /public'));
+    assert.ok(errors.includes("Eic: results content needs both name and tagline"));
+    assert.ok(errors.includes("Zed: missing PRODUCT_META entry"));
+    assert.ok(errors.includes("Zed: missing Boots product URLs entry"));
+    assert.ok(errors.includes("Zed: missing results content"));
+  });
+
+  test("checks product URLs for the given retailer", () => {
+    const { errors } = validateQuizConfig({
+      ...shipped,
+      retailer: { ...retailerFor("boots"), productUrls: { EIC: "https://example.com/eic", ZED: "https://example.com/zed" } },
+    });
+    assert.ok(errors.includes('Boots product URLs: unknown SKU "ZED"'));
+    assert.ok(errors.includes("Mjb: missing Boots product URLs entry"));
+    assert.ok(!errors.some((e) => e.startsWith("Eic:")));
+
+    // the direct shop has no confirmed URL yet, so every product is reported
+    const unset = validateQuizConfig({ ...shipped, retailer: retailerFor("direct") });
+    assert.ok(unset.errors.includes("Eic: missing Nourished product URLs entry"));
+    // a URL template covers every product…
+    const template = { ...retailerFor("direct"), productUrlTemplate: "https://shop.example/products/{code}" };
+    assert.deepEqual(validateQuizConfig({ ...shipped, retailer: template }).errors, []);
+    // …but only if it leaves the quiz's own host
+    const relative = validateQuizConfig({ ...shipped, retailer: { ...retailerFor("direct"), productUrlTemplate: "/products/{code}" } });
+    assert.ok(relative.errors.includes('Eic: Nourished product URLs link "/products/eic" isn\'t absolute, so it would open on the quiz\'s own host'));
+  });
+
+  test("warns about products no answer can reach", () => {
+    const weights = { version: 2, questions: { age_how_old_are_you: { options: { "56_plus": ["Bmca"] } } } };
+    const { warnings } = validateQuizConfig({ ...shipped, weights });
+    assert.ok(warnings.includes("Eic: no weighted answer can score this product"));
+    assert.ok(!warnings.some((w) => w.startsWith("Bmca:")));
+  });
+});
+
+describe("validateDevices", () => {
+  test("shipped devices are clean", () => {
+    const report = validateDevices(readJson("kiosk_devices.json"), { fileExists: (src) => existsSync(publicUrl(src.replace(/^\//, ""))) });
+    assert.deepEqual(report.errors, []);
+  });
+
+  test("flags unknown codes, contexts and empty shelves", () => {
+    const { errors, warnings } = validateDevices({
+      version: 1,
+      devices: {
+        a: { store: "s1", context: "superdrug", stocked: ["Eic", "Zed"], idleSeconds: "45" },
+        b: { stocked: [], warningSeconds: 2, handoff: { email: "yes", sms: true } },
+        c: { store: "s2", stocked: ["Eic"], attract: { loop: { products: ["Zed", "Mjb"] } } },
+        "bad id": {},
+      },
+    });
+    assert.ok(errors.includes('devices: "a" uses unknown context "superdrug"'));
+    assert.ok(errors.includes('devices: "a" stocks unknown product code "Zed"'));
+    assert.ok(errors.includes('devices: "a" idleSeconds should be a number'));
+    assert.ok(warnings.includes('devices: "b" warningSeconds is raised to the 5s minimum'));
+    assert.ok(errors.includes('devices: "b" handoff.email should be true or false'));
+    assert.ok(warnings.includes('devices: "b" handoff.sms is not a known option (ignored)'));
+    assert.ok(errors.includes('devices: "b" stocks nothing the quiz can recommend'));
+    assert.ok(errors.some((e) => e.startsWith('devices: "bad id" is not a valid device id')));
+    assert.ok(errors.includes('devices: "c" attract loop features unknown product code "Zed"'));
+    assert.ok(warnings.includes('devices: "c" attract loop features "Mjb", which it doesn\'t stock (skipped)'));
+    assert.ok(warnings.includes('devices: "b" has no store, so its results can\'t be reported per store'));
+  });
+});
+
+describe("formatReport", () => {
+  test("lists errors then warnings", () => {
+    const out = formatReport({ errors: ["a"], warnings: ["b", "c"] });
+    assert.equal(out, "✖ 1 quiz config error:\n  - a\n⚠ 2 warnings:\n  - b\n  - c");
+  });
+
+  test("says OK when there is nothing to report", () => {
+    assert.equal(formatReport({ errors: [], warnings: [] }), "✔ quiz config OK");
+  });
+});
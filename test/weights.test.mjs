@@ -0,0 +1,84 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { normalizeQuestions } from "../lib/questions.mjs";
+import { scoreQuiz } from "../lib/scoring.mjs";
+import { isLegacyWeights, loadWeights, migrateLegacyWeights } from "../lib/weights.mjs";
+
+const readJson = (url) => JSON.parse(readFileSync(new URL(url, import.meta.url), "utf8"));
+
+const questions = normalizeQuestions(readJson("../public/boots_quiz_questions.json"));
+const weights = readJson("../public/boots_quiz_weights.json");
+const legacy = readJson("./fixtures/legacy_weights.json");
+// the shipped file as scoring sees it: its "revision" name only labels the archive copy (lib/resultLink.mjs)
+const model = { version: weights.version, tieBreakQuestion: weights.tieBreakQuestion, questions: weights.questions };
+
+describe("migrateLegacyWeights", () => {
+  test("converts the last title-keyed weights file to the shipped v2 file", () => {
+    const { weights: migrated, unmatched } = migrateLegacyWeights(legacy, questions);
+    assert.deepEqual(unmatched, []);
+    assert.deepEqual(migrated, model);
+  });
+
+  test("buckets slider maps by their first and last keys, like the original quiz", () => {
+    const { weights: migrated, unmatched } = migrateLegacyWeights(
+      {
+        "How tired do you usually feel during the day?": { Exhausted: ["Ecp"] },
+        "How well do you usually sleep?": { Badly: ["Rnp"], Okay: ["Eic"], Brilliantly: ["Shp"] },
+      },
+      questions
+    );
+    assert.deepEqual(migrated.questions.feeling_tiredness.options, { min: ["Ecp"], max: ["Ecp"] });
+    assert.deepEqual(migrated.questions.feeling_sleep.options, { min: ["Rnp"], max: ["Shp"] });
+    assert.deepEqual(unmatched, [{ title: "How well do you usually sleep?", label: "Okay", reason: "not a slider end label" }]);
+  });
+
+  test("maps slider end labels to min/max", () => {
+    const { weights: migrated } = migrateLegacyWeights(
+      { "How active are you in a typical week?": { "Not very": ["Meca"], "Very active": ["Bmca"] } },
+      questions
+    );
+    assert.deepEqual(migrated.questions.feeling_activity_levels.options, { min: ["Meca"], max: ["Bmca"] });
+  });
+
+  test("reports keys it cannot map", () => {
+    const { unmatched } = migrateLegacyWeights(
+      { "Which Diet": { Paleo: ["Gsi"] }, "Favourite colour?": { Blue: ["Eic"] } },
+      questions
+    );
+    assert.deepEqual(unmatched, [
+      { title: "Which Diet", label: "Paleo", reason: "no option with this label" },
+      { title: "Favourite colour?", reason: "no question with this title" },
+    ]);
+  });
+});
+
+describe("loadWeights", () => {
+  test("detects the legacy format", () => {
+    assert.equal(isLegacyWeights(legacy), true);
+    assert.equal(isLegacyWeights(weights), false);
+  });
+
+  test("passes v2 through and migrates legacy", (t) => {
+    t.mock.method(console, "warn", () => {});
+    assert.deepEqual(loadWeights(weights, questions), model);
+    assert.deepEqual(loadWeights(legacy, questions), model);
+  });
+
+  test("legacy and v2 weights score identically", (t) => {
+    t.mock.method(console, "warn", () => {});
+    const answers = {
+      age_how_old_are_you: "56_plus",
+      exercise_when_you_exercise_what_do_you_do: ["weights", "boxing"],
+      feeling_sleep: 1,
+      health_which_of_the_below_are_your_top_two_prior: ["bone_joint", "heart"],
+    };
+    assert.deepEqual(scoreQuiz({ questions, weights: legacy, answers }), scoreQuiz({ questions, weights, answers }));
+  });
+
+  test("rejects unknown versions and tolerates missing weights", () => {
+    assert.throws(() => loadWeights({ version: 3, questions: {} }), /Unsupported weights version 3/);
+    assert.deepEqual(loadWeights(null), { version: 2, tieBreakQuestion: null, questions: {} });
+  });
+});